@@ -1,13 +1,59 @@
+const moment = require('moment');
 const calendarService = require('../services/calendarService');
-const routeService = require('../services/routeService');
+const schedulingService = require('../services/schedulingService');
+const sessionService = require('../services/sessionService');
 const aiService = require('../services/aiService');
+const timeService = require('../services/timeService');
+const customerService = require('../services/customerService');
+const serviceAreaService = require('../services/serviceAreaService');
+const authService = require('../services/authService');
+const bookingCapService = require('../services/bookingCapService');
+const abuseLog = require('../services/abuseLog');
+const metrics = require('../services/metrics');
+const rules = require('../validation/rules');
+const { ValidationError } = require('../errors');
 
-exports.bookAppointment = async (req, res) => {
+// Days searched by GET /availability when no end date is given
+const DEFAULT_AVAILABILITY_DAYS = 7;
+
+exports.bookAppointment = async (req, res, next) => {
+  let reservation = null;
   try {
-    const { name, address, service, date, time, notes } = req.body;
+    // Fields are validated and normalized by the route's schema
+    const { service, date, time, notes, addressId } = req.body;
+    
+    // Customers always book for themselves
+    const customerId = req.auth.role === 'customer' ? req.auth.subject : req.body.customerId;
+    if (req.body.customerId && req.body.customerId !== customerId) {
+      return res.status(403).json({ error: 'Customers can only book for themselves' });
+    }
+    
+    // Returning customers can leave out what their record already holds
+    const customer = customerId ? await customerService.getCustomer(customerId) : null;
+    if (customerId && !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    const name = req.body.name || customer.name;
+    const address = req.body.address || customerService.getAddress(customer, addressId);
+    const email = req.body.email || (customer && customer.email);
+    const phone = req.body.phone || (customer && customer.phone);
+    
+    if (!address) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: addressId ? 'addressId' : 'address', code: 'required', message: 'No saved address found' }]
+      });
+    }
     
-    if (!name || !address || !service || !date || !time) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Addresses outside the service area (or where the service isn't
+    // offered) are turned away before anything else is checked
+    await serviceAreaService.requireServiceArea(address, service);
+    
+    // Only staff may book more than a few times a day per customer or
+    // address; the booking is reserved now and given back if it falls through
+    if (!authService.isStaff(req.auth)) {
+      reservation = await bookingCapService.reserveBooking({ customerId: customer && customer.id, address });
     }
     
     // Format time preferences
@@ -23,20 +69,21 @@ exports.bookAppointment = async (req, res) => {
       });
     }
     
-    // 1. Check existing appointments
-    const existingAppointments = await calendarService.getAppointmentsForDay(date);
-    
-    // 2. Check route feasibility
-    const routeAnalysis = await routeService.analyzeRoute(address, existingAppointments);
-    
-    // 3. Find the best time slot
-    const bestTimeSlot = await calendarService.findBestTimeSlot(timePreferences, routeAnalysis);
+    // 1-3. Check each qualified technician's day and route, and pick the
+    // best time slot with the least added travel
+    const { technician, timeSlot, suggestedAlternatives } = await schedulingService.findBestAssignment({
+      address,
+      service,
+      timePreferences,
+      preferredTechnicianId: customer && customer.preferences.technicianId
+    });
     
-    if (!bestTimeSlot) {
+    if (!timeSlot) {
       // No suitable time slot found
+      await bookingCapService.releaseBooking(reservation);
       return res.status(409).json({ 
         error: 'No suitable time slot available',
-        suggestedAlternatives: routeAnalysis.suggestedAlternatives
+        suggestedAlternatives
       });
     }
     
@@ -45,88 +92,506 @@ exports.bookAppointment = async (req, res) => {
       name,
       address,
       service,
-      date: bestTimeSlot.date,
-      time: bestTimeSlot.time,
-      notes: notes || ''
+      date: timeSlot.date,
+      time: timeSlot.time,
+      technicianId: technician.id,
+      notes: notes || '',
+      email,
+      phone,
+      customerId: customer && customer.id
     });
     
     // 5. Return the booked appointment details
     return res.status(201).json(appointment);
   } catch (error) {
-    console.error('Error booking appointment:', error);
-    return res.status(500).json({ error: 'Failed to book appointment' });
+    await bookingCapService.releaseBooking(reservation);
+    if (error.code === 'SLOT_TAKEN') {
+      return res.status(409).json({ error: 'No suitable time slot available' });
+    }
+    if (error.code === 'NO_TECHNICIAN') {
+      return res.status(409).json({ error: 'No technician offers this service' });
+    }
+    if (error.code === 'BOOKING_CAP') {
+      return sendBookingCapReached(req, res, error);
+    }
+    return next(error);
   }
 };
 
-exports.getAppointments = async (req, res) => {
+// Bookable start times for a service at an address across a date range
+// (the next week by default), ranked by the drive time each one adds
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const { service, technician } = req.query;
+    
+    if (req.query.customer && !authService.canAccessCustomer(req.auth, req.query.customer)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    // A customer's default address and preferences fill in and rank the search
+    const customerId = req.query.customer || (req.auth && req.auth.role === 'customer' ? req.auth.subject : null);
+    const customer = customerId ? await customerService.getCustomer(customerId) : null;
+    if (customerId && !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    const address = req.query.address || (customer && customerService.getAddress(customer));
+    if (!address) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'address', code: 'required', message: 'No saved address found' }]
+      });
+    }
+    
+    const { zone } = await serviceAreaService.requireServiceArea(address, service);
+    
+    const from = req.query.from || timeService.now().format('YYYY-MM-DD');
+    const to = req.query.to ||
+      moment(from, 'YYYY-MM-DD').add(DEFAULT_AVAILABILITY_DAYS - 1, 'days').format('YYYY-MM-DD');
+    
+    const availability = await schedulingService.findAvailability({
+      address,
+      service,
+      from,
+      to,
+      technicianId: technician,
+      preferences: customer ? customer.preferences : {}
+    });
+    
+    // The zone tells the customer about any travel surcharge up front
+    return res.status(200).json({ ...availability, serviceArea: zone });
+  } catch (error) {
+    if (error.code === 'NO_TECHNICIAN') {
+      return res.status(409).json({ error: 'No technician offers this service' });
+    }
+    return next(error);
+  }
+};
+
+exports.getAppointments = async (req, res, next) => {
   try {
     const { date } = req.query;
     
-    if (!date) {
-      return res.status(400).json({ error: 'Date parameter is required' });
+    // Technicians only see their own calendar
+    const technician = req.auth.role === 'technician' ? req.auth.subject : req.query.technician;
+    if (req.query.technician && req.query.technician !== technician) {
+      return res.status(403).json({ error: 'Not allowed to access this technician' });
     }
     
-    const appointments = await calendarService.getAppointmentsForDay(date);
+    const appointments = await calendarService.getAppointmentsForDay(date, { technicianId: technician });
     return res.status(200).json(appointments);
   } catch (error) {
-    console.error('Error fetching appointments:', error);
-    return res.status(500).json({ error: 'Failed to fetch appointments' });
+    return next(error);
+  }
+};
+
+exports.getAppointment = async (req, res, next) => {
+  try {
+    const appointment = await calendarService.getAppointment(req.params.id);
+    
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (!authService.canAccessAppointment(req.auth, appointment)) {
+      return res.status(403).json({ error: 'Not allowed to access this appointment' });
+    }
+    
+    return res.status(200).json(appointment);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.rescheduleAppointment = async (req, res, next) => {
+  try {
+    const { date, time } = req.body;
+    
+    const appointment = await calendarService.getAppointment(req.params.id);
+    
+    if (!appointment || appointment.status === 'cancelled') {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (!authService.canAccessAppointment(req.auth, appointment)) {
+      return res.status(403).json({ error: 'Not allowed to access this appointment' });
+    }
+    
+    // The schema only knows the new start; the whole visit must also fit in
+    // business hours, which takes the appointment's service
+    const timeErrors = rules.checkBookingTime(date, time, appointment.service);
+    if (timeErrors.length > 0) {
+      return next(new ValidationError(timeErrors));
+    }
+    
+    // Run the same feasibility check as a new booking on the same technician's
+    // route, ignoring the appointment's own current slot. Only the requested
+    // time is accepted: the appointment is never moved somewhere else that day.
+    const { timeSlot, suggestedAlternatives } = await schedulingService.findOccurrenceAssignment({
+      address: appointment.location,
+      service: appointment.service,
+      date,
+      time,
+      technicianId: appointment.technicianId,
+      excludeAppointmentId: appointment.id
+    });
+    
+    if (!timeSlot) {
+      return res.status(409).json({
+        error: 'No suitable time slot available',
+        suggestedAlternatives
+      });
+    }
+    
+    const updated = await calendarService.rescheduleAppointment(appointment.id, timeSlot);
+    return res.status(200).json(updated);
+  } catch (error) {
+    if (error.code === 'SLOT_TAKEN') {
+      return res.status(409).json({ error: 'No suitable time slot available' });
+    }
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    return next(error);
+  }
+};
+
+exports.cancelAppointment = async (req, res, next) => {
+  try {
+    const reason = req.body.reason || '';
+    
+    const existing = await calendarService.getAppointment(req.params.id);
+    if (existing && !authService.canAccessAppointment(req.auth, existing)) {
+      return res.status(403).json({ error: 'Not allowed to access this appointment' });
+    }
+    
+    const appointment = await calendarService.cancelAppointment(req.params.id, reason);
+    return res.status(200).json(appointment);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    return next(error);
+  }
+};
+
+// Shorten an appointment (e.g. the job took less time than booked); the
+// freed time is offered to the waitlist
+exports.shortenAppointment = async (req, res, next) => {
+  try {
+    const existing = await calendarService.getAppointment(req.params.id);
+    if (existing && !authService.canAccessAppointment(req.auth, existing)) {
+      return res.status(403).json({ error: 'Not allowed to access this appointment' });
+    }
+    
+    const appointment = await calendarService.shortenAppointment(req.params.id, req.body.durationMinutes);
+    return res.status(200).json(appointment);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (error.code === 'NOT_SHORTER') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'durationMinutes', code: 'not_shorter', message: error.message }]
+      });
+    }
+    return next(error);
   }
 };
 
-exports.chatHandler = async (req, res) => {
+exports.chatHandler = async (req, res, next) => {
+  let session;
   try {
-    const { message } = req.body;
+    const { message, sessionId } = req.body;
+    
+    // A signed-in customer chats as themselves; only staff may chat on behalf
+    // of another customer, and anonymous callers as nobody in particular
+    const customerId = req.auth && req.auth.role === 'customer' ? req.auth.subject : req.body.customerId;
+    if (req.body.customerId && !authService.canAccessCustomer(req.auth, req.body.customerId)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    // Resume the caller's session, or start a new one if it is unknown,
+    // expired or belongs to another customer
+    session = sessionId && sessionService.getSession(sessionId);
+    if (session && session.customerId && session.customerId !== customerId) {
+      session = null;
+    }
+    if (!session) {
+      session = sessionService.createSession();
+      
+      // A known customer doesn't need to give their name and address again
+      if (customerId) {
+        const customer = await customerService.getCustomer(customerId);
+        if (!customer) {
+          return res.status(404).json({ error: 'Customer not found' });
+        }
+        session.customerId = customer.id;
+        sessionService.mergeFields(session, { name: customer.name, address: customerService.getAddress(customer) });
+      }
+    }
+    
+    // Process the message with AI, including the conversation so far
+    const aiResponse = await aiService.processMessage(message, session.history);
+    metrics.chatIntents.inc({ intent: aiResponse.intent });
+    sessionService.addMessage(session, 'user', message);
     
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    // Collect any booking details the AI extracted from the message
+    if (aiResponse.extractedData) {
+      const { timePreferences = [], ...details } = aiResponse.extractedData;
+      sessionService.mergeFields(session, { ...details, ...timePreferences[0] });
+    }
+    
+    let answerUnderstood = true;
+    
+    if (session.awaitingConfirmation) {
+      // A reply to the confirmation question either books or reopens the time
+      const confirmation = aiService.detectConfirmation(message);
+      
+      if (confirmation === 'yes') {
+        return await bookFromSession(req, res, session);
+      }
+      
+      session.awaitingConfirmation = false;
+      if (confirmation === 'no') {
+        delete session.fields.date;
+        delete session.fields.time;
+        return sendChatReply(res, session, {
+          response: `No problem, nothing has been booked. ${aiService.getFollowUpQuestion('date')}`,
+          appointmentBooked: false
+        }, 'date');
+      }
+    } else if (session.awaitingField) {
+      // A reply to a follow-up question fills in that field
+      answerUnderstood = sessionService.applyAnswer(session, session.awaitingField, message);
     }
     
-    // Process the message with AI
-    const aiResponse = await aiService.processMessage(message);
+    if (aiResponse.intent === 'booking' || aiResponse.intent === 'book_appointment') {
+      session.bookingInProgress = true;
+    }
     
-    // Check if the AI detected an appointment booking intent
-    if (aiResponse.intent === 'book_appointment' && aiResponse.extractedData) {
-      const { name, address, service, timePreferences } = aiResponse.extractedData;
+    if (session.bookingInProgress) {
+      // Addresses outside the service area are turned away as soon as they
+      // are given, not after every other detail has been collected
+      const areaCheck = await checkSessionServiceArea(session);
+      if (areaCheck.field) {
+        return sendChatReply(res, session, {
+          response: `${areaCheck.message}. ${aiService.getFollowUpQuestion(areaCheck.field)}`,
+          appointmentBooked: false
+        }, areaCheck.field);
+      }
       
-      // Try to book the appointment
-      const existingAppointments = await calendarService.getAppointmentsForDay(timePreferences[0].date);
-      const routeAnalysis = await routeService.analyzeRoute(address, existingAppointments);
-      const bestTimeSlot = await calendarService.findBestTimeSlot(timePreferences, routeAnalysis);
+      const missingFields = sessionService.getMissingFields(session);
       
-      if (bestTimeSlot) {
-        // Book the appointment
-        const appointment = await calendarService.createAppointment({
-          name,
-          address,
-          service,
-          date: bestTimeSlot.date,
-          time: bestTimeSlot.time,
-          notes: aiResponse.extractedData.notes || ''
-        });
-        
-        return res.status(200).json({
-          response: aiResponse.response,
-          appointmentBooked: true,
-          appointmentDetails: appointment
-        });
-      } else {
-        // No suitable time slot
-        return res.status(200).json({
-          response: `I couldn't find a suitable time slot for ${timePreferences[0].date} at ${timePreferences[0].time}. Would you like to try a different time?`,
-          appointmentBooked: false,
-          suggestedAlternatives: routeAnalysis.suggestedAlternatives
-        });
+      // Ask only for what is still missing, one field at a time
+      if (missingFields.length > 0) {
+        const retryPrefix = answerUnderstood ? '' : "Sorry, I didn't catch that. ";
+        return sendChatReply(res, session, {
+          response: retryPrefix + aiService.getFollowUpQuestion(missingFields[0]),
+          appointmentBooked: false
+        }, missingFields[0]);
       }
+      
+      // Everything is collected: make sure the time can be booked at all
+      // before asking to confirm it
+      const timeCheck = checkSessionBookingTime(session);
+      if (timeCheck.field) {
+        return sendChatReply(res, session, {
+          response: `${timeCheck.message}. ${aiService.getFollowUpQuestion(timeCheck.field)}`,
+          appointmentBooked: false
+        }, timeCheck.field);
+      }
+      
+      // Everything is collected: confirm before booking
+      session.awaitingConfirmation = true;
+      return sendChatReply(res, session, {
+        response: aiService.getConfirmationPrompt(session.fields, areaCheck.travelSurcharge),
+        appointmentBooked: false
+      });
     }
     
     // Regular chat response
-    return res.status(200).json({
+    return sendChatReply(res, session, {
       response: aiResponse.response,
       appointmentBooked: false
     });
   } catch (error) {
-    console.error('Error processing chat message:', error);
-    return res.status(500).json({ error: 'Failed to process message' });
+    if (session && error.code === 'SLOT_TAKEN') {
+      delete session.fields.time;
+      return sendChatReply(res, session, {
+        response: "Sorry, that time was just booked by someone else. What other time would work for you?",
+        appointmentBooked: false
+      }, 'time');
+    }
+    if (session && error.code === 'NO_TECHNICIAN') {
+      delete session.fields.service;
+      return sendChatReply(res, session, {
+        response: "Sorry, none of our technicians currently offer that service. Is there another service I can help with?",
+        appointmentBooked: false
+      }, 'service');
+    }
+    if (session && error.code === 'BOOKING_CAP') {
+      return sendBookingCapReached(req, res, error, {
+        sessionId: session.id,
+        response: "Sorry, you've reached today's booking limit. Please try again tomorrow or call us to book."
+      });
+    }
+    return next(error);
+  }
+};
+
+// Helper function to check a chat session's address (and its service, once
+// known) against the service area. When one of them is the problem it is
+// cleared and { field, message } returned, so the customer is asked again;
+// otherwise the zone's { travelSurcharge }.
+async function checkSessionServiceArea(session) {
+  const { address, service } = session.fields;
+  if (!address) {
+    return {};
+  }
+  
+  let result;
+  try {
+    result = await serviceAreaService.checkAddress(address, service);
+  } catch (error) {
+    if (error.code !== 'VALIDATION_FAILED') {
+      throw error;
+    }
+    delete session.fields.address;
+    return { field: 'address', message: "Sorry, I couldn't find that address" };
+  }
+  
+  if (!result.inServiceArea) {
+    delete session.fields.address;
+    return { field: 'address', message: result.message };
+  }
+  if (!result.serviceAvailable) {
+    delete session.fields.service;
+    return { field: 'service', message: result.message };
+  }
+  return { travelSurcharge: result.zone && result.zone.travelSurcharge };
+}
+
+// Helper function to check a chat session's date and time against the
+// booking rules. When they can't be booked the offending field is cleared
+// and { field, message } returned, so the customer is asked again.
+function checkSessionBookingTime(session) {
+  const { service, date, time } = session.fields;
+  const [error] = rules.checkBookingTime(date, time, service);
+  if (!error) {
+    return {};
+  }
+  
+  delete session.fields[error.field];
+  const reason = error.message.charAt(0).toLowerCase() + error.message.slice(1);
+  return { field: error.field, message: `Sorry, ${time} on ${date} can't be booked: ${reason}` };
+}
+
+// Helper function to book the appointment a chat session has confirmed
+async function bookFromSession(req, res, session) {
+  const { name, address, service, date, time } = session.fields;
+  session.awaitingConfirmation = false;
+  
+  // The time was checked before confirming, but may have passed since
+  const timeCheck = checkSessionBookingTime(session);
+  if (timeCheck.field) {
+    return sendChatReply(res, session, {
+      response: `${timeCheck.message}. ${aiService.getFollowUpQuestion(timeCheck.field)}`,
+      appointmentBooked: false
+    }, timeCheck.field);
   }
-};
\ No newline at end of file
+  
+  const customer = session.customerId ? await customerService.getCustomer(session.customerId) : null;
+  const reservation = authService.isStaff(req.auth)
+    ? null
+    : await bookingCapService.reserveBooking({ customerId: session.customerId, address });
+  
+  let technician, timeSlot, suggestedAlternatives;
+  try {
+    ({ technician, timeSlot, suggestedAlternatives } = await schedulingService.findBestAssignment({
+      address,
+      service,
+      timePreferences: [{ date, time }],
+      preferredTechnicianId: customer && customer.preferences.technicianId
+    }));
+  } catch (error) {
+    await bookingCapService.releaseBooking(reservation);
+    throw error;
+  }
+  
+  if (!timeSlot) {
+    // No suitable time slot
+    await bookingCapService.releaseBooking(reservation);
+    delete session.fields.date;
+    delete session.fields.time;
+    return sendChatReply(res, session, {
+      response: `I couldn't find a suitable time slot for ${date} at ${time}. Would you like to try a different date?`,
+      appointmentBooked: false,
+      suggestedAlternatives
+    }, 'date');
+  }
+  
+  // The requested time was not free, but another one that day is: confirm it first
+  if (timeSlot.date !== date || timeSlot.time !== time) {
+    await bookingCapService.releaseBooking(reservation);
+    session.fields.date = timeSlot.date;
+    session.fields.time = timeSlot.time;
+    session.awaitingConfirmation = true;
+    return sendChatReply(res, session, {
+      response: `${time} on ${date} isn't available, but I can book ${timeSlot.time} on ${timeSlot.date}. Shall I book that instead? (yes/no)`,
+      appointmentBooked: false,
+      suggestedAlternatives
+    });
+  }
+  
+  // Book the appointment, giving the reservation back if that fails
+  let appointment;
+  try {
+    appointment = await calendarService.createAppointment({
+      name,
+      address,
+      service,
+      date: timeSlot.date,
+      time: timeSlot.time,
+      technicianId: technician.id,
+      notes: '',
+      email: customer && customer.email,
+      phone: customer && customer.phone,
+      customerId: customer && customer.id
+    });
+  } catch (error) {
+    await bookingCapService.releaseBooking(reservation);
+    throw error;
+  }
+  
+  // Start over for a possible next booking, keeping who and where
+  session.fields = { name, address };
+  session.bookingInProgress = false;
+  
+  return sendChatReply(res, session, {
+    response: `You're all set! Your ${service} appointment is booked for ${timeSlot.date} at ${timeSlot.time}.`,
+    appointmentBooked: true,
+    appointmentDetails: appointment
+  });
+}
+
+// Helper function to answer a booking over the daily cap with 429
+function sendBookingCapReached(req, res, error, body = {}) {
+  abuseLog.record('booking_cap_reached', req, { retryAfter: error.retryAfter });
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({ error: 'Daily booking limit reached', retryAfter: error.retryAfter, ...body });
+}
+
+// Helper function to record the assistant's reply and send it with the session state
+function sendChatReply(res, session, body, awaitingField = null) {
+  session.awaitingField = awaitingField;
+  sessionService.addMessage(session, 'assistant', body.response);
+  
+  return res.status(200).json({
+    ...body,
+    sessionId: session.id,
+    customerId: session.customerId,
+    collectedFields: { ...session.fields },
+    missingFields: sessionService.getMissingFields(session),
+    awaitingConfirmation: session.awaitingConfirmation
+  });
+}
@@ -0,0 +1,26 @@
+const authService = require('../services/authService');
+const customerService = require('../services/customerService');
+const technicianService = require('../services/technicianService');
+
+// Issue a signed token, e.g. for a customer portal session or a technician's app
+exports.issueToken = async (req, res, next) => {
+  try {
+    const { role, subject, name, expiresIn } = req.body;
+    
+    // Customer and technician tokens are only useful for someone who exists
+    if (role === 'customer' && !(await customerService.getCustomer(subject))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (role === 'technician' && !technicianService.getTechnician(subject)) {
+      return res.status(404).json({ error: 'Technician not found' });
+    }
+    
+    const token = authService.issueToken({ role, subject, name }, expiresIn ? { expiresIn } : {});
+    return res.status(201).json({ token, role, subject: subject || null });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Who the caller is signed in as
+exports.getCurrentPrincipal = (req, res) => res.status(200).json(req.auth);
@@ -0,0 +1,139 @@
+const moment = require('moment');
+const calendarService = require('../services/calendarService');
+const customerService = require('../services/customerService');
+const technicianService = require('../services/technicianService');
+const authService = require('../services/authService');
+const icsService = require('../services/icsService');
+const timeService = require('../services/timeService');
+
+// Base of the feed URLs handed out (e.g. https://api.example.com); taken
+// from the request when not set
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+
+// Days of past and upcoming appointments included in a feed
+const CALENDAR_FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+const CALENDAR_FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
+
+// Subscription URL for a technician's feed
+exports.getTechnicianFeedLink = (req, res) => {
+  const { id } = req.params;
+  
+  if (!authService.canAccessTechnician(req.auth, id)) {
+    return res.status(403).json({ error: 'Not allowed to access this technician' });
+  }
+  if (!technicianService.getTechnician(id)) {
+    return res.status(404).json({ error: 'Technician not found' });
+  }
+  
+  return sendFeedLink(req, res, 'technician', id);
+};
+
+// Subscription URL for a customer's feed
+exports.getCustomerFeedLink = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!authService.canAccessCustomer(req.auth, id)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    if (!await customerService.getCustomer(id)) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    return sendFeedLink(req, res, 'customer', id);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// A technician's appointments as a subscribable calendar
+exports.getTechnicianFeed = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const technician = technicianService.getTechnician(id);
+    
+    // A wrong token looks the same as a missing feed
+    if (!technician || !authService.verifyFeedToken('technician', id, req.query.token)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    
+    const { from, to } = getFeedWindow();
+    const appointments = await calendarService.getAppointmentsInRange(technician.id, from, to);
+    
+    return sendCalendar(res, icsService.renderCalendar(appointments, { name: technician.name }), 'calendar.ics');
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// A customer's appointments as a subscribable calendar
+exports.getCustomerFeed = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const customer = authService.verifyFeedToken('customer', id, req.query.token)
+      ? await customerService.getCustomer(id)
+      : null;
+    
+    if (!customer) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    
+    const { from, to } = getFeedWindow();
+    const appointments = (await Promise.all(customer.appointmentIds.map(calendarService.getAppointment)))
+      .filter(appointment => appointment && moment(appointment.end).isAfter(from) && moment(appointment.start).isBefore(to))
+      .sort((a, b) => moment(a.start).valueOf() - moment(b.start).valueOf());
+    
+    return sendCalendar(res, icsService.renderCalendar(appointments, { name: 'My appointments' }), 'calendar.ics');
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// One appointment as an .ics file
+exports.getAppointmentCalendar = async (req, res, next) => {
+  try {
+    const appointment = await calendarService.getAppointment(req.params.id);
+    
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (!authService.canAccessAppointment(req.auth, appointment)) {
+      return res.status(403).json({ error: 'Not allowed to access this appointment' });
+    }
+    
+    return sendCalendar(res, icsService.renderAppointment(appointment), `appointment-${appointment.id}.ics`, { download: true });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Helper function to answer with the feed URL for a technician or customer
+function sendFeedLink(req, res, kind, id) {
+  const token = authService.getFeedToken(kind, id);
+  if (!token) {
+    return res.status(503).json({ error: 'Calendar feeds are not configured' });
+  }
+  
+  const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl}/api/feeds/${kind}s/${encodeURIComponent(id)}/calendar.ics?token=${token}`;
+  
+  return res.status(200).json({ url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+}
+
+// Helper function to get the period a feed covers
+function getFeedWindow() {
+  const now = timeService.now();
+  return {
+    from: moment(now).subtract(CALENDAR_FEED_PAST_DAYS, 'days'),
+    to: moment(now).add(CALENDAR_FEED_FUTURE_DAYS, 'days')
+  };
+}
+
+// Helper function to send a calendar, inline for feeds or as a download
+function sendCalendar(res, calendar, filename, { download = false } = {}) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  // Feeds are personal; keep them out of shared caches
+  res.set('Cache-Control', 'private, max-age=300');
+  return res.status(200).send(calendar);
+}
@@ -0,0 +1,71 @@
+const moment = require('moment');
+const catalogService = require('../services/catalogService');
+const businessCalendarService = require('../services/businessCalendarService');
+const serviceAreaService = require('../services/serviceAreaService');
+const timeService = require('../services/timeService');
+
+// Days listed by GET /business-hours when no range is given
+const DEFAULT_RANGE_DAYS = 14;
+
+exports.getServices = (req, res, next) => {
+  try {
+    const services = catalogService.getServices().map(service => ({
+      name: service.name,
+      label: service.label,
+      durationMinutes: service.durationMinutes,
+      bufferMinutes: service.bufferMinutes,
+      priceEstimate: service.priceEstimate,
+      requiredSkill: service.requiredSkill
+    }));
+    
+    return res.status(200).json({ services });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Weekly hours, holidays and blackout dates, plus the status of each day
+// in the requested range (the next two weeks by default)
+exports.getBusinessHours = (req, res, next) => {
+  try {
+    const from = req.query.from || timeService.now().format('YYYY-MM-DD');
+    const to = req.query.to ||
+      moment(from, 'YYYY-MM-DD').add(DEFAULT_RANGE_DAYS - 1, 'days').format('YYYY-MM-DD');
+    
+    const days = [];
+    for (let day = moment(from, 'YYYY-MM-DD'); day.format('YYYY-MM-DD') <= to; day.add(1, 'day')) {
+      days.push(businessCalendarService.getDayStatus(day.format('YYYY-MM-DD')));
+    }
+    
+    return res.status(200).json({
+      timeZone: timeService.BUSINESS_TIMEZONE,
+      summary: businessCalendarService.describeHours(),
+      ...businessCalendarService.getBusinessCalendar(),
+      days
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Zones we work in; an empty list means every address is served
+exports.getServiceAreas = (req, res, next) => {
+  try {
+    return res.status(200).json({ zones: serviceAreaService.describeZones() });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Let a customer check their address before filling in the whole booking
+// form. Out-of-area addresses are a normal answer (inServiceArea: false),
+// only addresses that can't be found are a 400.
+exports.checkServiceArea = async (req, res, next) => {
+  try {
+    const { address, service } = req.query;
+    const result = await serviceAreaService.checkAddress(address, service || null);
+    return res.status(200).json(result);
+  } catch (error) {
+    return next(error);
+  }
+};
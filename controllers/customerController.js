@@ -0,0 +1,156 @@
+const moment = require('moment');
+const customerService = require('../services/customerService');
+const calendarService = require('../services/calendarService');
+const authService = require('../services/authService');
+
+exports.createCustomer = async (req, res, next) => {
+  try {
+    const { name, email, phone, address, notes, preferredTechnician, preferredTimeOfDay } = req.body;
+    
+    const customer = await customerService.createCustomer({
+      name,
+      email,
+      phone,
+      notes,
+      addresses: address ? [{ address }] : [],
+      preferences: {
+        technicianId: preferredTechnician || null,
+        timeOfDay: preferredTimeOfDay || null
+      }
+    });
+    
+    return res.status(201).json(customer);
+  } catch (error) {
+    if (error.code === 'CUSTOMER_EXISTS') {
+      return res.status(409).json({ error: 'A customer with this email or phone already exists' });
+    }
+    return next(error);
+  }
+};
+
+// Look a returning customer up by email or phone
+exports.findCustomers = async (req, res, next) => {
+  try {
+    const customer = await customerService.findCustomer(req.query);
+    return res.status(200).json(customer ? [customer] : []);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getCustomer = async (req, res, next) => {
+  try {
+    if (!authService.canAccessCustomer(req.auth, req.params.id)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    const customer = await customerService.getCustomer(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    return res.status(200).json(customer);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.updateCustomer = async (req, res, next) => {
+  try {
+    if (!authService.canAccessCustomer(req.auth, req.params.id)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    const { name, email, phone, notes, preferredTechnician, preferredTimeOfDay } = req.body;
+    const preferences = {};
+    
+    if (preferredTechnician !== undefined) {
+      preferences.technicianId = preferredTechnician;
+    }
+    if (preferredTimeOfDay !== undefined) {
+      preferences.timeOfDay = preferredTimeOfDay;
+    }
+    
+    const customer = await customerService.updateCustomer(req.params.id, { name, email, phone, notes, preferences });
+    return res.status(200).json(customer);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (error.code === 'CUSTOMER_EXISTS') {
+      return res.status(409).json({ error: 'A customer with this email or phone already exists' });
+    }
+    return next(error);
+  }
+};
+
+exports.addAddress = async (req, res, next) => {
+  try {
+    if (!authService.canAccessCustomer(req.auth, req.params.id)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    const { address, label, isDefault } = req.body;
+    
+    const customer = await customerService.addAddress(req.params.id, { address, label, isDefault });
+    return res.status(201).json(customer);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    return next(error);
+  }
+};
+
+exports.removeAddress = async (req, res, next) => {
+  try {
+    if (!authService.canAccessCustomer(req.auth, req.params.id)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    const customer = await customerService.removeAddress(req.params.id, req.params.addressId);
+    return res.status(200).json(customer);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    return next(error);
+  }
+};
+
+// A customer's booking history: upcoming appointments (soonest first) and
+// past or cancelled ones (most recent first)
+exports.getCustomerAppointments = async (req, res, next) => {
+  try {
+    if (!authService.canAccessCustomer(req.auth, req.params.id)) {
+      return res.status(403).json({ error: 'Not allowed to access this customer' });
+    }
+    
+    const customer = await customerService.getCustomer(req.params.id);
+    
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    const appointments = [];
+    for (const appointmentId of customer.appointmentIds) {
+      const appointment = await calendarService.getAppointment(appointmentId);
+      if (appointment) {
+        appointments.push(appointment);
+      }
+    }
+    
+    const now = moment();
+    const isUpcoming = appointment => appointment.status !== 'cancelled' && moment(appointment.end).isAfter(now);
+    const byStart = (a, b) => moment(a.start).valueOf() - moment(b.start).valueOf();
+    
+    return res.status(200).json({
+      customerId: customer.id,
+      upcoming: appointments.filter(isUpcoming).sort(byStart),
+      past: appointments.filter(appointment => !isUpcoming(appointment)).sort(byStart).reverse()
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,144 @@
+const calendarService = require('../services/calendarService');
+const schedulingService = require('../services/schedulingService');
+const holdService = require('../services/holdService');
+const customerService = require('../services/customerService');
+const serviceAreaService = require('../services/serviceAreaService');
+const authService = require('../services/authService');
+const bookingCapService = require('../services/bookingCapService');
+const abuseLog = require('../services/abuseLog');
+
+// Reserve a slot while the customer finishes booking. The requested time is
+// checked like a booking, but only that exact time is ever held; the hold
+// then expires unless it is confirmed.
+exports.createHold = async (req, res, next) => {
+  try {
+    const { address, service, date, time, technician: technicianId } = req.body;
+    
+    await serviceAreaService.requireServiceArea(address, service);
+    
+    const { technician, timeSlot, suggestedAlternatives } = await schedulingService.findBestAssignment({
+      address,
+      service,
+      timePreferences: [{ date, time }],
+      technicianId
+    });
+    
+    if (!timeSlot || timeSlot.date !== date || timeSlot.time !== time) {
+      return res.status(409).json({
+        error: 'No suitable time slot available',
+        suggestedAlternatives
+      });
+    }
+    
+    const hold = await calendarService.holdSlot({
+      service,
+      address,
+      date: timeSlot.date,
+      time: timeSlot.time,
+      technicianId: technician.id,
+      heldBy: { role: req.auth.role, subject: req.auth.subject }
+    });
+    
+    return res.status(201).json(toHoldResponse(hold));
+  } catch (error) {
+    if (error.code === 'SLOT_TAKEN') {
+      return res.status(409).json({ error: 'No suitable time slot available' });
+    }
+    if (error.code === 'NO_TECHNICIAN') {
+      return res.status(409).json({ error: 'No technician offers this service' });
+    }
+    return next(error);
+  }
+};
+
+exports.getHold = (req, res) => {
+  const hold = getOwnHold(req);
+  
+  if (!hold) {
+    return res.status(404).json({ error: 'Hold not found or expired' });
+  }
+  
+  return res.status(200).json(toHoldResponse(hold));
+};
+
+// Turn a hold into a booked appointment
+exports.confirmHold = async (req, res, next) => {
+  let reservation = null;
+  try {
+    const hold = getOwnHold(req);
+    
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found or expired' });
+    }
+    
+    // Customers always book for themselves
+    const customerId = req.auth.role === 'customer' ? req.auth.subject : req.body.customerId;
+    if (req.body.customerId && req.body.customerId !== customerId) {
+      return res.status(403).json({ error: 'Customers can only book for themselves' });
+    }
+    
+    const customer = customerId ? await customerService.getCustomer(customerId) : null;
+    if (customerId && !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    // Only staff may book more than a few times a day per customer or
+    // address; the booking is reserved now and given back if it falls through
+    if (!authService.isStaff(req.auth)) {
+      reservation = await bookingCapService.reserveBooking({ customerId: customer && customer.id, address: hold.address });
+    }
+    
+    const appointment = await calendarService.createAppointment({
+      name: req.body.name || customer.name,
+      address: hold.address,
+      service: hold.service,
+      date: hold.date,
+      time: hold.time,
+      technicianId: hold.technicianId,
+      notes: req.body.notes || '',
+      email: req.body.email || (customer && customer.email),
+      phone: req.body.phone || (customer && customer.phone),
+      customerId: customer && customer.id,
+      holdId: hold.id
+    });
+    
+    return res.status(201).json(appointment);
+  } catch (error) {
+    await bookingCapService.releaseBooking(reservation);
+    if (error.code === 'SLOT_TAKEN') {
+      return res.status(409).json({ error: 'No suitable time slot available' });
+    }
+    if (error.code === 'BOOKING_CAP') {
+      abuseLog.record('booking_cap_reached', req, { retryAfter: error.retryAfter });
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: 'Daily booking limit reached', retryAfter: error.retryAfter });
+    }
+    return next(error);
+  }
+};
+
+exports.releaseHold = (req, res) => {
+  if (!getOwnHold(req) || !holdService.releaseHold(req.params.id)) {
+    return res.status(404).json({ error: 'Hold not found or expired' });
+  }
+  
+  return res.status(200).json({ id: req.params.id, released: true });
+};
+
+// Helper function to get a live hold the caller placed (staff see every
+// hold); other callers' holds are reported as not found
+function getOwnHold(req) {
+  const hold = holdService.getHold(req.params.id);
+  
+  if (!hold || authService.isStaff(req.auth)) {
+    return hold;
+  }
+  
+  const { heldBy } = hold;
+  return heldBy && heldBy.role === req.auth.role && heldBy.subject === req.auth.subject ? hold : null;
+}
+
+// Helper function to leave internal details out of a hold
+function toHoldResponse({ calendarId, heldBy, ...hold }) {
+  return hold;
+}
@@ -0,0 +1,46 @@
+const importService = require('../services/importService');
+
+// File formats by request Content-Type
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'text/calendar': 'ics'
+};
+
+// Check a CSV or ICS file of appointments (the default dry run) or, with
+// commit=true, book every row of it or none
+exports.importAppointments = async (req, res, next) => {
+  try {
+    const format = req.query.format || CONTENT_TYPE_FORMATS[(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase()];
+    if (!format) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'format', code: 'required', message: 'Send text/csv or text/calendar, or give a format' }]
+      });
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Send the file to import as the request body' });
+    }
+    
+    const report = await importService.importAppointments({
+      format,
+      content: req.body,
+      dryRun: req.query.commit !== true
+    });
+    
+    if (report.dryRun) {
+      return res.status(200).json(report);
+    }
+    if (!report.committed) {
+      return res.status(409).json({ error: 'Nothing was imported: some rows clash or fail', ...report });
+    }
+    return res.status(201).json(report);
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'SLOT_TAKEN') {
+      return res.status(409).json({ error: 'Nothing was imported: a slot was taken during the import' });
+    }
+    return next(error);
+  }
+};
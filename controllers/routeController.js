@@ -0,0 +1,31 @@
+const routeService = require('../services/routeService');
+const technicianService = require('../services/technicianService');
+
+exports.getDayRoute = async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { address, service, time } = req.query;
+    
+    // Technicians only see their own route
+    const technician = req.auth.role === 'technician' ? req.auth.subject : req.query.technician;
+    if (req.query.technician && req.query.technician !== technician) {
+      return res.status(403).json({ error: 'Not allowed to access this technician' });
+    }
+    
+    // Optional stop to test against the day without booking it
+    const proposedStop = address ? { address, service, time } : null;
+    
+    const technicians = technician
+      ? [technicianService.getTechnician(technician)]
+      : technicianService.getTechnicians();
+    
+    const routes = [];
+    for (const entry of technicians) {
+      routes.push(await routeService.planDay(date, entry, proposedStop));
+    }
+    
+    return res.status(200).json({ date, routes });
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,192 @@
+const seriesService = require('../services/seriesService');
+const customerService = require('../services/customerService');
+const serviceAreaService = require('../services/serviceAreaService');
+const authService = require('../services/authService');
+const bookingCapService = require('../services/bookingCapService');
+const abuseLog = require('../services/abuseLog');
+const rules = require('../validation/rules');
+const { ValidationError } = require('../errors');
+
+// Book a recurring series. Each occurrence is checked like a single
+// booking; the ones that can't be placed come back as conflicts with
+// suggested alternatives. 201 when at least one occurrence was booked.
+exports.createSeries = async (req, res, next) => {
+  let reservation = null;
+  try {
+    // Fields are validated and normalized by the route's schema
+    const { service, notes, addressId, frequency, interval, weekday, startDate, until, count, time, timeOfDay } = req.body;
+    
+    // Customers always book for themselves
+    const customerId = req.auth.role === 'customer' ? req.auth.subject : req.body.customerId;
+    if (req.body.customerId && req.body.customerId !== customerId) {
+      return res.status(403).json({ error: 'Customers can only book for themselves' });
+    }
+    
+    // Returning customers can leave out what their record already holds
+    const customer = customerId ? await customerService.getCustomer(customerId) : null;
+    if (customerId && !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    const address = req.body.address || customerService.getAddress(customer, addressId);
+    if (!address) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: addressId ? 'addressId' : 'address', code: 'required', message: 'No saved address found' }]
+      });
+    }
+    
+    await serviceAreaService.requireServiceArea(address, service);
+    
+    // A series counts as one booking towards the daily cap; it is reserved
+    // now and given back if nothing gets booked
+    if (!authService.isStaff(req.auth)) {
+      reservation = await bookingCapService.reserveBooking({ customerId: customer && customer.id, address });
+    }
+    
+    const { series, conflicts } = await seriesService.createSeries({
+      name: req.body.name || customer.name,
+      address,
+      service,
+      notes,
+      email: req.body.email || (customer && customer.email),
+      phone: req.body.phone || (customer && customer.phone),
+      customerId: customer && customer.id,
+      preferredTechnicianId: customer && customer.preferences.technicianId,
+      recurrence: { frequency, interval, weekday, startDate, until, count, time, timeOfDay }
+    });
+    
+    if (!series) {
+      await bookingCapService.releaseBooking(reservation);
+      return res.status(409).json({ error: 'No occurrence could be booked', conflicts });
+    }
+    
+    return res.status(201).json({ ...series, conflicts });
+  } catch (error) {
+    await bookingCapService.releaseBooking(reservation);
+    if (error.code === 'NO_TECHNICIAN') {
+      return res.status(409).json({ error: 'No technician offers this service' });
+    }
+    if (error.code === 'BOOKING_CAP') {
+      abuseLog.record('booking_cap_reached', req, { retryAfter: error.retryAfter });
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: 'Daily booking limit reached', retryAfter: error.retryAfter });
+    }
+    return next(error);
+  }
+};
+
+exports.getSeries = async (req, res, next) => {
+  try {
+    const series = await getAccessibleSeries(req, res);
+    if (!series) {
+      return undefined;
+    }
+    
+    return res.status(200).json(series);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Move every upcoming occurrence to a new time or part of the day
+exports.updateSeries = async (req, res, next) => {
+  try {
+    if (!await getAccessibleSeries(req, res)) {
+      return undefined;
+    }
+    
+    const { series, conflicts } = await seriesService.updateSeries(req.params.id, req.body);
+    return res.status(200).json({ ...series, conflicts });
+  } catch (error) {
+    return handleSeriesError(error, res, next);
+  }
+};
+
+// Cancel every upcoming occurrence
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    if (!await getAccessibleSeries(req, res)) {
+      return undefined;
+    }
+    
+    const series = await seriesService.cancelSeries(req.params.id, req.body.reason || '');
+    return res.status(200).json(series);
+  } catch (error) {
+    return handleSeriesError(error, res, next);
+  }
+};
+
+// Move a single occurrence (or book it, if it was a conflict)
+exports.rescheduleOccurrence = async (req, res, next) => {
+  try {
+    const existing = await getAccessibleSeries(req, res);
+    if (!existing) {
+      return undefined;
+    }
+    
+    // As for single appointments, the whole visit must fit in business hours
+    const timeErrors = rules.checkBookingTime(req.body.date, req.body.time, existing.service);
+    if (timeErrors.length > 0) {
+      return next(new ValidationError(timeErrors));
+    }
+    
+    const { series, conflicts } = await seriesService.rescheduleOccurrence(req.params.id, req.params.date, req.body);
+    
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'No suitable time slot available',
+        suggestedAlternatives: conflicts[0].suggestedAlternatives
+      });
+    }
+    
+    return res.status(200).json(series);
+  } catch (error) {
+    return handleSeriesError(error, res, next);
+  }
+};
+
+// Cancel a single occurrence
+exports.cancelOccurrence = async (req, res, next) => {
+  try {
+    if (!await getAccessibleSeries(req, res)) {
+      return undefined;
+    }
+    
+    const series = await seriesService.cancelOccurrence(req.params.id, req.params.date, req.body.reason || '');
+    return res.status(200).json(series);
+  } catch (error) {
+    return handleSeriesError(error, res, next);
+  }
+};
+
+// Helper function to load the series in the URL, answering 404 or 403
+// (and returning null) when it is missing or belongs to someone else
+async function getAccessibleSeries(req, res) {
+  const series = await seriesService.getSeries(req.params.id);
+  
+  if (!series) {
+    res.status(404).json({ error: 'Series not found' });
+    return null;
+  }
+  if (!authService.canAccessCustomer(req.auth, series.customerId)) {
+    res.status(403).json({ error: 'Not allowed to access this series' });
+    return null;
+  }
+  
+  return series;
+}
+
+// Helper function to map series errors onto responses
+function handleSeriesError(error, res, next) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.code === 'SERIES_CANCELLED') {
+    return res.status(409).json({ error: 'Series is cancelled' });
+  }
+  if (error.code === 'SLOT_TAKEN') {
+    return res.status(409).json({ error: 'No suitable time slot available' });
+  }
+  return next(error);
+}
@@ -0,0 +1,159 @@
+const waitlistService = require('../services/waitlistService');
+const customerService = require('../services/customerService');
+const serviceAreaService = require('../services/serviceAreaService');
+const technicianService = require('../services/technicianService');
+const authService = require('../services/authService');
+const timeService = require('../services/timeService');
+
+// Join the waitlist for a service over a date range. The customer is
+// offered the first freed slot that fits their route and time of day.
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    // Fields are validated and normalized by the route's schema
+    const { service, notes, addressId, to, timeOfDay } = req.body;
+    
+    // Customers always join for themselves
+    const customerId = req.auth.role === 'customer' ? req.auth.subject : req.body.customerId;
+    if (req.body.customerId && req.body.customerId !== customerId) {
+      return res.status(403).json({ error: 'Customers can only join the waitlist for themselves' });
+    }
+    
+    // Returning customers can leave out what their record already holds
+    const customer = customerId ? await customerService.getCustomer(customerId) : null;
+    if (customerId && !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    const address = req.body.address || customerService.getAddress(customer, addressId);
+    const email = req.body.email || (customer && customer.email);
+    const phone = req.body.phone || (customer && customer.phone);
+    
+    if (!address) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: addressId ? 'addressId' : 'address', code: 'required', message: 'No saved address found' }]
+      });
+    }
+    // Offers are only useful if they reach the customer
+    if (!email && !phone) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ field: 'email', code: 'required', message: 'Give an email or a phone number to receive offers' }]
+      });
+    }
+    if (technicianService.getTechniciansForService(service).length === 0) {
+      return res.status(409).json({ error: 'No technician offers this service' });
+    }
+    await serviceAreaService.requireServiceArea(address, service);
+    
+    const entry = await waitlistService.addEntry({
+      service,
+      name: req.body.name || customer.name,
+      address,
+      customerId: customer && customer.id,
+      email,
+      phone,
+      notes,
+      from: req.body.from || timeService.now().format('YYYY-MM-DD'),
+      to,
+      timeOfDay: timeOfDay || (customer && customer.preferences.timeOfDay)
+    });
+    
+    return res.status(201).json(entry);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// List the waitlist (staff only), optionally by status
+exports.listWaitlist = async (req, res, next) => {
+  try {
+    const entries = await waitlistService.listEntries({ status: req.query.status });
+    return res.status(200).json(entries);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await getAccessibleEntry(req, res);
+    if (!entry) {
+      return undefined;
+    }
+    
+    return res.status(200).json(entry);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Leave the waitlist
+exports.cancelWaitlistEntry = async (req, res, next) => {
+  try {
+    if (!await getAccessibleEntry(req, res)) {
+      return undefined;
+    }
+    
+    const entry = await waitlistService.cancelEntry(req.params.id);
+    return res.status(200).json(entry);
+  } catch (error) {
+    return handleWaitlistError(error, res, next);
+  }
+};
+
+// Book the slot the entry was offered
+exports.acceptOffer = async (req, res, next) => {
+  try {
+    if (!await getAccessibleEntry(req, res)) {
+      return undefined;
+    }
+    
+    const { entry, appointment } = await waitlistService.acceptOffer(req.params.id);
+    return res.status(201).json({ ...entry, appointment });
+  } catch (error) {
+    return handleWaitlistError(error, res, next);
+  }
+};
+
+// Turn the offer down and keep waiting for another slot
+exports.declineOffer = async (req, res, next) => {
+  try {
+    if (!await getAccessibleEntry(req, res)) {
+      return undefined;
+    }
+    
+    const entry = await waitlistService.declineOffer(req.params.id);
+    return res.status(200).json(entry);
+  } catch (error) {
+    return handleWaitlistError(error, res, next);
+  }
+};
+
+// Helper function to load the entry in the URL, answering 404 or 403
+// (and returning null) when it is missing or belongs to someone else
+async function getAccessibleEntry(req, res) {
+  const entry = await waitlistService.getEntry(req.params.id);
+  
+  if (!entry) {
+    res.status(404).json({ error: 'Waitlist entry not found' });
+    return null;
+  }
+  if (!authService.canAccessCustomer(req.auth, entry.customerId)) {
+    res.status(403).json({ error: 'Not allowed to access this waitlist entry' });
+    return null;
+  }
+  
+  return entry;
+}
+
+// Helper function to map waitlist errors onto responses
+function handleWaitlistError(error, res, next) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (['NO_OFFER', 'OFFER_EXPIRED', 'WAITLIST_BOOKED'].includes(error.code)) {
+    return res.status(409).json({ error: error.message });
+  }
+  return next(error);
+}
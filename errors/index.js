@@ -0,0 +1,95 @@
+// Typed errors
+//
+// Services throw these for failures callers should be told about in a
+// specific way; the error middleware turns them into the matching status
+// code and a JSON body ({ error, code, details?, retryAfter? }). Each keeps
+// the `code` controllers already check (e.g. SLOT_TAKEN), so existing
+// checks keep working. Anything else thrown is answered with a plain 500.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, retryAfter = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+  
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...(this.details ? { details: this.details } : {}),
+      ...(this.retryAfter ? { retryAfter: this.retryAfter } : {})
+    };
+  }
+}
+
+// The request itself is wrong; details lists { field, code, message } per problem
+class ValidationError extends AppError {
+  constructor(details, message = 'Validation failed') {
+    super(message, { status: 400, code: 'VALIDATION_FAILED', details });
+  }
+}
+
+// The requested time is already booked or held
+class SlotConflictError extends AppError {
+  constructor(message = 'Time slot is already booked', details = null) {
+    super(message, { status: 409, code: 'SLOT_TAKEN', details });
+  }
+}
+
+// The calendar backend failed or its circuit is open; nothing was booked
+class CalendarUnavailableError extends AppError {
+  constructor({ retryAfter = null, cause } = {}) {
+    super('Calendar is temporarily unavailable, please try again shortly', {
+      status: 503,
+      code: 'CALENDAR_UNAVAILABLE',
+      retryAfter,
+      cause
+    });
+  }
+}
+
+// Geocoding or travel times could not be fetched, so no route can be checked
+class RoutingUnavailableError extends AppError {
+  constructor({ retryAfter = null, cause } = {}) {
+    super('Route planning is temporarily unavailable, please try again shortly', {
+      status: 503,
+      code: 'ROUTING_UNAVAILABLE',
+      retryAfter,
+      cause
+    });
+  }
+}
+
+// The calendar backend turned the request down (a 4xx other than 408/429).
+// The backend is up, so this keeps its status instead of reporting an
+// outage; a missing event is reported as NOT_FOUND.
+class CalendarRequestError extends AppError {
+  constructor(status, { cause } = {}) {
+    const missing = status === 404 || status === 410;
+    super(missing ? 'Appointment not found' : 'Calendar rejected the request', {
+      status: missing ? 404 : status,
+      code: missing ? 'NOT_FOUND' : 'CALENDAR_REJECTED',
+      cause
+    });
+  }
+}
+
+// Turn a caught error into the one a service rethrows: typed errors pass
+// through unchanged, anything else becomes a plain Error with the message
+function toServiceError(error, message) {
+  return error instanceof AppError ? error : new Error(message);
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  SlotConflictError,
+  CalendarUnavailableError,
+  RoutingUnavailableError,
+  CalendarRequestError,
+  toServiceError
+};
@@ -0,0 +1,7 @@
+// Run the tests the way production servers run: with the machine clock in
+// UTC, so anything that leans on the local zone instead of the business
+// timezone shows up. Set here because workers inherit the environment;
+// changing TZ inside a test file has no effect.
+module.exports = () => {
+  process.env.TZ = 'UTC';
+};
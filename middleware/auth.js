@@ -0,0 +1,65 @@
+const authService = require('../services/authService');
+const logger = require('../services/logger');
+
+// Authentication middleware.
+//
+// authenticate reads the caller's credentials, an API key in X-API-Key or a
+// JWT (or API key) in "Authorization: Bearer ...", and sets req.auth to the
+// principal ({ role, subject, name }) or null for anonymous callers. Bad
+// credentials are rejected with 401 rather than treated as anonymous.
+//
+// requireRole(...roles) then lets only those roles through: 401 for
+// anonymous callers, 403 for other roles. Finer checks (a customer's own
+// bookings, a technician's own route) are made by the controllers.
+//
+// AUTH_MODE=off skips all of this and treats every caller as an admin; it
+// is meant for local development only.
+const AUTH_MODE = (process.env.AUTH_MODE || 'on').toLowerCase();
+
+if (AUTH_MODE === 'off') {
+  logger.warn('AUTH_MODE=off: authentication is disabled and every caller is an admin');
+}
+
+exports.authenticate = (req, res, next) => {
+  if (AUTH_MODE === 'off') {
+    req.auth = { role: 'admin', subject: null, name: 'auth-disabled' };
+    return next();
+  }
+  
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization') || '';
+  const bearerMatch = authorization.match(/^Bearer\s+(.+)$/i);
+  
+  if (!apiKey && !bearerMatch) {
+    req.auth = null;
+    return next();
+  }
+  
+  req.auth = authService.authenticate({ apiKey, bearerToken: bearerMatch && bearerMatch[1].trim() });
+  
+  if (!req.auth) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'Invalid or expired credentials' });
+  }
+  
+  next();
+};
+
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.auth) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  if (!roles.includes(req.auth.role)) {
+    return res.status(403).json({ error: 'Not allowed for your role' });
+  }
+  
+  next();
+};
+
+// Every signed-in role
+exports.ANY_ROLE = authService.ROLES;
+
+// Dispatchers and admins
+exports.STAFF = authService.STAFF_ROLES;
@@ -0,0 +1,37 @@
+const { AppError } = require('../errors');
+const abuseLog = require('../services/abuseLog');
+const logger = require('../services/logger');
+
+// Error handling middleware.
+//
+// Typed errors (see errors/) are answered with their own status code and
+// JSON body, plus a Retry-After header when the failing backend said when
+// to come back. Oversized and malformed JSON bodies get 413 and 400.
+// Anything else is a bug: it is logged and answered with a plain 500 that
+// gives nothing away.
+module.exports = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  if (err.type === 'entity.too.large') {
+    abuseLog.record('payload_too_large', req, { length: err.length, limit: err.limit });
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  
+  if (err instanceof AppError) {
+    if (err.status >= 500) {
+      logger.error('Backend unavailable', { code: err.code, error: err });
+    }
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(err.status).json(err.toJSON());
+  }
+  
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({ error: 'Something went wrong!' });
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotencyService');
+
+// Longest Idempotency-Key accepted
+const MAX_KEY_LENGTH = 255;
+
+// Client errors that depend on the moment, not the request (a timeout, a
+// slot someone else just took, a limit that resets), so a retry may succeed
+const TRANSIENT_STATUSES = [408, 409, 429];
+
+// Idempotency middleware for POST endpoints.
+//
+// When a request carries an Idempotency-Key header, its response is kept
+// and replayed (with an Idempotent-Replayed header) for any retry with the
+// same key. Reusing a key for a different request is rejected with 422,
+// and a retry arriving while the first request still runs gets 409.
+// Server errors and transient refusals (such as 409 for a slot just taken
+// or 429 for a limit reached) are not remembered, so those requests can be
+// retried.
+// Requests without the header are passed through untouched.
+module.exports = (req, res, next) => {
+  const headerKey = req.get('Idempotency-Key');
+  
+  if (!headerKey) {
+    return next();
+  }
+  
+  if (headerKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: [{ field: 'Idempotency-Key', code: 'too_long', message: `Must be at most ${MAX_KEY_LENGTH} characters` }]
+    });
+  }
+  
+  // Keys are scoped to the caller so one caller can never replay another's response
+  const caller = req.auth ? `${req.auth.role}:${req.auth.subject || req.auth.name}` : 'anonymous';
+  const key = `${caller}:${headerKey}`;
+  
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+  const record = idempotencyService.getRecord(key);
+  
+  if (record) {
+    if (record.fingerprint !== fingerprint) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+    }
+    if (record.state === 'pending') {
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.status).json(record.body);
+  }
+  
+  idempotencyService.start(key, fingerprint);
+  
+  // Capture the response the handler sends
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500 || TRANSIENT_STATUSES.includes(res.statusCode)) {
+      idempotencyService.forget(key);
+    } else {
+      idempotencyService.complete(key, res.statusCode, body);
+    }
+    return json(body);
+  };
+  
+  // A handler that ends the response without res.json leaves nothing to replay
+  res.on('finish', () => {
+    const current = idempotencyService.getRecord(key);
+    if (current && current.state === 'pending') {
+      idempotencyService.forget(key);
+    }
+  });
+  
+  next();
+};
@@ -0,0 +1,57 @@
+const idempotency = require('./idempotency');
+
+// Send a request through the middleware to a handler answering with status;
+// resolves to the response the caller got
+function send(key, status, body = { status }) {
+  return new Promise(resolve => {
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/book-appointment',
+      body: { name: 'Ann' },
+      auth: { role: 'customer', subject: 'cus_1' },
+      get: () => key
+    };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload, replayed: this.headers['Idempotent-Replayed'] === 'true' });
+        return this;
+      },
+      on() {}
+    };
+    
+    idempotency(req, res, () => res.status(status).json(body));
+  });
+}
+
+describe('idempotency middleware', () => {
+  test('replays a finished response for a retry with the same key', async () => {
+    await send('key-created', 201, { id: 'apt_1' });
+    
+    await expect(send('key-created', 201, { id: 'apt_2' }))
+      .resolves.toEqual({ status: 201, body: { id: 'apt_1' }, replayed: true });
+  });
+  
+  test.each([408, 409, 429, 500, 503])('lets a request answered with %i run again on retry', async (status) => {
+    const key = `key-${status}`;
+    await send(key, status);
+    
+    await expect(send(key, 201, { id: 'apt_3' }))
+      .resolves.toEqual({ status: 201, body: { id: 'apt_3' }, replayed: false });
+  });
+  
+  test('remembers other client errors', async () => {
+    await send('key-invalid', 400, { error: 'Validation failed' });
+    
+    await expect(send('key-invalid', 201)).resolves.toMatchObject({ status: 400, replayed: true });
+  });
+});
@@ -0,0 +1,49 @@
+const rateLimit = require('./rateLimit');
+
+// Request limits for the expensive or abusable endpoints. Each limit is
+// "<max> per <window>" and configurable through the environment; 0 turns
+// a limit off.
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Every chat message may call the LLM
+exports.chatPerIp = rateLimit({
+  name: 'chat-ip',
+  max: envInt('CHAT_RATE_LIMIT_PER_IP', 30),
+  windowSeconds: envInt('CHAT_RATE_LIMIT_WINDOW_SECONDS', 60),
+  key: rateLimit.byIp
+});
+
+exports.chatPerSession = rateLimit({
+  name: 'chat-session',
+  max: envInt('CHAT_RATE_LIMIT_PER_SESSION', 15),
+  windowSeconds: envInt('CHAT_RATE_LIMIT_WINDOW_SECONDS', 60),
+  key: rateLimit.byChatSession
+});
+
+// Every address check may call the geocoding API
+exports.addressCheckPerIp = rateLimit({
+  name: 'address-check-ip',
+  max: envInt('ADDRESS_CHECK_RATE_LIMIT_PER_IP', 30),
+  windowSeconds: envInt('ADDRESS_CHECK_RATE_LIMIT_WINDOW_SECONDS', 60),
+  key: rateLimit.byIp
+});
+
+// Every availability search plans routes for each technician and day
+exports.availabilityPerIp = rateLimit({
+  name: 'availability-ip',
+  max: envInt('AVAILABILITY_RATE_LIMIT_PER_IP', 30),
+  windowSeconds: envInt('AVAILABILITY_RATE_LIMIT_WINDOW_SECONDS', 60),
+  key: rateLimit.byIp
+});
+
+// Booking and holding slots writes to the calendar
+exports.bookingPerIp = rateLimit({
+  name: 'booking-ip',
+  max: envInt('BOOKING_RATE_LIMIT_PER_IP', 10),
+  windowSeconds: envInt('BOOKING_RATE_LIMIT_WINDOW_SECONDS', 60 * 60),
+  key: rateLimit.byIp
+});
@@ -0,0 +1,44 @@
+const { getStore } = require('../services/rateLimit');
+const abuseLog = require('../services/abuseLog');
+const logger = require('../services/logger');
+
+// Rate limiting middleware factory.
+//
+// rateLimit({ name, max, windowSeconds, key }) counts requests per key(req)
+// (e.g. the caller's IP or chat session) in fixed windows, and answers
+// requests over max with 429 and a Retry-After header. A key function
+// returning null skips the limit for that request. Rejected requests are
+// written to the abuse log. If the counter store fails, requests are let
+// through rather than taking the API down with it.
+module.exports = ({ name, max, windowSeconds, key }) => async (req, res, next) => {
+  const subject = key(req);
+  
+  if (!subject || !(max > 0)) {
+    return next();
+  }
+  
+  let counter;
+  try {
+    counter = await getStore().increment(`${name}:${subject}`, windowSeconds * 1000);
+  } catch (error) {
+    logger.error('Error checking rate limit', { limit: name, error });
+    return next();
+  }
+  
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(0, max - counter.count)));
+  
+  if (counter.count > max) {
+    const retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+    abuseLog.record('rate_limited', req, { limit: name, key: subject, count: counter.count, max });
+    
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many requests', retryAfter });
+  }
+  
+  next();
+};
+
+// Key functions for the common cases
+module.exports.byIp = (req) => req.ip;
+module.exports.byChatSession = (req) => (req.body && typeof req.body.sessionId === 'string' ? req.body.sessionId : null);
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+
+// Request ids accepted from callers (anything else is replaced)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Request context middleware.
+//
+// Gives every request an id, taken from the caller's X-Request-Id header
+// or generated, echoes it back in X-Request-Id and runs the rest of the
+// request in a logger context so every log entry it causes carries the
+// id. When the response is sent, the request is logged (method, route,
+// status and duration, never the query string or body) and counted in
+// the HTTP metrics.
+module.exports = (req, res, next) => {
+  const headerId = req.get('X-Request-Id');
+  const requestId = headerId && REQUEST_ID_PATTERN.test(headerId) ? headerId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  
+  res.on('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = getRoute(req);
+    
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpLatency.observe({ method: req.method, route }, durationSeconds);
+    if (res.statusCode === 409) {
+      metrics.conflicts.inc({ route });
+    }
+    
+    logger.runWithContext({ requestId }, () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationSeconds * 1000),
+        role: req.auth ? req.auth.role : null
+      });
+    });
+  });
+  
+  logger.runWithContext({ requestId }, next);
+};
+
+// Re-enter the request's context. Body parsing resumes in the socket's
+// context, so this runs again right after it.
+module.exports.restore = (req, res, next) => {
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+// Helper function to name the matched route (e.g. /appointments/:id)
+// without ids, so metrics get one series per endpoint. The router's mount
+// path is left out: it is already gone when an error is answered.
+function getRoute(req) {
+  return req.route ? req.route.path : 'unmatched';
+}
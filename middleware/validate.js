@@ -0,0 +1,20 @@
+const { ValidationError } = require('../errors');
+const validateRequest = require('../validation/validateRequest');
+
+// Request validation middleware.
+//
+// A schema lists rules per request location (params, query, body) and an
+// optional `check(req)` for cross-field rules that runs once every field is
+// valid. Valid values are normalized in place; otherwise the request is
+// rejected with a ValidationError (400 with one { field, code, message }
+// entry per problem), before any controller (and so any calendar or route
+// call) runs.
+module.exports = (schema) => (req, res, next) => {
+  const errors = validateRequest(schema, req);
+  
+  if (errors.length > 0) {
+    return next(new ValidationError(errors));
+  }
+  
+  next();
+};
@@ -1,14 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointmentController');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+const { requireRole, ANY_ROLE, STAFF } = require('../middleware/auth');
+const limiters = require('../middleware/limiters');
+const schemas = require('../validation/schemas');
 
-// Book an appointment
-router.post('/book-appointment', appointmentController.bookAppointment);
+// Book an appointment (retries with the same Idempotency-Key book only once)
+router.post('/book-appointment', requireRole('customer', ...STAFF), limiters.bookingPerIp, idempotency, validate(schemas.bookAppointment), appointmentController.bookAppointment);
 
-// Get appointments for a specific day
-router.get('/appointments', appointmentController.getAppointments);
+// Search bookable start times across a date range (limited per IP)
+router.get('/availability', limiters.availabilityPerIp, validate(schemas.getAvailability), appointmentController.getAvailability);
 
-// Chat endpoint for conversational booking
-router.post('/chat', appointmentController.chatHandler);
+// Get appointments for a specific day (technicians see only their own)
+router.get('/appointments', requireRole('technician', ...STAFF), validate(schemas.getAppointments), appointmentController.getAppointments);
 
-module.exports = router;
\ No newline at end of file
+// Get a single appointment
+router.get('/appointments/:id', requireRole(...ANY_ROLE), validate(schemas.getAppointment), appointmentController.getAppointment);
+
+// Reschedule an appointment
+router.put('/appointments/:id', requireRole('customer', ...STAFF), validate(schemas.rescheduleAppointment), appointmentController.rescheduleAppointment);
+
+// Cancel an appointment (kept with its status history, not deleted)
+router.delete('/appointments/:id', requireRole('customer', ...STAFF), validate(schemas.cancelAppointment), appointmentController.cancelAppointment);
+
+// Shorten an appointment, freeing the rest of its slot for the waitlist
+router.put('/appointments/:id/duration', requireRole('technician', ...STAFF), validate(schemas.shortenAppointment), appointmentController.shortenAppointment);
+
+// Chat endpoint for conversational booking (open to anonymous callers, who
+// can only book for themselves; limited per IP and per session)
+router.post('/chat', limiters.chatPerIp, limiters.chatPerSession, validate(schemas.chat), appointmentController.chatHandler);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const validate = require('../middleware/validate');
+const { requireRole, ANY_ROLE } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+
+// Issue a JWT for a customer, technician or staff member
+router.post('/auth/tokens', requireRole('admin'), validate(schemas.issueToken), authController.issueToken);
+
+// The caller's role and identity
+router.get('/auth/me', requireRole(...ANY_ROLE), authController.getCurrentPrincipal);
+
+module.exports = router;
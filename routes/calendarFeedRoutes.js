@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const calendarFeedController = require('../controllers/calendarFeedController');
+const validate = require('../middleware/validate');
+const { requireRole, ANY_ROLE, STAFF } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+
+// Download one appointment as an .ics file
+router.get('/appointments/:id/ics', requireRole(...ANY_ROLE), validate(schemas.getAppointment), calendarFeedController.getAppointmentCalendar);
+
+// Subscription URLs (with their secret token) for calendar apps
+router.get('/feeds/technicians/:id', requireRole('technician', ...STAFF), validate(schemas.getFeedLink), calendarFeedController.getTechnicianFeedLink);
+router.get('/feeds/customers/:id', requireRole('customer', ...STAFF), validate(schemas.getFeedLink), calendarFeedController.getCustomerFeedLink);
+
+// The feeds themselves; calendar apps can't send credentials, so the
+// token in the URL is checked instead
+router.get('/feeds/technicians/:id/calendar.ics', validate(schemas.getCalendarFeed), calendarFeedController.getTechnicianFeed);
+router.get('/feeds/customers/:id/calendar.ics', validate(schemas.getCalendarFeed), calendarFeedController.getCustomerFeed);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+const validate = require('../middleware/validate');
+const limiters = require('../middleware/limiters');
+const schemas = require('../validation/schemas');
+
+// Services offered, with durations and price estimates
+router.get('/services', catalogController.getServices);
+
+// Opening hours, holidays and blackout dates
+router.get('/business-hours', validate(schemas.getBusinessHours), catalogController.getBusinessHours);
+
+// Service area zones, with the services offered and travel surcharge in each
+router.get('/service-areas', catalogController.getServiceAreas);
+
+// Check whether an address (and optionally a service) is in the service area
+router.get('/service-areas/check', limiters.addressCheckPerIp, validate(schemas.checkServiceArea), catalogController.checkServiceArea);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const validate = require('../middleware/validate');
+const { requireRole, ANY_ROLE, STAFF } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+
+// Create a customer record
+router.post('/customers', requireRole(...STAFF), validate(schemas.createCustomer), customerController.createCustomer);
+
+// Find a customer by email or phone
+router.get('/customers', requireRole(...STAFF), validate(schemas.findCustomers), customerController.findCustomers);
+
+// Get a customer record (customers only their own)
+router.get('/customers/:id', requireRole(...ANY_ROLE), validate(schemas.getCustomer), customerController.getCustomer);
+
+// Update contact details and preferences
+router.put('/customers/:id', requireRole(...ANY_ROLE), validate(schemas.updateCustomer), customerController.updateCustomer);
+
+// Save another address
+router.post('/customers/:id/addresses', requireRole(...ANY_ROLE), validate(schemas.addCustomerAddress), customerController.addAddress);
+
+// Remove a saved address
+router.delete('/customers/:id/addresses/:addressId', requireRole(...ANY_ROLE), validate(schemas.removeCustomerAddress), customerController.removeAddress);
+
+// Past and upcoming appointments
+router.get('/customers/:id/appointments', requireRole(...ANY_ROLE), validate(schemas.getCustomer), customerController.getCustomerAppointments);
+
+module.exports = router;
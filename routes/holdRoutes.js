@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const holdController = require('../controllers/holdController');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+const { requireRole, STAFF } = require('../middleware/auth');
+const limiters = require('../middleware/limiters');
+const schemas = require('../validation/schemas');
+
+// Reserve a slot for a few minutes
+router.post('/holds', requireRole('customer', ...STAFF), limiters.bookingPerIp, idempotency, validate(schemas.createHold), holdController.createHold);
+
+// Get a live hold
+router.get('/holds/:id', requireRole('customer', ...STAFF), validate(schemas.getHold), holdController.getHold);
+
+// Book the held slot
+router.post('/holds/:id/confirm', requireRole('customer', ...STAFF), limiters.bookingPerIp, idempotency, validate(schemas.confirmHold), holdController.confirmHold);
+
+// Give the slot back before the hold expires
+router.delete('/holds/:id', requireRole('customer', ...STAFF), validate(schemas.getHold), holdController.releaseHold);
+
+module.exports = router;
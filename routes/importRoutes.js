@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const validate = require('../middleware/validate');
+const { requireRole, STAFF } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+
+// Import files are sent as the raw request body, so they get their own
+// (larger) size limit than JSON requests
+const readImportFile = express.text({
+  type: ['text/csv', 'text/calendar', 'text/plain'],
+  limit: process.env.IMPORT_BODY_LIMIT || '1mb'
+});
+
+// Check a CSV or ICS file of appointments (dry run), or book it with commit=true
+router.post('/imports', requireRole(...STAFF), readImportFile, validate(schemas.importAppointments), importController.importAppointments);
+
+module.exports = router;
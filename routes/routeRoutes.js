@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const routeController = require('../controllers/routeController');
+const validate = require('../middleware/validate');
+const { requireRole, STAFF } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+
+// Optimized day plan per technician, optionally testing a proposed stop
+// (technicians see only their own route)
+router.get('/routes/:date', requireRole('technician', ...STAFF), validate(schemas.getDayRoute), routeController.getDayRoute);
+
+module.exports = router;
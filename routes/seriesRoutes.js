@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/seriesController');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+const { requireRole, STAFF } = require('../middleware/auth');
+const limiters = require('../middleware/limiters');
+const schemas = require('../validation/schemas');
+
+// Book a recurring series (e.g. every 2 weeks on Tuesday mornings)
+router.post('/series', requireRole('customer', ...STAFF), limiters.bookingPerIp, idempotency, validate(schemas.createSeries), seriesController.createSeries);
+
+// Get a series with each occurrence's appointment
+router.get('/series/:id', requireRole('customer', ...STAFF), validate(schemas.getSeries), seriesController.getSeries);
+
+// Change the time of every upcoming occurrence
+router.put('/series/:id', requireRole('customer', ...STAFF), validate(schemas.updateSeries), seriesController.updateSeries);
+
+// Cancel every upcoming occurrence
+router.delete('/series/:id', requireRole('customer', ...STAFF), validate(schemas.cancelSeries), seriesController.cancelSeries);
+
+// Move one occurrence, addressed by its date in the series
+router.put('/series/:id/occurrences/:date', requireRole('customer', ...STAFF), validate(schemas.rescheduleOccurrence), seriesController.rescheduleOccurrence);
+
+// Cancel one occurrence
+router.delete('/series/:id/occurrences/:date', requireRole('customer', ...STAFF), validate(schemas.cancelOccurrence), seriesController.cancelOccurrence);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const validate = require('../middleware/validate');
+const { requireRole, STAFF } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+
+// Join the waitlist for a service over a date range
+router.post('/waitlist', requireRole('customer', ...STAFF), validate(schemas.joinWaitlist), waitlistController.joinWaitlist);
+
+// List the waitlist, optionally by status
+router.get('/waitlist', requireRole(...STAFF), validate(schemas.listWaitlist), waitlistController.listWaitlist);
+
+// Get a waitlist entry with its current offer, if any
+router.get('/waitlist/:id', requireRole('customer', ...STAFF), validate(schemas.waitlistEntry), waitlistController.getWaitlistEntry);
+
+// Leave the waitlist
+router.delete('/waitlist/:id', requireRole('customer', ...STAFF), validate(schemas.waitlistEntry), waitlistController.cancelWaitlistEntry);
+
+// Accept (book) or decline the slot an entry was offered
+router.post('/waitlist/:id/accept', requireRole('customer', ...STAFF), validate(schemas.waitlistEntry), waitlistController.acceptOffer);
+router.post('/waitlist/:id/decline', requireRole('customer', ...STAFF), validate(schemas.waitlistEntry), waitlistController.declineOffer);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Bulk import of appointments from the command line
+//
+//   node scripts/importAppointments.js jobs.csv            # dry run report
+//   node scripts/importAppointments.js jobs.ics --commit   # book all or nothing
+//
+// The format comes from the file extension (.csv or .ics). Uses the same
+// configuration (.env) and checks as POST /api/imports. Exits with 1 when
+// the file is invalid or, on commit, when nothing was imported.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Keep the report readable: only warnings and errors are logged
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const importService = require('../services/importService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const commit = args.includes('--commit');
+  const format = file && path.extname(file).slice(1).toLowerCase();
+  
+  if (!file || !importService.FORMATS.includes(format)) {
+    console.error(`Usage: node scripts/importAppointments.js <file.${importService.FORMATS.join('|file.')}> [--commit]`);
+    return 1;
+  }
+  
+  const report = await importService.importAppointments({
+    format,
+    content: fs.readFileSync(file, 'utf8'),
+    dryRun: !commit
+  });
+  
+  for (const row of report.rows) {
+    const { date = '?', time = '?', service = '?' } = row.input;
+    let detail = row.technicianId ? `technician ${row.technicianId}` : '';
+    if (row.errors) {
+      detail = row.errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    } else if (row.suggestedAlternatives) {
+      detail = `try ${row.suggestedAlternatives.map(alternative => `${alternative.date} ${alternative.time}`).join(', ') || 'another day'}`;
+    }
+    console.log(`${String(row.row).padStart(4)}  ${row.status.padEnd(6)}  ${date} ${time}  ${service}  (${row.reference})  ${detail}`);
+  }
+  
+  const { total, book, clash, fail } = report.summary;
+  console.log(`\n${total} rows: ${book} can book, ${clash} clash, ${fail} fail`);
+  
+  if (!commit) {
+    console.log('Dry run: nothing was booked. Run again with --commit to book.');
+    return 0;
+  }
+  if (!report.committed) {
+    console.log('Nothing was imported: fix the rows that clash or fail first.');
+    return 1;
+  }
+  console.log(`Imported ${total} appointments.`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.code === 'INVALID_IMPORT' ? error.message : error);
+    process.exit(1);
+  });
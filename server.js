@@ -8,36 +8,107 @@ dotenv.config();
 
 // Import routes
 const appointmentRoutes = require('./routes/appointmentRoutes');
+const routeRoutes = require('./routes/routeRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const holdRoutes = require('./routes/holdRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const authRoutes = require('./routes/authRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const calendarFeedRoutes = require('./routes/calendarFeedRoutes');
+const importRoutes = require('./routes/importRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const { authenticate } = require('./middleware/auth');
+const reminderScheduler = require('./services/reminderScheduler');
+const waitlistService = require('./services/waitlistService');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const requestContext = require('./middleware/requestContext');
+const errorHandler = require('./middleware/errorHandler');
+const appMode = require('./services/appMode');
+const resilience = require('./services/resilience');
+const geo = require('./services/geo');
+const storage = require('./services/storage');
 
 // Initialize express app
 const app = express();
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the
+// client's address rather than the proxy's; rate limits are keyed on it
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
+app.use(requestContext);
 app.use(cors({
   origin: ['https://lively-donut-d17e0d.netlify.app', 'http://localhost:3000'],
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id']
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: process.env.REQUEST_BODY_LIMIT || '20kb' }));
+app.use(requestContext.restore);
+app.use('/api', authenticate);
 
 // Routes
 app.use('/api', appointmentRoutes);
+app.use('/api', routeRoutes);
+app.use('/api', catalogRoutes);
+app.use('/api', holdRoutes);
+app.use('/api', customerRoutes);
+app.use('/api', authRoutes);
+app.use('/api', seriesRoutes);
+app.use('/api', calendarFeedRoutes);
+app.use('/api', importRoutes);
+app.use('/api', waitlistRoutes);
 
-// Health check endpoint
+// Health check endpoint. Open circuits (a backend failing) are reported
+// but don't fail the check, since restarting the API would not help.
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
+  res.status(200).json({
+    status: 'ok',
+    mode: appMode.getMode(),
+    circuits: resilience.getCircuitStates()
+  });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+// Metrics in the Prometheus text format. Set METRICS_TOKEN to require
+// "Authorization: Bearer <token>" from the scraper.
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.status(200).send(metrics.render());
 });
 
+// Error handling middleware
+app.use(errorHandler);
+
+// Fail at startup, not on the first booking, when no calendar storage or
+// geo provider is configured
+storage.getStore();
+geo.getProvider();
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', { port: Number(PORT), mode: appMode.getMode() });
+  if (appMode.DEMO_MODE) {
+    logger.warn('DEMO_MODE=true: using offline calendar, geo, chat and notification backends');
+  }
+  
+  // Send appointment reminders unless turned off (e.g. on extra instances)
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    reminderScheduler.start();
+  }
+  
+  // Expire unanswered waitlist offers, passing their slots on
+  if (process.env.WAITLIST_SCAN_ENABLED !== 'false') {
+    waitlistService.start();
+  }
 });
 
 module.exports = app; // For testing purposes
\ No newline at end of file
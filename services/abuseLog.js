@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// File abuse events (rate limits hit, oversized requests, booking caps) are
+// appended to, one JSON object per line, kept apart from the error log
+const ABUSE_LOG_PATH = process.env.ABUSE_LOG_PATH ||
+  path.join(__dirname, '..', 'logs', 'abuse.log');
+
+// Appends are chained so concurrent events never interleave
+let writeQueue = Promise.resolve();
+
+// Record an abuse event for a request, e.g. record('rate_limited', req, { limit: 'chat-ip' })
+exports.record = (event, req, details = {}) => {
+  const entry = {
+    at: new Date().toISOString(),
+    event,
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    role: req.auth ? req.auth.role : null,
+    subject: req.auth ? req.auth.subject : null,
+    ...details
+  };
+  
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(ABUSE_LOG_PATH), { recursive: true });
+      await fs.promises.appendFile(ABUSE_LOG_PATH, `${JSON.stringify(entry)}\n`);
+    })
+    .catch(error => logger.error('Error writing abuse log', { error }));
+  
+  return writeQueue;
+};
@@ -1,96 +1,114 @@
 const dotenv = require('dotenv');
+const extractionService = require('./extractionService');
+const catalogService = require('./catalogService');
+const businessCalendarService = require('./businessCalendarService');
+const llm = require('./llm');
+const { renderTemplate } = require('./llm/prompts');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 dotenv.config();
 
-// Try to load Hugging Face, but don't fail if it's not available
-let HfInference;
-let inference;
-let HF_API_KEY = process.env.HF_API_KEY; // Define this at the top level
-
-try {
-  const { HfInference: HfInferenceImport } = require('@huggingface/inference');
-  HfInference = HfInferenceImport;
-  
-  // Initialize Hugging Face client with API key and timeout
-  if (HF_API_KEY) {
-    inference = new HfInference(HF_API_KEY, {
-      timeout: 30000 // 30 seconds timeout
-    });
-    console.log('Hugging Face inference initialized successfully');
-  } else {
-    console.log('No Hugging Face API key found, falling back to rule-based responses');
-  }
-} catch (error) {
-  console.log('Hugging Face package not available, falling back to rule-based responses');
-}
-
 exports.processMessage = async (message, conversationHistory = []) => {
-  // Check if Hugging Face is available
-  if (inference) {
+  // Check if an LLM provider is available
+  if (llm.getProvider()) {
     try {
-      console.log('Processing message with Hugging Face:', message);
-      
-      // Format conversation for the model
-      let prompt = "You are RouteRover AI, an assistant for a home service company. ";
-      prompt += "You help customers book appointments for services like cleaning, repair, plumbing, electrical, and landscaping. ";
-      prompt += "Be friendly, helpful, and concise.\n\n";
-      
-      // Add conversation history
-      if (conversationHistory.length > 0) {
-        conversationHistory.forEach(msg => {
-          const role = msg.role === 'user' ? 'User' : 'Assistant';
-          prompt += `${role}: ${msg.content}\n`;
-        });
-      }
-      
-      // Add current message
-      prompt += `User: ${message}\nAssistant:`;
-      
-      console.log('Using Hugging Face API key:', HF_API_KEY ? 'Key is set' : 'Key is missing');
-      console.log('Prompt being sent to model:', prompt);
-      
-      // Try a different model that's more reliable for this use case
-      const response = await inference.textGeneration({
-        model: 'facebook/opt-125m', // Even smaller, more reliable model
-        inputs: prompt,
-        parameters: {
-          max_new_tokens: 100,
-          temperature: 0.7,
-          top_p: 0.95,
-          do_sample: true
-        }
+      const system = renderTemplate('system', {
+        services: formatList(catalogService.getServiceNames())
       });
       
-      console.log('Hugging Face response:', response);
+      // Chat-style providers use the messages, completion-style ones the prompt
+      const messages = [
+        ...conversationHistory.map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content })),
+        { role: 'user', content: message }
+      ];
+      const history = conversationHistory
+        .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`)
+        .join('');
+      const prompt = renderTemplate('completion', { system, history, message });
       
-      // Extract the generated text
-      const assistantMessage = response.generated_text.trim();
+      const assistantMessage = await llm.generate({ system, messages, prompt });
       
       // Simple intent detection
       const intent = detectIntent(message);
       
-      return {
+      return withExtractedData({
         response: assistantMessage,
         intent: intent,
         appointmentBooked: false
-      };
+      }, message);
     } catch (error) {
-      console.error('Error calling Hugging Face API:', error);
-      console.error('Error details:', error.message);
-      if (error.response) {
-        console.error('Error response:', error.response.data);
-      }
-      
-      // Fallback to rule-based responses
-      return generateFallbackResponse(message);
+      // Timeouts, API errors and empty replies all drop to the rule-based responses
+      logger.error('Error generating LLM response, using fallback', { error });
+      metrics.llmFallbacks.inc({ reason: 'error' });
+      return withExtractedData(generateFallbackResponse(message), message);
     }
   } else {
-    // Hugging Face not available, use fallback
-    console.log('Using fallback response system');
-    return generateFallbackResponse(message);
+    // No LLM available, use fallback
+    logger.debug('Using fallback response system');
+    metrics.llmFallbacks.inc({ reason: 'unavailable' });
+    return withExtractedData(generateFallbackResponse(message), message);
+  }
+};
+
+// Follow-up questions for booking fields that are still missing. The ones
+// quoting services or hours are built from the catalog and business calendar.
+const FOLLOW_UP_QUESTIONS = {
+  name: () => "Sure! Could I have your name, please?",
+  address: () => "What's the address where you need the service?",
+  service: () => `Which service do you need? We offer ${formatList(catalogService.getServiceNames())}.`,
+  date: () => "What date would you like? You can say something like 'tomorrow' or give a date such as 2025-06-15.",
+  time: () => `What time works best for you? Our hours are ${businessCalendarService.describeHours()}.`
+};
+
+// Get the question to ask for a missing booking field
+exports.getFollowUpQuestion = (field) => FOLLOW_UP_QUESTIONS[field] && FOLLOW_UP_QUESTIONS[field]();
+
+// Get the summary the customer must confirm before anything is booked,
+// including the travel surcharge of the address's zone if it has one
+exports.getConfirmationPrompt = ({ name, address, service, date, time }, travelSurcharge = null) => {
+  const surchargeNote = travelSurcharge
+    ? ` A travel surcharge of ${formatPrice(travelSurcharge.amount, travelSurcharge.currency)} applies at this address.`
+    : '';
+  return `Great, let me confirm: ${service} for ${name} at ${address} on ${date} at ${time}.${surchargeNote} Shall I book it? (yes/no)`;
+};
+
+// Detect a yes/no answer to a confirmation question ('yes', 'no' or null)
+exports.detectConfirmation = (message) => {
+  const lowerMessage = message.toLowerCase().trim();
+  
+  if (/^(yes|yeah|yep|sure|ok|okay|confirm|please do|go ahead|book it)\b/.test(lowerMessage)) {
+    return 'yes';
+  } else if (/^(no|nope|nah|cancel|don't|do not|wait)\b/.test(lowerMessage)) {
+    return 'no';
   }
+  return null;
 };
 
+// Attach extracted booking details to a response and upgrade the intent.
+// A message naming a service and a date/time is a booking request even
+// without the word "book"; one with every detail is ready to book.
+function withExtractedData(result, message) {
+  const extractedData = extractionService.extractEntities(message);
+  
+  if (Object.keys(extractedData).length === 0) {
+    return result;
+  }
+  
+  const { name, address, service, timePreferences = [] } = extractedData;
+  const firstPreference = timePreferences[0] || {};
+  let intent = result.intent;
+  
+  if (service && timePreferences.length > 0) {
+    intent = 'booking';
+  }
+  
+  if (intent === 'booking' && name && address && service && firstPreference.date && firstPreference.time) {
+    intent = 'book_appointment';
+  }
+  
+  return { ...result, intent, extractedData };
+}
 
 // Simple intent detection function
 function detectIntent(message) {
@@ -100,9 +118,7 @@ function detectIntent(message) {
     return 'booking';
   } else if (lowerMessage.includes('cancel') || lowerMessage.includes('reschedule')) {
     return 'cancellation';
-  } else if (lowerMessage.includes('service') || lowerMessage.includes('repair') || 
-             lowerMessage.includes('clean') || lowerMessage.includes('plumb') || 
-             lowerMessage.includes('electric') || lowerMessage.includes('landscape')) {
+  } else if (lowerMessage.includes('service') || catalogService.matchService(lowerMessage)) {
     return 'service_inquiry';
   } else {
     return 'general_conversation';
@@ -116,7 +132,7 @@ function generateFallbackResponse(message) {
   // Simple rule-based responses
   if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
     return {
-      response: "Hello! I'm RouteRover AI. How can I help you today? I can schedule cleaning, repair, plumbing, electrical, or landscaping services for you.",
+      response: `Hello! I'm RouteRover AI. How can I help you today? I can schedule ${formatList(catalogService.getServiceNames(), 'or')} services for you.`,
       intent: "greeting"
     };
   } else if (lowerMessage.includes('book') || lowerMessage.includes('schedule') || lowerMessage.includes('appointment')) {
@@ -126,7 +142,7 @@ function generateFallbackResponse(message) {
     };
   } else if (lowerMessage.includes('service')) {
     return {
-      response: "We offer various services including cleaning, repair, plumbing, electrical, and landscaping. Which service are you interested in?",
+      response: `We offer ${formatList(catalogService.getServices().map(describeService))}. Which service are you interested in?`,
       intent: "service_inquiry"
     };
   } else if (lowerMessage.includes('thank')) {
@@ -145,4 +161,27 @@ function generateFallbackResponse(message) {
       intent: "general_conversation"
     };
   }
-}
\ No newline at end of file
+}
+
+// Helper function to format a list as "a, b, and c"
+function formatList(items, conjunction = 'and') {
+  if (items.length <= 1) {
+    return items.join('');
+  }
+  return `${items.slice(0, -1).join(', ')}, ${conjunction} ${items[items.length - 1]}`;
+}
+
+// Helper function to describe a catalog service, e.g. "plumbing (about 1 hour, $95-$300)"
+function describeService(service) {
+  const hours = service.durationMinutes / 60;
+  const duration = hours >= 1
+    ? `about ${hours} ${hours === 1 ? 'hour' : 'hours'}`
+    : `about ${service.durationMinutes} minutes`;
+  const { priceEstimate } = service;
+  const price = priceEstimate ? `, ${formatPrice(priceEstimate.min, priceEstimate.currency)}-${formatPrice(priceEstimate.max, priceEstimate.currency)}` : '';
+  return `${service.name} (${duration}${price})`;
+}
+
+function formatPrice(amount, currency = 'USD') {
+  return currency === 'USD' ? `$${amount}` : `${amount} ${currency}`;
+}
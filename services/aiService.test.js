@@ -0,0 +1,62 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_TIMEOUT_MS = '50';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '3';
+
+const aiService = require('./aiService');
+const mockProvider = require('./llm/mockProvider');
+
+const GREETING_FALLBACK = /^Hello! I'm RouteRover AI\./;
+
+describe('aiService.processMessage with the mock LLM', () => {
+  test('uses the model reply when it answers in time', async () => {
+    mockProvider.setScript([{ text: 'Hi there, how can I help?', delayMs: 10 }]);
+    
+    const result = await aiService.processMessage('hello');
+    
+    expect(result.response).toBe('Hi there, how can I help?');
+    expect(mockProvider.getRequests()).toHaveLength(1);
+  });
+  
+  test('falls back to the rule-based reply when the model times out', async () => {
+    mockProvider.setScript([{ text: 'Too late', delayMs: 500 }, 'Hi again']);
+    
+    const result = await aiService.processMessage('hello');
+    
+    expect(result.response).toMatch(GREETING_FALLBACK);
+    expect(result.intent).toBe('greeting');
+    
+    // A timeout is one failure, not a reason to stop asking the model
+    await expect(aiService.processMessage('hello')).resolves.toMatchObject({ response: 'Hi again' });
+  });
+  
+  test('falls back to the rule-based reply when the model fails or answers with nothing', async () => {
+    mockProvider.setScript([{ error: 'Model overloaded' }, '   ']);
+    
+    const failed = await aiService.processMessage('I want to book an appointment');
+    const empty = await aiService.processMessage('I want to book an appointment');
+    
+    expect(failed.intent).toBe('booking');
+    expect(failed.response).toMatch(/^I'd be happy to help you book/);
+    expect(empty.response).toBe(failed.response);
+  });
+  
+  test('stops calling the model while its circuit is open', async () => {
+    mockProvider.setScript([
+      'Hi',
+      { text: 'Too late', delayMs: 500 },
+      { text: 'Too late', delayMs: 500 },
+      { text: 'Too late', delayMs: 500 },
+      'Never sent'
+    ]);
+    
+    // A success resets the failure count; three timeouts then open the circuit
+    await aiService.processMessage('hello');
+    for (let i = 0; i < 3; i++) {
+      await aiService.processMessage('hello');
+    }
+    const result = await aiService.processMessage('hello');
+    
+    expect(result.response).toMatch(GREETING_FALLBACK);
+    expect(mockProvider.getRequests()).toHaveLength(4);
+  });
+});
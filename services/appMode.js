@@ -0,0 +1,11 @@
+// Demo mode
+//
+// DEMO_MODE=true runs the API on offline stand-ins whatever credentials are
+// configured: appointments in the local file store, travel times estimated
+// from straight-line distance, rule-based chat replies and notifications
+// written to the outbox. A backend explicitly chosen (e.g. CALENDAR_STORAGE)
+// is still used. Demo mode has to be switched on; outside it a failing
+// backend is always reported as an error, never covered up with made-up data.
+exports.DEMO_MODE = process.env.DEMO_MODE === 'true';
+
+exports.getMode = () => (exports.DEMO_MODE ? 'demo' : 'live');
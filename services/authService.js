@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+// Path to the API key registry (JSON array of { name, keyHash, role, subject })
+const API_KEYS_CONFIG = process.env.API_KEYS_CONFIG ||
+  path.join(__dirname, '..', 'config', 'apiKeys.json');
+
+// Secret for signing and checking HS256 JWTs; without it JWTs are rejected
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Secret for signing calendar feed tokens; without it feeds are off.
+// Changing it revokes every feed URL handed out.
+const CALENDAR_FEED_SECRET = process.env.CALENDAR_FEED_SECRET;
+
+// Lifetime of tokens issued by POST /auth/tokens
+const JWT_DEFAULT_EXPIRY = process.env.JWT_DEFAULT_EXPIRY || '1h';
+
+// Roles, from least to most access. Customers see their own bookings,
+// technicians their own route, dispatchers and admins everything.
+const ROLES = ['customer', 'technician', 'dispatcher', 'admin'];
+const STAFF_ROLES = ['dispatcher', 'admin'];
+
+let apiKeys;
+
+exports.ROLES = ROLES;
+exports.STAFF_ROLES = STAFF_ROLES;
+
+// Turn an API key or JWT into a principal ({ role, subject, name }), or null
+// when it is unknown, badly signed or expired. The subject is the customer
+// id for customers and the technician id for technicians.
+exports.authenticate = ({ apiKey, bearerToken }) => {
+  if (apiKey) {
+    return authenticateApiKey(apiKey) || authenticateJwt(apiKey);
+  }
+  if (bearerToken) {
+    return authenticateJwt(bearerToken) || authenticateApiKey(bearerToken);
+  }
+  return null;
+};
+
+// Sign a JWT for a principal
+exports.issueToken = ({ role, subject, name }, { expiresIn = JWT_DEFAULT_EXPIRY } = {}) => {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  
+  return jwt.sign({ role, name }, JWT_SECRET, {
+    algorithm: 'HS256',
+    subject: subject || undefined,
+    expiresIn
+  });
+};
+
+exports.isStaff = (principal) => Boolean(principal) && STAFF_ROLES.includes(principal.role);
+
+// Whether a principal may see or change an appointment
+exports.canAccessAppointment = (principal, appointment) => {
+  if (exports.isStaff(principal)) {
+    return true;
+  }
+  if (!principal) {
+    return false;
+  }
+  if (principal.role === 'technician') {
+    return appointment.technicianId === principal.subject;
+  }
+  return principal.role === 'customer' && appointment.customerId === principal.subject;
+};
+
+// Whether a principal may see or change a customer record
+exports.canAccessCustomer = (principal, customerId) =>
+  exports.isStaff(principal) ||
+  (Boolean(principal) && principal.role === 'customer' && principal.subject === customerId);
+
+// Whether a principal may see a technician's day
+exports.canAccessTechnician = (principal, technicianId) =>
+  exports.isStaff(principal) ||
+  (Boolean(principal) && principal.role === 'technician' && principal.subject === technicianId);
+
+// Get the secret token for a calendar feed ('technician' or 'customer' and
+// its id). The token is the feed's only credential, since calendar apps
+// can't send headers, so it never expires; null when feeds are off.
+exports.getFeedToken = (kind, id) => {
+  if (!CALENDAR_FEED_SECRET) {
+    return null;
+  }
+  return crypto.createHmac('sha256', CALENDAR_FEED_SECRET).update(`${kind}:${id}`).digest('base64url');
+};
+
+// Whether a token opens a calendar feed
+exports.verifyFeedToken = (kind, id, token) => {
+  const expected = exports.getFeedToken(kind, id);
+  return Boolean(expected) && typeof token === 'string' && safeEqual(expected, token);
+};
+
+// Helper function to look an API key up by its SHA-256 hash
+function authenticateApiKey(key) {
+  const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+  const entry = getApiKeys().find(candidate => safeEqual(candidate.keyHash, keyHash));
+  
+  return entry ? { role: entry.role, subject: entry.subject || null, name: entry.name } : null;
+}
+
+// Helper function to check a JWT's signature, expiry and role
+function authenticateJwt(token) {
+  if (!JWT_SECRET) {
+    return null;
+  }
+  
+  try {
+    const claims = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    if (!ROLES.includes(claims.role)) {
+      return null;
+    }
+    return { role: claims.role, subject: claims.sub || null, name: claims.name || claims.sub || claims.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to load the API key registry once
+function getApiKeys() {
+  if (!apiKeys) {
+    apiKeys = loadApiKeys();
+  }
+  return apiKeys;
+}
+
+function loadApiKeys() {
+  if (!fs.existsSync(API_KEYS_CONFIG)) {
+    return [];
+  }
+  
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(API_KEYS_CONFIG, 'utf8'));
+  } catch (error) {
+    logger.error('Error loading API keys', { error });
+    throw new Error('Failed to load API keys');
+  }
+  
+  return entries.map(entry => {
+    if (!entry.keyHash || !ROLES.includes(entry.role)) {
+      throw new Error(`API keys need a keyHash and one of the roles ${ROLES.join(', ')}: ${entry.name || entry.keyHash}`);
+    }
+    return { ...entry, keyHash: entry.keyHash.toLowerCase() };
+  });
+}
+
+// Helper function to compare hashes in constant time
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-auth-'));
+process.env.API_KEYS_CONFIG = path.join(configDir, 'apiKeys.json');
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const DISPATCH_KEY = 'dispatch-key';
+const TECHNICIAN_KEY = 'technician-key';
+
+function hash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+fs.writeFileSync(process.env.API_KEYS_CONFIG, JSON.stringify([
+  { name: 'Dispatch desk', keyHash: hash(DISPATCH_KEY), role: 'dispatcher' },
+  { name: 'Alex', keyHash: hash(TECHNICIAN_KEY).toUpperCase(), role: 'technician', subject: 'alex' }
+]));
+
+const authService = require('./authService');
+
+describe('authService', () => {
+  afterAll(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+  
+  describe('authenticate', () => {
+    test('accepts registered API keys from either header', () => {
+      expect(authService.authenticate({ apiKey: DISPATCH_KEY }))
+        .toEqual({ role: 'dispatcher', subject: null, name: 'Dispatch desk' });
+      expect(authService.authenticate({ bearerToken: TECHNICIAN_KEY }))
+        .toEqual({ role: 'technician', subject: 'alex', name: 'Alex' });
+    });
+    
+    test('accepts JWTs it issued', () => {
+      const token = authService.issueToken({ role: 'customer', subject: 'cus_1', name: 'Pat' });
+      
+      expect(authService.authenticate({ bearerToken: token }))
+        .toEqual({ role: 'customer', subject: 'cus_1', name: 'Pat' });
+    });
+    
+    test.each([
+      ['an unknown key', { apiKey: 'no-such-key' }],
+      ['a JWT signed with another secret', { bearerToken: jwt.sign({ role: 'admin' }, 'other-secret') }],
+      ['an expired JWT', { bearerToken: jwt.sign({ role: 'admin', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-jwt-secret') }],
+      ['a JWT with an unknown role', { bearerToken: jwt.sign({ role: 'superuser' }, 'test-jwt-secret') }],
+      ['no credentials', {}]
+    ])('rejects %s', (description, credentials) => {
+      expect(authService.authenticate(credentials)).toBeNull();
+    });
+  });
+  
+  describe('access checks', () => {
+    const appointment = { id: 'apt_1', technicianId: 'alex', customerId: 'cus_1' };
+    
+    test('staff see every appointment', () => {
+      expect(authService.canAccessAppointment({ role: 'dispatcher' }, appointment)).toBe(true);
+      expect(authService.canAccessAppointment({ role: 'admin' }, appointment)).toBe(true);
+    });
+    
+    test('technicians see their own route only', () => {
+      expect(authService.canAccessAppointment({ role: 'technician', subject: 'alex' }, appointment)).toBe(true);
+      expect(authService.canAccessAppointment({ role: 'technician', subject: 'sam' }, appointment)).toBe(false);
+      expect(authService.canAccessTechnician({ role: 'technician', subject: 'alex' }, 'alex')).toBe(true);
+      expect(authService.canAccessTechnician({ role: 'technician', subject: 'alex' }, 'sam')).toBe(false);
+    });
+    
+    test('customers see their own bookings only', () => {
+      expect(authService.canAccessAppointment({ role: 'customer', subject: 'cus_1' }, appointment)).toBe(true);
+      expect(authService.canAccessAppointment({ role: 'customer', subject: 'cus_2' }, appointment)).toBe(false);
+      expect(authService.canAccessCustomer({ role: 'customer', subject: 'cus_2' }, 'cus_1')).toBe(false);
+    });
+    
+    test('anonymous callers see nothing', () => {
+      expect(authService.canAccessAppointment(null, appointment)).toBe(false);
+      expect(authService.canAccessCustomer(null, 'cus_1')).toBe(false);
+      expect(authService.canAccessTechnician(null, 'alex')).toBe(false);
+    });
+  });
+});
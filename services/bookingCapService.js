@@ -0,0 +1,88 @@
+const moment = require('moment');
+const { getStore } = require('./rateLimit');
+const { normalizeAddress } = require('./geo');
+const timeService = require('./timeService');
+const logger = require('./logger');
+
+// Most bookings a single customer, or a single address, may make per
+// business day (0 turns the cap off). Staff bookings are not capped.
+const DAILY_BOOKING_CAP = process.env.DAILY_BOOKING_CAP !== undefined
+  ? parseInt(process.env.DAILY_BOOKING_CAP, 10)
+  : 3;
+
+// Reserve one of today's bookings for the customer and address, throwing a
+// BOOKING_CAP error (with retryAfter in seconds) when that takes either past
+// DAILY_BOOKING_CAP. Counting first and comparing after keeps concurrent
+// bookings from all passing the check before any of them is recorded.
+// Resolves to a reservation to give back with releaseBooking when the
+// booking doesn't go through.
+//
+// Like the rate limits, the cap fails open: if the counter store fails the
+// booking goes ahead uncounted (and the failure is logged) rather than no
+// one being able to book at all.
+exports.reserveBooking = async ({ customerId, address }) => {
+  const reservation = { keys: [] };
+  if (!(DAILY_BOOKING_CAP > 0)) {
+    return reservation;
+  }
+  
+  // Counters run until the end of the business day
+  const windowMs = moment(timeService.endOfDay(timeService.now().format('YYYY-MM-DD'))).diff(moment()) + 1;
+  
+  try {
+    for (const key of getCapKeys({ customerId, address })) {
+      let counter;
+      try {
+        counter = await getStore().increment(key, windowMs);
+      } catch (error) {
+        logger.error('Error checking booking cap', { error });
+        return reservation;
+      }
+      reservation.keys.push(key);
+      
+      if (counter.count > DAILY_BOOKING_CAP) {
+        const error = new Error('Daily booking limit reached');
+        error.code = 'BOOKING_CAP';
+        error.retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+        throw error;
+      }
+    }
+  } catch (error) {
+    await exports.releaseBooking(reservation);
+    throw error;
+  }
+  
+  return reservation;
+};
+
+// Give back a reservation whose booking didn't go through. Never throws: a
+// count the store can't take back only runs until the end of the day.
+exports.releaseBooking = async (reservation) => {
+  if (!reservation) {
+    return;
+  }
+  
+  for (const key of reservation.keys) {
+    try {
+      await getStore().decrement(key);
+    } catch (error) {
+      logger.error('Error releasing booking cap', { error });
+    }
+  }
+  reservation.keys = [];
+};
+
+// Helper function to build today's counter keys for a customer and address
+function getCapKeys({ customerId, address }) {
+  const today = timeService.now().format('YYYY-MM-DD');
+  const keys = [];
+  
+  if (customerId) {
+    keys.push(`booking-cap:customer:${customerId}:${today}`);
+  }
+  if (address) {
+    keys.push(`booking-cap:address:${normalizeAddress(address)}:${today}`);
+  }
+  
+  return keys;
+}
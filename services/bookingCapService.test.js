@@ -0,0 +1,64 @@
+const rateLimit = require('./rateLimit');
+const bookingCapService = require('./bookingCapService');
+
+// DAILY_BOOKING_CAP defaults to 3
+describe('bookingCapService', () => {
+  test('concurrent reservations never go past the cap', async () => {
+    const booking = { customerId: 'cust-concurrent', address: '1 Concurrent Way' };
+    
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => bookingCapService.reserveBooking(booking))
+    );
+    
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(rejected).toHaveLength(2);
+    expect(rejected[0].reason.code).toBe('BOOKING_CAP');
+    expect(rejected[0].reason.retryAfter).toBeGreaterThan(0);
+  });
+  
+  test('a released reservation frees its place', async () => {
+    const booking = { customerId: 'cust-release', address: '2 Release Road' };
+    
+    const reservations = [];
+    for (let i = 0; i < 3; i++) {
+      reservations.push(await bookingCapService.reserveBooking(booking));
+    }
+    await expect(bookingCapService.reserveBooking(booking)).rejects.toMatchObject({ code: 'BOOKING_CAP' });
+    
+    await bookingCapService.releaseBooking(reservations[0]);
+    await expect(bookingCapService.reserveBooking(booking)).resolves.toBeDefined();
+  });
+  
+  test('a rejected reservation does not count against the other key', async () => {
+    const address = '3 Shared Street';
+    
+    // Fill the address cap with other customers
+    for (let i = 0; i < 3; i++) {
+      await bookingCapService.reserveBooking({ customerId: `cust-shared-${i}`, address });
+    }
+    await expect(bookingCapService.reserveBooking({ customerId: 'cust-new', address }))
+      .rejects.toMatchObject({ code: 'BOOKING_CAP' });
+    
+    // The rejected attempt gave back the customer's own count
+    for (let i = 0; i < 3; i++) {
+      await bookingCapService.reserveBooking({ customerId: 'cust-new', address: `${i} Elsewhere Lane` });
+    }
+  });
+  
+  test('lets bookings through when the counter store fails', async () => {
+    const memoryStore = rateLimit.getStore();
+    rateLimit.setStore({
+      increment: () => Promise.reject(new Error('Store down')),
+      decrement: () => Promise.reject(new Error('Store down'))
+    });
+    
+    try {
+      const reservation = await bookingCapService.reserveBooking({ customerId: 'cust-outage', address: '4 Outage Ave' });
+      await expect(bookingCapService.releaseBooking(reservation)).resolves.toBeUndefined();
+      await expect(bookingCapService.releaseBooking({ keys: ['booking-cap:customer:cust-outage'] })).resolves.toBeUndefined();
+    } finally {
+      rateLimit.setStore(memoryStore);
+    }
+  });
+});
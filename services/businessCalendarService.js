@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const timeService = require('./timeService');
+const logger = require('./logger');
+
+// Path to the business calendar (opening hours, holidays, blackout dates)
+const BUSINESS_CALENDAR_CONFIG = process.env.BUSINESS_CALENDAR_CONFIG ||
+  path.join(__dirname, '..', 'config', 'businessCalendar.json');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+let businessCalendar;
+
+// Get the whole business calendar configuration
+exports.getBusinessCalendar = () => {
+  if (!businessCalendar) {
+    businessCalendar = loadBusinessCalendar();
+  }
+  return businessCalendar;
+};
+
+// Describe one date: whether the business is open, its hours and breaks,
+// or why it is closed (weekly closing day, holiday or blackout)
+exports.getDayStatus = (date) => {
+  const { weeklyHours, holidays, blackoutDates } = exports.getBusinessCalendar();
+  const weekday = WEEKDAYS[moment(date, 'YYYY-MM-DD').day()];
+  
+  // Holidays are either one-off (YYYY-MM-DD) or every year (MM-DD)
+  const holiday = holidays.find(entry => entry.date === date || entry.date === date.slice(5));
+  if (holiday) {
+    return { date, weekday, open: false, reason: `Closed for ${holiday.name}` };
+  }
+  
+  const blackout = blackoutDates.find(entry => date >= entry.from && date <= entry.to);
+  if (blackout) {
+    return { date, weekday, open: false, reason: blackout.reason || 'Closed' };
+  }
+  
+  const hours = weeklyHours[weekday];
+  if (!hours) {
+    return { date, weekday, open: false, reason: `Closed on ${capitalize(weekday)}s` };
+  }
+  
+  return { date, weekday, open: true, hours: { open: hours.open, close: hours.close }, breaks: hours.breaks };
+};
+
+// Get the bookable intervals of a date as [{ start, end }] moments in the
+// business timezone: opening hours, narrowed to a technician's own working
+// hours when given ({ start, end } as hours or "HH:mm"), minus breaks
+exports.getWorkingIntervals = (date, workingHours = null) => {
+  const status = exports.getDayStatus(date);
+  
+  if (!status.open) {
+    return [];
+  }
+  
+  let openMinutes = toMinutes(status.hours.open);
+  let closeMinutes = toMinutes(status.hours.close);
+  
+  if (workingHours) {
+    openMinutes = Math.max(openMinutes, toMinutes(workingHours.start));
+    closeMinutes = Math.min(closeMinutes, toMinutes(workingHours.end));
+  }
+  
+  let intervals = openMinutes < closeMinutes ? [{ start: openMinutes, end: closeMinutes }] : [];
+  
+  // Cut every break out of the intervals
+  for (const pause of status.breaks) {
+    const breakStart = toMinutes(pause.start);
+    const breakEnd = toMinutes(pause.end);
+    
+    intervals = intervals.flatMap(interval => {
+      if (breakEnd <= interval.start || breakStart >= interval.end) {
+        return [interval];
+      }
+      return [
+        { start: interval.start, end: breakStart },
+        { start: breakEnd, end: interval.end }
+      ].filter(part => part.start < part.end);
+    });
+  }
+  
+  return intervals.map(interval => ({
+    start: timeService.toBusinessTime(date, formatMinutes(interval.start)),
+    end: timeService.toBusinessTime(date, formatMinutes(interval.end))
+  }));
+};
+
+// Short human-readable summary of the weekly hours, e.g.
+// "Mon-Fri 09:00-17:00, Sat 09:00-13:00"
+exports.describeHours = () => {
+  const { weeklyHours } = exports.getBusinessCalendar();
+  const order = [...WEEKDAYS.slice(1), WEEKDAYS[0]]; // Monday first
+  const groups = [];
+  
+  for (const weekday of order) {
+    const hours = weeklyHours[weekday];
+    const label = hours ? `${hours.open}-${hours.close}` : null;
+    const last = groups[groups.length - 1];
+    
+    if (last && last.label === label) {
+      last.to = weekday;
+    } else {
+      groups.push({ from: weekday, to: weekday, label });
+    }
+  }
+  
+  return groups
+    .filter(group => group.label)
+    .map(group => {
+      const days = group.from === group.to
+        ? shortDay(group.from)
+        : `${shortDay(group.from)}-${shortDay(group.to)}`;
+      return `${days} ${group.label}`;
+    })
+    .join(', ');
+};
+
+// Helper function to load and check the business calendar file
+function loadBusinessCalendar() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(BUSINESS_CALENDAR_CONFIG, 'utf8'));
+  } catch (error) {
+    logger.error('Error loading business calendar', { error });
+    throw new Error('Failed to load business calendar');
+  }
+  
+  const weeklyHours = {};
+  for (const weekday of WEEKDAYS) {
+    const hours = (config.weeklyHours || {})[weekday];
+    
+    if (hours && !(toMinutes(hours.open) < toMinutes(hours.close))) {
+      throw new Error(`Business calendar: ${weekday} must open before it closes`);
+    }
+    weeklyHours[weekday] = hours ? { open: hours.open, close: hours.close, breaks: hours.breaks || [] } : null;
+  }
+  
+  return {
+    weeklyHours,
+    holidays: config.holidays || [],
+    blackoutDates: config.blackoutDates || []
+  };
+}
+
+// Helper function to turn 9, 9.5 or "09:30" into minutes after midnight
+function toMinutes(value) {
+  if (typeof value === 'number') {
+    return Math.round(value * 60);
+  }
+  const [hours, minutes = 0] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function shortDay(weekday) {
+  return capitalize(weekday.slice(0, 3));
+}
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-business-calendar-'));
+process.env.BUSINESS_CALENDAR_CONFIG = path.join(configDir, 'businessCalendar.json');
+process.env.BUSINESS_TIMEZONE = 'America/New_York';
+
+// Weekdays with a lunch break, short Saturdays, closed on Sundays
+const weekday = { open: '09:00', close: '17:00', breaks: [{ start: '12:00', end: '13:00' }] };
+fs.writeFileSync(process.env.BUSINESS_CALENDAR_CONFIG, JSON.stringify({
+  weeklyHours: {
+    monday: weekday,
+    tuesday: weekday,
+    wednesday: weekday,
+    thursday: weekday,
+    friday: weekday,
+    saturday: { open: '09:00', close: '13:00' }
+  },
+  holidays: [
+    { date: '12-25', name: 'Christmas Day' },
+    { date: '2027-06-18', name: 'Founders Day' }
+  ],
+  blackoutDates: [{ from: '2027-08-02', to: '2027-08-06', reason: 'Team training week' }]
+}));
+
+const businessCalendarService = require('./businessCalendarService');
+
+function formatIntervals(intervals) {
+  return intervals.map(interval => `${interval.start.format('HH:mm')}-${interval.end.format('HH:mm')}`);
+}
+
+describe('businessCalendarService', () => {
+  afterAll(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+  
+  test('opens on weekdays with their breaks', () => {
+    expect(businessCalendarService.getDayStatus('2027-06-14')).toEqual({
+      date: '2027-06-14',
+      weekday: 'monday',
+      open: true,
+      hours: { open: '09:00', close: '17:00' },
+      breaks: [{ start: '12:00', end: '13:00' }]
+    });
+  });
+  
+  test.each([
+    ['2027-06-13', 'Closed on Sundays'],
+    ['2027-12-25', 'Closed for Christmas Day'],
+    ['2027-06-18', 'Closed for Founders Day'],
+    ['2027-08-04', 'Team training week']
+  ])('is closed on %s', (date, reason) => {
+    expect(businessCalendarService.getDayStatus(date)).toMatchObject({ open: false, reason });
+    expect(businessCalendarService.getWorkingIntervals(date)).toEqual([]);
+  });
+  
+  test('cuts breaks out of the working intervals, in the business timezone', () => {
+    const intervals = businessCalendarService.getWorkingIntervals('2027-06-14');
+    
+    expect(formatIntervals(intervals)).toEqual(['09:00-12:00', '13:00-17:00']);
+    expect(intervals[0].start.toISOString()).toBe('2027-06-14T13:00:00.000Z');
+  });
+  
+  test('narrows the intervals to a technician\'s working hours', () => {
+    expect(formatIntervals(businessCalendarService.getWorkingIntervals('2027-06-14', { start: 10, end: '12:30' })))
+      .toEqual(['10:00-12:00']);
+    expect(formatIntervals(businessCalendarService.getWorkingIntervals('2027-06-19', { start: 14, end: 18 })))
+      .toEqual([]);
+  });
+  
+  test('summarises the weekly hours', () => {
+    expect(businessCalendarService.describeHours()).toBe('Mon-Fri 09:00-17:00, Sat 09:00-13:00');
+  });
+});
@@ -1,173 +1,455 @@
-const { google } = require('googleapis');
 const moment = require('moment');
+const { getStore } = require('./storage');
+const technicianService = require('./technicianService');
+const catalogService = require('./catalogService');
+const businessCalendarService = require('./businessCalendarService');
+const holdService = require('./holdService');
+const lockService = require('./lockService');
+const notificationService = require('./notificationService');
+const customerService = require('./customerService');
+const serviceAreaService = require('./serviceAreaService');
+const timeService = require('./timeService');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { SlotConflictError, toServiceError } = require('../errors');
 
-// Configure Google Calendar API
-const auth = new google.auth.GoogleAuth({
-  keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-  scopes: ['https://www.googleapis.com/auth/calendar']
-});
-
-// Calendar ID for your appointments
-const CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || 'primary';
-
-// Service duration in minutes
-const SERVICE_DURATIONS = {
-  cleaning: 120, // 2 hours
-  repair: 90,    // 1.5 hours
-  plumbing: 60,  // 1 hour
-  electrical: 60, // 1 hour
-  landscaping: 180 // 3 hours
-};
-
-// Default service duration if not specified
-const DEFAULT_DURATION = 60; // 1 hour
-
-// Business hours
-const BUSINESS_HOURS = {
-  start: 9, // 9 AM
-  end: 17   // 5 PM
-};
+// Get the minutes a service blocks in the calendar (visit plus buffer)
+exports.getServiceDuration = (service) => catalogService.getServiceDuration(service);
 
-exports.getAppointmentsForDay = async (date) => {
+// Get a day's appointments for one technician, or for the whole crew
+exports.getAppointmentsForDay = async (date, { technicianId } = {}) => {
   try {
-    const calendar = google.calendar({ version: 'v3', auth: await auth.getClient() });
+    // Day boundaries are local to the business, not the server
+    const startDate = timeService.startOfDay(date).toISOString();
+    const endDate = timeService.endOfDay(date).toISOString();
+    
+    const technicians = technicianId
+      ? [technicianService.getTechnician(technicianId)].filter(Boolean)
+      : technicianService.getTechnicians();
     
-    const startDate = moment(date).startOf('day').toISOString();
-    const endDate = moment(date).endOf('day').toISOString();
+    const appointmentsByTechnician = await Promise.all(technicians.map(async technician => {
+      const events = await getStore().listEvents(technician.calendarId, {
+        timeMin: startDate,
+        timeMax: endDate
+      });
+      return events.map(event => toAppointment(event, technician));
+    }));
     
-    const response = await calendar.events.list({
-      calendarId: CALENDAR_ID,
-      timeMin: startDate,
-      timeMax: endDate,
-      singleEvents: true,
-      orderBy: 'startTime'
+    return appointmentsByTechnician
+      .flat()
+      .sort((a, b) => moment(a.start).valueOf() - moment(b.start).valueOf());
+  } catch (error) {
+    logger.error('Error fetching calendar events', { error });
+    // An empty day would invite double-booking, so never hide the failure;
+    // a calendar outage stays a CalendarUnavailableError
+    throw toServiceError(error, 'Failed to fetch appointments');
+  }
+};
+
+// Get one technician's appointments between two instants, cancelled ones
+// included (calendar feeds need them to show cancellations)
+exports.getAppointmentsInRange = async (technicianId, from, to) => {
+  const technician = getTechnicianOrDefault(technicianId);
+  
+  try {
+    const events = await getStore().listEvents(technician.calendarId, {
+      timeMin: moment(from).toISOString(),
+      timeMax: moment(to).toISOString(),
+      showDeleted: true
     });
     
-    return response.data.items.map(event => ({
-      id: event.id,
-      summary: event.summary,
-      location: event.location,
-      start: event.start.dateTime,
-      end: event.end.dateTime,
-      status: event.status
-    }));
+    // Google may return deleted events as little more than an id and status
+    return events
+      .filter(event => event.start && event.start.dateTime)
+      .map(event => toAppointment(event, technician));
   } catch (error) {
-    console.error('Error fetching calendar events:', error);
-    // For development/demo purposes, return mock data if calendar API fails
-    return [];
+    logger.error('Error fetching calendar events', { error });
+    throw toServiceError(error, 'Failed to fetch appointments');
   }
 };
 
-exports.findBestTimeSlot = async (timePreferences, routeAnalysis) => {
+// Pick a time slot from a day's route analysis: the first preference whose
+// whole visit fits a free slot, or else the earliest free start. Nothing
+// starting before notBefore (now by default) is picked.
+exports.findBestTimeSlot = async (timePreferences, routeAnalysis, { notBefore = timeService.now() } = {}) => {
   try {
     // Sort time preferences by priority (assuming first is most preferred)
+    const durationMinutes = routeAnalysis.serviceDuration || 0;
+    
     for (const preference of timePreferences) {
       const { date, time } = preference;
-      const preferredDateTime = moment(`${date}T${time}`);
+      const preferredDateTime = timeService.toBusinessTime(date, time);
+      const preferredEndTime = moment(preferredDateTime).add(durationMinutes, 'minutes');
+      
+      if (preferredDateTime.isBefore(notBefore)) {
+        continue;
+      }
       
-      // Check if this time works with the route analysis
-      const isTimeSlotAvailable = routeAnalysis.availableTimeSlots.some(slot => {
+      // Check if the whole service fits inside one of the available slots
+      const matchingSlot = routeAnalysis.availableTimeSlots.find(slot => {
         const slotStart = moment(slot.start);
         const slotEnd = moment(slot.end);
-        return preferredDateTime.isBetween(slotStart, slotEnd, null, '[)');
+        return preferredDateTime.isSameOrAfter(slotStart) && preferredEndTime.isSameOrBefore(slotEnd);
       });
       
-      if (isTimeSlotAvailable) {
-        return { date, time };
+      if (matchingSlot) {
+        return { date, time, addedTravelTime: matchingSlot.addedTravelTime };
       }
     }
     
-    // If no preferred time works, return the first available time slot
-    if (routeAnalysis.availableTimeSlots.length > 0) {
-      const firstAvailable = routeAnalysis.availableTimeSlots[0];
-      const date = moment(firstAvailable.start).format('YYYY-MM-DD');
-      const time = moment(firstAvailable.start).format('HH:mm');
-      return { date, time };
+    // If no preferred time works, return the earliest start that is still
+    // ahead and leaves room for the whole visit
+    for (const slot of routeAnalysis.availableTimeSlots) {
+      const start = moment.max(moment(slot.start), moment(notBefore));
+      
+      if (moment(start).add(durationMinutes, 'minutes').isSameOrBefore(slot.end)) {
+        return {
+          date: timeService.formatDate(start),
+          time: timeService.formatTime(start),
+          addedTravelTime: slot.addedTravelTime
+        };
+      }
     }
     
     return null; // No suitable time slot found
   } catch (error) {
-    console.error('Error finding best time slot:', error);
+    logger.error('Error finding best time slot', { error });
     throw new Error('Failed to find a suitable time slot');
   }
 };
 
-exports.createAppointment = async (appointmentData) => {
+// Book an appointment. With a holdId the slot reserved by that hold is
+// booked and the hold released; other live holds block the slot. The
+// appointment is linked to the customer given by customerId, or found
+// (or created) by email or phone. Occurrences of a recurring series carry
+// its seriesId. The service area zone of the address and its travel
+// surcharge are recorded with the booking. With notify: false no
+// confirmation is sent (a series confirms once, not per visit).
+exports.createAppointment = async (appointmentData, { notify = true } = {}) => {
+  const { name, address, service, date, time, notes, email, phone, technicianId, holdId, seriesId } = appointmentData;
+  const technician = getTechnicianOrDefault(technicianId);
+  const customer = await customerService.resolveForBooking({
+    customerId: appointmentData.customerId,
+    name,
+    email,
+    phone,
+    address
+  });
+  const { zone } = await serviceAreaService.checkAddress(address, service);
+  
+  // Calculate duration based on service type
+  const durationMinutes = exports.getServiceDuration(service);
+  const catalogEntry = catalogService.getService(service);
+  
+  // Create event start and end times
+  const startDateTime = timeService.toBusinessTime(date, time);
+  const endDateTime = moment(startDateTime).add(durationMinutes, 'minutes');
+  
+  // The final conflict check and the write happen under the day's lock, so
+  // two concurrent requests can never both see the slot as free
+  return withDayLock(technician, date, async () => {
+    await ensureSlotIsFree(technician, startDateTime, endDateTime, { ignoreHoldId: holdId });
+    
+    let created;
+    try {
+      // Create the event
+      const event = {
+        summary: `${catalogEntry ? catalogEntry.label : service} - ${name}`,
+        location: address,
+        description: notes,
+        start: {
+          dateTime: startDateTime.format(),
+          timeZone: timeService.BUSINESS_TIMEZONE
+        },
+        end: {
+          dateTime: endDateTime.format(),
+          timeZone: timeService.BUSINESS_TIMEZONE
+        },
+        extendedProperties: {
+          private: {
+            name,
+            service,
+            technicianId: technician.id,
+            customerId: customer ? customer.id : '',
+            seriesId: seriesId || '',
+            serviceAreaId: zone ? zone.id : '',
+            travelSurcharge: zone && zone.travelSurcharge ? JSON.stringify(zone.travelSurcharge) : '',
+            email: email || '',
+            phone: phone || '',
+            statusHistory: JSON.stringify([
+              { status: 'confirmed', at: new Date().toISOString() }
+            ]),
+            remindersSent: '[]'
+          }
+        }
+      };
+      
+      created = await getStore().createEvent(technician.calendarId, event);
+    } catch (error) {
+      logger.error('Error creating appointment', { error });
+      throw toServiceError(error, 'Failed to create appointment');
+    }
+    
+    if (holdId) {
+      holdService.releaseHold(holdId);
+    }
+    
+    const appointment = toAppointment(created, technician);
+    if (customer) {
+      // The booking stands even if the customer's history can't be updated
+      await customerService.addAppointment(customer.id, appointment.id).catch(error =>
+        logger.error('Error linking appointment to customer', { appointmentId: appointment.id, error })
+      );
+    }
+    metrics.appointments.inc({ event: 'booked', service: appointment.service });
+    if (notify) {
+      notificationService.notifyAppointment('confirmation', appointment);
+    }
+    return appointment;
+  });
+};
+
+// Reserve a slot for a technician without booking it yet. The hold blocks
+// the slot for other bookings and holds until it is confirmed (see
+// createAppointment), released or expires (after ttlMinutes when given).
+exports.holdSlot = async ({ service, address, date, time, technicianId, heldBy = null, ttlMinutes }) => {
+  const technician = getTechnicianOrDefault(technicianId);
+  const startDateTime = timeService.toBusinessTime(date, time);
+  const endDateTime = moment(startDateTime).add(exports.getServiceDuration(service), 'minutes');
+  
+  return withDayLock(technician, date, async () => {
+    await ensureSlotIsFree(technician, startDateTime, endDateTime);
+    
+    return holdService.createHold({
+      technicianId: technician.id,
+      calendarId: technician.calendarId,
+      service,
+      address,
+      date,
+      time,
+      start: startDateTime.format(),
+      end: endDateTime.format(),
+      heldBy
+    }, { ttlMinutes });
+  });
+};
+
+exports.getAppointment = async (appointmentId) => {
   try {
-    const { name, address, service, date, time, notes } = appointmentData;
-    
-    // Calculate duration based on service type
-    const durationMinutes = SERVICE_DURATIONS[service] || DEFAULT_DURATION;
-    
-    // Create event start and end times
-    const startDateTime = moment(`${date}T${time}`);
-    const endDateTime = moment(startDateTime).add(durationMinutes, 'minutes');
-    
-    const calendar = google.calendar({ version: 'v3', auth: await auth.getClient() });
-    
-    // Create the event
-    const event = {
-      summary: `${service.charAt(0).toUpperCase() + service.slice(1)} - ${name}`,
-      location: address,
-      description: notes,
-      start: {
-        dateTime: startDateTime.toISOString(),
-        timeZone: 'America/New_York'
-      },
-      end: {
-        dateTime: endDateTime.toISOString(),
-        timeZone: 'America/New_York'
+    // Appointment ids are unique across calendars, so look in each one
+    for (const technician of technicianService.getTechnicians()) {
+      const event = await getStore().getEvent(technician.calendarId, appointmentId);
+      if (event) {
+        return toAppointment(event, technician);
+      }
+    }
+    return null;
+  } catch (error) {
+    logger.error('Error fetching appointment', { error });
+    throw toServiceError(error, 'Failed to fetch appointment');
+  }
+};
+
+exports.rescheduleAppointment = async (appointmentId, { date, time }, { notify = true } = {}) => {
+  const existing = await exports.getAppointment(appointmentId);
+  
+  if (!existing || existing.status === 'cancelled') {
+    const error = new Error('Appointment not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  
+  // Keep the original duration when moving the appointment
+  const durationMinutes = moment(existing.end).diff(moment(existing.start), 'minutes');
+  const startDateTime = timeService.toBusinessTime(date, time);
+  const endDateTime = moment(startDateTime).add(durationMinutes, 'minutes');
+  
+  const technician = getTechnicianOrDefault(existing.technicianId);
+  
+  return withDayLock(technician, date, async () => {
+    await ensureSlotIsFree(technician, startDateTime, endDateTime, { ignoreAppointmentId: appointmentId });
+    
+    try {
+      const updated = await getStore().updateEvent(technician.calendarId, appointmentId, {
+        start: { dateTime: startDateTime.format(), timeZone: timeService.BUSINESS_TIMEZONE },
+        end: { dateTime: endDateTime.format(), timeZone: timeService.BUSINESS_TIMEZONE },
+        extendedProperties: {
+          private: {
+            statusHistory: JSON.stringify([
+              ...existing.statusHistory,
+              {
+                status: 'rescheduled',
+                at: new Date().toISOString(),
+                from: existing.start,
+                to: startDateTime.format()
+              }
+            ]),
+            // Reminders are due again relative to the new time
+            remindersSent: '[]'
+          }
+        }
+      });
+      
+      const appointment = toAppointment(updated, technician);
+      metrics.appointments.inc({ event: 'rescheduled', service: appointment.service });
+      if (notify) {
+        notificationService.notifyAppointment('reschedule', appointment, { previousStart: existing.start });
+      }
+      offerFreedSlot(technician, existing.start, existing.end);
+      return appointment;
+    } catch (error) {
+      logger.error('Error rescheduling appointment', { error });
+      throw toServiceError(error, 'Failed to reschedule appointment');
+    }
+  });
+};
+
+exports.cancelAppointment = async (appointmentId, reason = '', { notify = true } = {}) => {
+  const existing = await exports.getAppointment(appointmentId);
+  
+  if (!existing) {
+    const error = new Error('Appointment not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  
+  if (existing.status === 'cancelled') {
+    return existing;
+  }
+  
+  try {
+    // Cancelled events stay in the calendar (hidden from day listings) so
+    // their history is preserved and the slot is freed
+    const technician = getTechnicianOrDefault(existing.technicianId);
+    const updated = await getStore().updateEvent(technician.calendarId, appointmentId, {
+      status: 'cancelled',
+      extendedProperties: {
+        private: {
+          statusHistory: JSON.stringify([
+            ...existing.statusHistory,
+            { status: 'cancelled', at: new Date().toISOString(), reason }
+          ])
+        }
       }
-    };
-    
-    // For development/demo purposes, skip actual calendar creation
-    // In production, uncomment the following code:
-    /*
-    const response = await calendar.events.insert({
-      calendarId: CALENDAR_ID,
-      resource: event
     });
     
-    return {
-      id: response.data.id,
-      summary: response.data.summary,
-      location: response.data.location,
-      start: response.data.start.dateTime,
-      end: response.data.end.dateTime,
-      status: response.data.status
-    };
-    */
-    
-    // For demo purposes, return a mock response
-    const mockId = `appointment-${Date.now()}`;
-    return {
-      id: mockId,
-      summary: event.summary,
-      location: event.location,
-      start: event.start.dateTime,
-      end: event.end.dateTime,
-      status: 'confirmed',
-      notes: notes
-    };
+    const appointment = toAppointment(updated, technician);
+    metrics.appointments.inc({ event: 'cancelled', service: appointment.service });
+    if (notify) {
+      notificationService.notifyAppointment('cancellation', appointment, { reason });
+    }
+    offerFreedSlot(technician, existing.start, existing.end);
+    return appointment;
   } catch (error) {
-    console.error('Error creating appointment:', error);
-    throw new Error('Failed to create appointment');
+    logger.error('Error cancelling appointment', { error });
+    throw toServiceError(error, 'Failed to cancel appointment');
   }
 };
 
-// Get available time slots for a specific day
-exports.getAvailableTimeSlots = async (date, existingAppointments) => {
+// Shorten an appointment (e.g. the job turned out smaller), freeing the
+// rest of its slot. The start stays the same.
+exports.shortenAppointment = async (appointmentId, durationMinutes) => {
+  const existing = await exports.getAppointment(appointmentId);
+  
+  if (!existing || existing.status === 'cancelled') {
+    const error = new Error('Appointment not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  
+  const endDateTime = timeService.fromInstant(existing.start).add(durationMinutes, 'minutes');
+  if (!endDateTime.isBefore(existing.end)) {
+    const error = new Error('The new duration must be shorter than the current one');
+    error.code = 'NOT_SHORTER';
+    throw error;
+  }
+  
   try {
-    const dayStart = moment(date).hour(BUSINESS_HOURS.start).minute(0).second(0);
-    const dayEnd = moment(date).hour(BUSINESS_HOURS.end).minute(0).second(0);
-    
-    // Start with the full day as available
-    const availableSlots = [
-      {
-        start: dayStart.toISOString(),
-        end: dayEnd.toISOString()
+    const technician = getTechnicianOrDefault(existing.technicianId);
+    const updated = await getStore().updateEvent(technician.calendarId, appointmentId, {
+      end: { dateTime: endDateTime.format(), timeZone: timeService.BUSINESS_TIMEZONE },
+      extendedProperties: {
+        private: {
+          statusHistory: JSON.stringify([
+            ...existing.statusHistory,
+            {
+              status: 'shortened',
+              at: new Date().toISOString(),
+              from: existing.end,
+              to: endDateTime.format()
+            }
+          ])
+        }
       }
-    ];
+    });
+    
+    offerFreedSlot(technician, endDateTime.format(), existing.end);
+    return toAppointment(updated, technician);
+  } catch (error) {
+    logger.error('Error shortening appointment', { error });
+    throw toServiceError(error, 'Failed to shorten appointment');
+  }
+};
+
+// Remove an appointment from the calendar entirely, without notifying
+// anyone. Only for undoing bookings that should never have existed (a bulk
+// import or new series rolled back part-way); cancellations use
+// cancelAppointment.
+exports.deleteAppointment = async (appointmentId) => {
+  const existing = await exports.getAppointment(appointmentId);
+  
+  if (!existing) {
+    return;
+  }
+  
+  try {
+    const technician = getTechnicianOrDefault(existing.technicianId);
+    await getStore().deleteEvent(technician.calendarId, appointmentId);
+  } catch (error) {
+    logger.error('Error deleting appointment', { error });
+    throw toServiceError(error, 'Failed to delete appointment');
+  }
+};
+
+// Remember which reminders (minutes before the start) went out for an
+// appointment, so each one is sent exactly once
+exports.recordRemindersSent = async (appointmentId, offsets) => {
+  const existing = await exports.getAppointment(appointmentId);
+  
+  if (!existing) {
+    const error = new Error('Appointment not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+  
+  try {
+    const technician = getTechnicianOrDefault(existing.technicianId);
+    const remindersSent = [...new Set([...existing.remindersSent, ...offsets])];
+    
+    const updated = await getStore().updateEvent(technician.calendarId, appointmentId, {
+      extendedProperties: {
+        private: { remindersSent: JSON.stringify(remindersSent) }
+      }
+    });
+    
+    return toAppointment(updated, technician);
+  } catch (error) {
+    logger.error('Error recording reminders', { error });
+    throw toServiceError(error, 'Failed to record reminders');
+  }
+};
+
+// Get available time slots for a specific day. Business hours (minus
+// breaks, holidays and blackout dates) are narrowed to the technician's
+// own working hours when given.
+exports.getAvailableTimeSlots = async (date, existingAppointments, workingHours = null) => {
+  try {
+    // Start with the whole working day as available
+    const availableSlots = businessCalendarService.getWorkingIntervals(date, workingHours)
+      .map(interval => ({
+        start: interval.start.toISOString(),
+        end: interval.end.toISOString()
+      }));
     
     // Remove time slots that are already booked
     for (const appointment of existingAppointments) {
@@ -209,7 +491,72 @@ exports.getAvailableTimeSlots = async (date, existingAppointments) => {
     
     return availableSlots;
   } catch (error) {
-    console.error('Error getting available time slots:', error);
+    logger.error('Error getting available time slots', { error });
     throw new Error('Failed to get available time slots');
   }
-};
\ No newline at end of file
+};
+
+// Helper function to resolve a technician id, falling back to the first technician
+function getTechnicianOrDefault(technicianId) {
+  return technicianService.getTechnician(technicianId) || technicianService.getTechnicians()[0];
+}
+
+// Helper function to run a calendar write for one technician's day under
+// that day's lock
+function withDayLock(technician, date, task) {
+  return lockService.withLock(`${technician.calendarId}:${date}`, task);
+}
+
+// Helper function to offer a freed stretch of a technician's day to the
+// waitlist in the background, so a waitlist problem never fails the change
+// that freed it. Required lazily: the waitlist books through this module.
+function offerFreedSlot(technician, start, end) {
+  require('./waitlistService').offerFreedSlot({ technicianId: technician.id, start, end })
+    .catch(error => logger.error('Error offering freed slot to the waitlist', { error }));
+}
+
+// Helper function to make sure nothing else is booked or held between start and end
+async function ensureSlotIsFree(technician, startDateTime, endDateTime, { ignoreAppointmentId = null, ignoreHoldId = null } = {}) {
+  let conflicts;
+  try {
+    conflicts = await getStore().listEvents(technician.calendarId, {
+      timeMin: startDateTime.toISOString(),
+      timeMax: endDateTime.toISOString()
+    });
+  } catch (error) {
+    logger.error('Error checking for conflicting appointments', { error });
+    throw toServiceError(error, 'Failed to check for conflicting appointments');
+  }
+  
+  const holds = holdService.getOverlappingHolds(technician.calendarId, startDateTime, endDateTime, ignoreHoldId);
+  
+  if (conflicts.some(event => event.id !== ignoreAppointmentId) || holds.length > 0) {
+    throw new SlotConflictError();
+  }
+}
+
+// Helper function to convert a stored calendar event into an appointment
+function toAppointment(event, technician) {
+  const details = (event.extendedProperties && event.extendedProperties.private) || {};
+  
+  return {
+    id: event.id,
+    summary: event.summary,
+    location: event.location,
+    start: event.start.dateTime,
+    end: event.end.dateTime,
+    status: event.status,
+    name: details.name,
+    service: details.service,
+    technicianId: technician.id,
+    customerId: details.customerId || null,
+    seriesId: details.seriesId || null,
+    serviceAreaId: details.serviceAreaId || null,
+    travelSurcharge: details.travelSurcharge ? JSON.parse(details.travelSurcharge) : null,
+    email: details.email || null,
+    phone: details.phone || null,
+    notes: event.description || '',
+    statusHistory: details.statusHistory ? JSON.parse(details.statusHistory) : [],
+    remindersSent: details.remindersSent ? JSON.parse(details.remindersSent) : []
+  };
+}
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-calendar-'));
+process.env.CALENDAR_STORAGE = 'local';
+process.env.LOCAL_STORE_PATH = path.join(dataDir, 'calendar.json');
+process.env.CUSTOMER_STORE_PATH = path.join(dataDir, 'customers.json');
+process.env.WAITLIST_STORE_PATH = path.join(dataDir, 'waitlist.json');
+process.env.NOTIFICATION_OUTBOX_PATH = path.join(dataDir, 'outbox.jsonl');
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+
+const moment = require('moment');
+const calendarService = require('./calendarService');
+
+// Each test books on its own day
+function book(date, time, name = 'Lifecycle Test') {
+  return calendarService.createAppointment({
+    name,
+    address: '45 Oak Ave, Anytown, USA',
+    service: 'cleaning',
+    date,
+    time,
+    notes: ''
+  });
+}
+
+function minutesBetween(from, to) {
+  return moment(to).diff(moment(from), 'minutes');
+}
+
+describe('appointment lifecycle', () => {
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  test('gets a booked appointment by id, and null for an unknown one', async () => {
+    const booked = await book('2027-06-14', '09:00');
+    
+    const fetched = await calendarService.getAppointment(booked.id);
+    expect(fetched).toMatchObject({ id: booked.id, start: booked.start, end: booked.end, service: 'cleaning' });
+    expect(fetched.statusHistory.map(entry => entry.status)).toEqual(['confirmed']);
+    
+    await expect(calendarService.getAppointment('no-such-appointment')).resolves.toBeNull();
+  });
+  
+  test('reschedules to a new time, keeping the duration and recording the move', async () => {
+    const booked = await book('2027-06-15', '12:00');
+    
+    const moved = await calendarService.rescheduleAppointment(booked.id, { date: '2027-06-15', time: '14:30' });
+    
+    expect(minutesBetween(booked.start, moved.start)).toBe(150);
+    expect(minutesBetween(moved.start, moved.end)).toBe(minutesBetween(booked.start, booked.end));
+    expect(moved.statusHistory.map(entry => entry.status)).toEqual(['confirmed', 'rescheduled']);
+    expect(minutesBetween(moved.statusHistory[1].from, booked.start)).toBe(0);
+  });
+  
+  test('refuses to reschedule onto another booking', async () => {
+    const first = await book('2027-06-16', '09:00', 'First');
+    const second = await book('2027-06-16', '13:00', 'Second');
+    
+    await expect(calendarService.rescheduleAppointment(second.id, { date: '2027-06-16', time: '10:00' }))
+      .rejects.toMatchObject({ code: 'SLOT_TAKEN' });
+    expect((await calendarService.getAppointment(first.id)).statusHistory).toHaveLength(1);
+    expect((await calendarService.getAppointment(second.id)).start).toBe(second.start);
+  });
+  
+  test('cancels an appointment, keeping its history and freeing the slot', async () => {
+    const booked = await book('2027-06-17', '15:00');
+    
+    const cancelled = await calendarService.cancelAppointment(booked.id, 'Customer request');
+    
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.statusHistory[1]).toMatchObject({ status: 'cancelled', reason: 'Customer request' });
+    
+    // Cancelling again changes nothing; a cancelled appointment can't be moved
+    await expect(calendarService.cancelAppointment(booked.id)).resolves.toMatchObject({ status: 'cancelled' });
+    await expect(calendarService.rescheduleAppointment(booked.id, { date: '2027-06-17', time: '16:00' }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+    
+    const day = await calendarService.getAppointmentsForDay('2027-06-17');
+    expect(day.map(appointment => appointment.id)).not.toContain(booked.id);
+    await expect(book('2027-06-17', '15:00', 'Next')).resolves.toMatchObject({ status: 'confirmed' });
+  });
+  
+  test('cancelling an unknown appointment is NOT_FOUND', async () => {
+    await expect(calendarService.cancelAppointment('no-such-appointment'))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Path to the service catalog (JSON array of services)
+const SERVICE_CATALOG_CONFIG = process.env.SERVICE_CATALOG_CONFIG ||
+  path.join(__dirname, '..', 'config', 'services.json');
+
+// Duration used for a service that is not in the catalog
+const DEFAULT_DURATION = 60; // 1 hour
+
+let catalog;
+
+// Get every service in the catalog, in display order
+exports.getServices = () => {
+  if (!catalog) {
+    catalog = loadCatalog();
+  }
+  return catalog;
+};
+
+// Get a single service by name, or null
+exports.getService = (name) =>
+  exports.getServices().find(service => service.name === name) || null;
+
+exports.getServiceNames = () => exports.getServices().map(service => service.name);
+
+// Minutes a technician is blocked by a service: the visit plus its buffer
+exports.getServiceDuration = (name) => {
+  const service = exports.getService(name);
+  return service ? service.durationMinutes + service.bufferMinutes : DEFAULT_DURATION;
+};
+
+// Map free text ("my toilet is leaking") onto a service name, or null.
+// Generic services (like repair) only win when nothing more specific
+// matched; otherwise the service with the most keyword hits wins.
+exports.matchService = (text) => {
+  const lowerText = String(text || '').toLowerCase();
+  let best = null;
+  
+  for (const service of exports.getServices()) {
+    const hits = [service.name, ...service.keywords].filter(keyword => lowerText.includes(keyword)).length;
+    if (hits === 0) {
+      continue;
+    }
+    
+    const score = [service.generic ? 0 : 1, hits];
+    if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) {
+      best = { name: service.name, score };
+    }
+  }
+  
+  return best ? best.name : null;
+};
+
+// Helper function to load and check the catalog file
+function loadCatalog() {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(SERVICE_CATALOG_CONFIG, 'utf8'));
+  } catch (error) {
+    logger.error('Error loading service catalog', { error });
+    throw new Error('Failed to load service catalog');
+  }
+  
+  return entries.map(entry => {
+    if (!entry.name || !(entry.durationMinutes > 0)) {
+      throw new Error(`Service catalog entries need a name and a positive durationMinutes: ${JSON.stringify(entry)}`);
+    }
+    
+    return {
+      name: entry.name.toLowerCase(),
+      label: entry.label || entry.name,
+      durationMinutes: entry.durationMinutes,
+      bufferMinutes: entry.bufferMinutes || 0,
+      priceEstimate: entry.priceEstimate || null,
+      requiredSkill: entry.requiredSkill || entry.name.toLowerCase(),
+      keywords: (entry.keywords || []).map(keyword => keyword.toLowerCase()),
+      generic: Boolean(entry.generic)
+    };
+  });
+}
@@ -0,0 +1,26 @@
+const catalogService = require('./catalogService');
+
+describe('catalogService', () => {
+  test('blocks a technician for the visit plus its buffer', () => {
+    expect(catalogService.getServiceDuration('cleaning')).toBe(135);
+    expect(catalogService.getServiceDuration('plumbing')).toBe(70);
+    expect(catalogService.getServiceDuration('unknown')).toBe(60);
+  });
+  
+  test('looks services up by name', () => {
+    expect(catalogService.getServiceNames()).toEqual(['cleaning', 'repair', 'plumbing', 'electrical', 'landscaping']);
+    expect(catalogService.getService('repair')).toMatchObject({ label: 'Repair', requiredSkill: 'repair', generic: true });
+    expect(catalogService.getService('roofing')).toBeNull();
+  });
+  
+  test.each([
+    ['My toilet is leaking', 'plumbing'],
+    ['Can someone fix a leaking pipe?', 'plumbing'],
+    ['The breaker keeps tripping', 'electrical'],
+    ['Please fix my broken fence', 'repair'],
+    ['Mow the lawn and trim the hedge', 'landscaping'],
+    ['Hello there', null]
+  ])('matches "%s" to %s', (text, service) => {
+    expect(catalogService.matchService(text)).toBe(service);
+  });
+});
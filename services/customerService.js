@@ -0,0 +1,193 @@
+const path = require('path');
+const crypto = require('crypto');
+const jsonFileStore = require('./jsonFileStore');
+
+// Location of the JSON file holding all customer records
+const CUSTOMER_STORE_PATH = process.env.CUSTOMER_STORE_PATH ||
+  path.join(__dirname, '..', 'data', 'customers.json');
+
+// Parts of the day a customer can prefer, as [from, to) local hours
+const TIMES_OF_DAY = {
+  morning: [0, 12],
+  afternoon: [12, 17],
+  evening: [17, 24]
+};
+
+const store = jsonFileStore.create(CUSTOMER_STORE_PATH, { customers: [] });
+
+exports.TIMES_OF_DAY = TIMES_OF_DAY;
+
+exports.getCustomer = async (customerId) => {
+  const data = await store.read();
+  return data.customers.find(customer => customer.id === customerId) || null;
+};
+
+// Find a customer by email address or phone number
+exports.findCustomer = async ({ email, phone }) => {
+  if (!email && !phone) {
+    return null;
+  }
+  
+  const data = await store.read();
+  return data.customers.find(customer =>
+    (email && customer.email === email) || (phone && customer.phone === phone)
+  ) || null;
+};
+
+exports.createCustomer = (details) => store.update(data => {
+  ensureContactIsUnique(data, details);
+  
+  const now = new Date().toISOString();
+  const customer = {
+    id: crypto.randomBytes(16).toString('hex'),
+    name: details.name,
+    email: details.email || null,
+    phone: details.phone || null,
+    addresses: [],
+    preferences: { technicianId: null, timeOfDay: null, ...details.preferences },
+    notes: details.notes || '',
+    appointmentIds: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  for (const address of details.addresses || []) {
+    addAddressTo(customer, address);
+  }
+  
+  data.customers.push(customer);
+  return customer;
+});
+
+// Update contact details, notes and preferences (merged with the current ones)
+exports.updateCustomer = (customerId, changes) => updateCustomerRecord(customerId, (customer, data) => {
+  ensureContactIsUnique(data, changes, customerId);
+  
+  for (const field of ['name', 'email', 'phone', 'notes']) {
+    if (changes[field] !== undefined) {
+      customer[field] = changes[field];
+    }
+  }
+  if (changes.preferences) {
+    customer.preferences = { ...customer.preferences, ...changes.preferences };
+  }
+});
+
+// Save an address ({ address, label?, isDefault? }) for a customer
+exports.addAddress = (customerId, address) =>
+  updateCustomerRecord(customerId, customer => addAddressTo(customer, address));
+
+exports.removeAddress = (customerId, addressId) => updateCustomerRecord(customerId, customer => {
+  const index = customer.addresses.findIndex(entry => entry.id === addressId);
+  
+  if (index === -1) {
+    throw notFound('Address not found');
+  }
+  
+  const [removed] = customer.addresses.splice(index, 1);
+  if (removed.isDefault && customer.addresses.length > 0) {
+    customer.addresses[0].isDefault = true;
+  }
+});
+
+// Get one of a customer's saved addresses (the default one without an id)
+exports.getAddress = (customer, addressId = null) => {
+  const entry = addressId
+    ? customer.addresses.find(address => address.id === addressId)
+    : customer.addresses.find(address => address.isDefault) || customer.addresses[0];
+  return entry ? entry.address : null;
+};
+
+// Find the customer a booking belongs to: by id when given, otherwise by
+// email or phone. A booking with contact details but no matching customer
+// creates one. New contact details and addresses are saved on the record.
+// Returns null for anonymous bookings.
+exports.resolveForBooking = async ({ customerId, name, email, phone, address }) => {
+  const customer = customerId
+    ? await exports.getCustomer(customerId)
+    : await exports.findCustomer({ email, phone });
+  
+  if (!customer) {
+    if (customerId) {
+      throw notFound('Customer not found');
+    }
+    if (!email && !phone) {
+      return null;
+    }
+    return exports.createCustomer({ name, email, phone, addresses: address ? [{ address }] : [] });
+  }
+  
+  return updateCustomerRecord(customer.id, record => {
+    record.email = record.email || email || null;
+    record.phone = record.phone || phone || null;
+    if (address && !record.addresses.some(entry => entry.address === address)) {
+      addAddressTo(record, { address });
+    }
+  });
+};
+
+// Remember that an appointment belongs to a customer
+exports.addAppointment = (customerId, appointmentId) => updateCustomerRecord(customerId, customer => {
+  if (!customer.appointmentIds.includes(appointmentId)) {
+    customer.appointmentIds.push(appointmentId);
+  }
+});
+
+// Check whether a start time falls in a preferred part of the day
+exports.matchesTimeOfDay = (timeOfDay, start) => {
+  const range = TIMES_OF_DAY[timeOfDay];
+  if (!range) {
+    return true;
+  }
+  const hour = start.hour();
+  return hour >= range[0] && hour < range[1];
+};
+
+// Helper function to change one customer record and save it
+function updateCustomerRecord(customerId, mutate) {
+  return store.update(data => {
+    const customer = data.customers.find(entry => entry.id === customerId);
+    
+    if (!customer) {
+      throw notFound('Customer not found');
+    }
+    
+    mutate(customer, data);
+    customer.updatedAt = new Date().toISOString();
+    return customer;
+  });
+}
+
+// Helper function to add an address, making the first one the default
+function addAddressTo(customer, { address, label, isDefault }) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    label: label || null,
+    address,
+    isDefault: Boolean(isDefault) || customer.addresses.length === 0
+  };
+  
+  if (entry.isDefault) {
+    customer.addresses.forEach(existing => { existing.isDefault = false; });
+  }
+  
+  customer.addresses.push(entry);
+}
+
+// Helper function to keep emails and phone numbers unique across customers
+function ensureContactIsUnique(data, { email, phone }, ignoreCustomerId = null) {
+  const taken = data.customers.some(customer => customer.id !== ignoreCustomerId &&
+    ((email && customer.email === email) || (phone && customer.phone === phone)));
+  
+  if (taken) {
+    const error = new Error('A customer with this email or phone already exists');
+    error.code = 'CUSTOMER_EXISTS';
+    throw error;
+  }
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
@@ -0,0 +1,266 @@
+const moment = require('moment');
+const timeService = require('./timeService');
+const catalogService = require('./catalogService');
+
+// Start times tried, in order, for a part of the day
+const DAY_PERIODS = {
+  morning: ['09:00', '10:00', '11:00'],
+  noon: ['12:00'],
+  afternoon: ['13:00', '14:00', '15:00', '16:00'],
+  evening: ['16:00']
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const STREET_SUFFIXES = 'st|street|ave|avenue|rd|road|blvd|boulevard|ln|lane|dr|drive|ct|court|way|pl|place|ter|terrace|pkwy|parkway|cir|circle|hwy|highway';
+
+// Words that follow "I'm" without being a name ("I'm looking for...")
+const NOT_NAMES = ['looking', 'interested', 'trying', 'wondering', 'calling', 'not', 'just', 'here',
+  'available', 'free', 'sorry', 'good', 'fine', 'having', 'in', 'at', 'a', 'the', 'so', 'very'];
+
+// Extract booking details from free text.
+//
+// Returns only the fields that were found: name, address, service (a service
+// name from the catalog) and timePreferences, a list of { date, time } in
+// YYYY-MM-DD / HH:mm form ordered from most to least preferred. A preference
+// may carry only a date or only a time when the text gave just one of them.
+// Relative dates ("tomorrow") count from referenceDate, which defaults to
+// the current time in the business timezone.
+exports.extractEntities = (text, referenceDate = timeService.now()) => {
+  const entities = {};
+  let remainingText = String(text || '');
+  
+  const name = extractName(remainingText);
+  if (name) {
+    entities.name = name;
+  }
+  
+  // Pull the address out first so its house number is never read as a time
+  const address = extractAddress(remainingText);
+  if (address) {
+    entities.address = address;
+    remainingText = remainingText.replace(address, ' ');
+  }
+  
+  const service = extractService(remainingText);
+  if (service) {
+    entities.service = service;
+  }
+  
+  const timePreferences = extractTimePreferences(remainingText, moment(referenceDate));
+  if (timePreferences.length > 0) {
+    entities.timePreferences = timePreferences;
+  }
+  
+  return entities;
+};
+
+// Map free text onto a service type, or null
+exports.extractService = (text) => extractService(String(text || ''));
+
+// Helper function to find a name introduced by the customer
+function extractName(text) {
+  // "My name is bob smith" is explicit enough to accept any capitalization
+  const explicit = text.match(/\b(?:my name is|name is|name's)\s+([a-z][a-z'-]+(?:\s+[a-z][a-z'-]+)?)/i);
+  if (explicit) {
+    return explicit[1]
+      .split(/\s+/)
+      .filter(word => !NOT_NAMES.includes(word.toLowerCase()) && !/^(and|but)$/i.test(word))
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ') || null;
+  }
+  
+  const match = text.match(/\b(?:this is|i am|i'm|im)\s+([a-z][a-z'-]+(?:\s+[a-z][a-z'-]+){0,2})/i);
+  if (!match) {
+    return null;
+  }
+  
+  // Otherwise names must be capitalized; "I'm looking for..." is not a name
+  const words = [];
+  for (const word of match[1].split(/\s+/)) {
+    if (!/^[A-Z]/.test(word)) {
+      break;
+    }
+    words.push(word);
+  }
+  
+  if (words.length === 0 || NOT_NAMES.includes(words[0].toLowerCase())) {
+    return null;
+  }
+  
+  return words.join(' ');
+}
+
+// Helper function to find a street address ("12 Elm St, Springfield, IL 62704")
+function extractAddress(text) {
+  const pattern = new RegExp(
+    `\\b\\d+[a-z]?\\s+(?:[a-z0-9.'-]+\\s+){0,4}?(?:${STREET_SUFFIXES})\\b\\.?` +
+    `(?:\\s*(?:apt|unit|suite|#)\\s*[\\w-]+)?` +
+    `(?:,\\s*[a-z .'-]+?)?(?:,\\s*[a-z]{2})?(?:\\s+\\d{5}(?:-\\d{4})?)?(?=[,.!?]?(?:\\s|$))`,
+    'i'
+  );
+  const match = text.match(pattern);
+  return match ? match[0].trim().replace(/[,.]$/, '') : null;
+}
+
+// Helper function to find the requested service using the catalog keywords
+function extractService(text) {
+  return catalogService.matchService(text);
+}
+
+// Helper function to combine the dates and times found in the text
+function extractTimePreferences(text, referenceDate) {
+  const lowerText = text.toLowerCase();
+  const dates = extractDates(lowerText, referenceDate);
+  const times = extractTimes(lowerText.replace(/\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?/g, ' '));
+  
+  if (dates.length === 0) {
+    return times.map(time => ({ time }));
+  }
+  
+  if (times.length === 0) {
+    return dates.map(date => ({ date }));
+  }
+  
+  // Every date with every time, earlier dates first
+  const preferences = [];
+  for (const date of dates) {
+    for (const time of times) {
+      preferences.push({ date, time });
+    }
+  }
+  return preferences;
+}
+
+// Helper function to find absolute and relative dates
+function extractDates(lowerText, referenceDate) {
+  const dates = [];
+  const today = referenceDate.format('YYYY-MM-DD');
+  const addDate = (date) => {
+    // Compare calendar dates as strings so parsed dates and the (possibly
+    // zoned) reference date never disagree about which day it is
+    const formatted = date.isValid() ? date.format('YYYY-MM-DD') : null;
+    if (formatted && formatted >= today) {
+      if (!dates.includes(formatted)) {
+        dates.push(formatted);
+      }
+    }
+  };
+  
+  // 2025-06-15
+  for (const [iso] of lowerText.matchAll(/\b\d{4}-\d{2}-\d{2}\b/g)) {
+    addDate(moment(iso, 'YYYY-MM-DD', true));
+  }
+  
+  // 6/15 or 6/15/2025 (US order)
+  for (const [, month, day, year] of lowerText.matchAll(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g)) {
+    addDate(withYear(moment({ month: month - 1, day: parseInt(day, 10) }), year, referenceDate));
+  }
+  
+  // June 15th, 2025 / 15 June
+  const monthPattern = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+  for (const [, month, day, year] of lowerText.matchAll(new RegExp(`\\b(${monthPattern})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?\\b`, 'g'))) {
+    addDate(withYear(moment(`${month} ${day}`, ['MMMM D', 'MMM D']), year, referenceDate));
+  }
+  for (const [, day, month, year] of lowerText.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthPattern})(?:,?\\s*(\\d{4}))?\\b`, 'g'))) {
+    addDate(withYear(moment(`${month} ${day}`, ['MMMM D', 'MMM D']), year, referenceDate));
+  }
+  
+  if (/\bday after tomorrow\b/.test(lowerText)) {
+    addDate(moment(referenceDate).add(2, 'days'));
+  } else if (/\btomorrow\b/.test(lowerText)) {
+    addDate(moment(referenceDate).add(1, 'day'));
+  }
+  
+  if (/\btoday\b|\btonight\b/.test(lowerText)) {
+    addDate(moment(referenceDate));
+  }
+  
+  // in 3 days
+  const inDays = lowerText.match(/\bin (\d{1,2}) days?\b/);
+  if (inDays) {
+    addDate(moment(referenceDate).add(parseInt(inDays[1], 10), 'days'));
+  }
+  
+  // Tuesday / this Tuesday: the next Tuesday after today.
+  // Next Tuesday: the same, unless that falls in the current week, in which
+  // case the customer means the Tuesday of the following week.
+  for (const [, qualifier, weekday] of lowerText.matchAll(/\b(?:(this|next|on)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?\b/g)) {
+    const target = WEEKDAYS.indexOf(weekday);
+    const daysAhead = ((target - referenceDate.day()) + 7) % 7 || 7;
+    const date = moment(referenceDate).add(daysAhead, 'days');
+    
+    if (qualifier === 'next' && date.isSame(referenceDate, 'isoWeek')) {
+      date.add(1, 'week');
+    }
+    addDate(date);
+  }
+  
+  // next week: the Monday of next week
+  if (/\bnext week\b/.test(lowerText) && dates.length === 0) {
+    addDate(moment(referenceDate).add(1, 'week').isoWeekday(1));
+  }
+  
+  return dates;
+}
+
+// Helper function to find times of day ("3pm", "at 3", "15:30", "afternoon")
+function extractTimes(lowerText) {
+  const times = [];
+  const addTime = (time) => {
+    if (!times.includes(time)) {
+      times.push(time);
+    }
+  };
+  
+  const clockPattern = /\b(?:(at|around|by|after)\s+)?(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?=\s|$|[,.!?])/g;
+  for (const [, preposition, hourText, minuteText, meridiem] of lowerText.matchAll(clockPattern)) {
+    // A bare number is only a time when introduced ("at 3") or clearly formatted
+    if (!preposition && !minuteText && !meridiem) {
+      continue;
+    }
+    
+    let hour = parseInt(hourText, 10);
+    const minute = minuteText ? parseInt(minuteText, 10) : 0;
+    if (hour > 23 || minute > 59) {
+      continue;
+    }
+    
+    if (meridiem && meridiem.startsWith('p') && hour < 12) {
+      hour += 12;
+    } else if (meridiem && meridiem.startsWith('a') && hour === 12) {
+      hour = 0;
+    } else if (!meridiem && hour >= 1 && hour <= 7) {
+      // "at 3" during business hours means the afternoon
+      hour += 12;
+    }
+    
+    addTime(moment({ hour, minute }).format('HH:mm'));
+  }
+  
+  if (/\bnoon\b|\bmidday\b/.test(lowerText)) {
+    DAY_PERIODS.noon.forEach(addTime);
+  }
+  
+  for (const period of ['morning', 'afternoon', 'evening']) {
+    if (new RegExp(`\\b${period}\\b`).test(lowerText)) {
+      DAY_PERIODS[period].forEach(addTime);
+    }
+  }
+  
+  return times;
+}
+
+// Helper function to apply an explicit year, or roll a past date into next year
+function withYear(date, year, referenceDate) {
+  if (!date.isValid()) {
+    return date;
+  }
+  
+  if (year) {
+    return date.year(year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10));
+  }
+  
+  const candidate = moment(date).year(referenceDate.year());
+  return candidate.format('YYYY-MM-DD') < referenceDate.format('YYYY-MM-DD') ? candidate.add(1, 'year') : candidate;
+}
@@ -0,0 +1,77 @@
+const moment = require('moment-timezone');
+const timeService = require('./timeService');
+const extractionService = require('./extractionService');
+
+// The tests run at TZ=UTC (jest.setup.js), so late evenings in the business
+// timezone are already the next day on the server clock
+function setNow(localTime) {
+  jest.spyOn(timeService, 'now').mockImplementation(() => moment.tz(localTime, timeService.BUSINESS_TIMEZONE));
+}
+
+function extractDates(text) {
+  const { timePreferences = [] } = extractionService.extractEntities(text);
+  return [...new Set(timePreferences.map(preference => preference.date))];
+}
+
+describe('extractionService relative dates', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('on Monday 2026-10-19 at noon', () => {
+    beforeEach(() => setNow('2026-10-19 12:00'));
+    
+    test.each([
+      ['today', '2026-10-19'],
+      ['tonight', '2026-10-19'],
+      ['tomorrow', '2026-10-20'],
+      ['the day after tomorrow', '2026-10-21'],
+      ['in 3 days', '2026-10-22'],
+      ['Tuesday', '2026-10-20'],
+      ['this Tuesday', '2026-10-20'],
+      ['on Friday', '2026-10-23'],
+      ['next Tuesday', '2026-10-27'],
+      ['Monday', '2026-10-26'],
+      ['next Monday', '2026-10-26'],
+      ['Sunday', '2026-10-25'],
+      ['next Sunday', '2026-11-01'],
+      ['next week', '2026-10-26'],
+      ['October 30th', '2026-10-30'],
+      ['10/15', '2027-10-15']
+    ])('"%s" is %s', (text, date) => {
+      expect(extractDates(`Can you come ${text}?`)).toEqual([date]);
+    });
+    
+    test.each([
+      ['tomorrow at 3', [{ date: '2026-10-20', time: '15:00' }]],
+      ['next Tuesday afternoon', ['13:00', '14:00', '15:00', '16:00'].map(time => ({ date: '2026-10-27', time }))],
+      ['Friday at 10:30am', [{ date: '2026-10-23', time: '10:30' }]]
+    ])('"%s" combines the date and time', (text, timePreferences) => {
+      expect(extractionService.extractEntities(text).timePreferences).toEqual(timePreferences);
+    });
+  });
+  
+  describe('late in the evening, when the server clock has already rolled over', () => {
+    test.each([
+      ['today', '2026-10-19'],
+      ['tomorrow', '2026-10-20'],
+      ['Tuesday', '2026-10-20'],
+      ['next Tuesday', '2026-10-27']
+    ])('on Monday at 22:30 "%s" is %s', (text, date) => {
+      setNow('2026-10-19 22:30');
+      
+      expect(extractDates(text)).toEqual([date]);
+    });
+    
+    test.each([
+      ['tomorrow', '2026-10-26'],
+      ['Monday', '2026-10-26'],
+      ['next Monday', '2026-10-26'],
+      ['Sunday', '2026-11-01']
+    ])('on Sunday at 21:00 "%s" is %s', (text, date) => {
+      setNow('2026-10-25 21:00');
+      
+      expect(extractDates(text)).toEqual([date]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const haversineProvider = require('./haversineProvider');
+const { normalizeAddress } = require('./index');
+
+// JSON fixture with known coordinates and (optionally) exact travel times:
+// { "locations": { "<address>": { "lat": 0, "lng": 0 } },
+//   "travelTimes": { "<origin address>|<destination address>": 20 } }
+const GEO_FIXTURES = process.env.GEO_FIXTURES ||
+  path.join(__dirname, '..', '..', 'config', 'geoFixtures.json');
+
+let fixtures;
+
+exports.geocode = async (address) => {
+  const location = getFixtures().locations[normalizeAddress(address)];
+  
+  if (!location) {
+    const error = new Error('No geocoding fixture for this address');
+    error.code = 'ADDRESS_NOT_FOUND';
+    throw error;
+  }
+  
+  return { address, lat: location.lat, lng: location.lng };
+};
+
+exports.getTravelTime = async (origin, destination) => {
+  const key = `${normalizeAddress(origin.address)}|${normalizeAddress(destination.address)}`;
+  const travelTime = getFixtures().travelTimes[key];
+  
+  // Pairs without a fixed time fall back to the straight-line estimate
+  if (travelTime === undefined) {
+    return haversineProvider.getTravelTime(origin, destination);
+  }
+  
+  return travelTime;
+};
+
+// Replace the fixtures in memory (used by tests)
+exports.setFixtures = (data) => {
+  fixtures = normalizeFixtures(data);
+};
+
+// Helper function to load fixtures from disk once
+function getFixtures() {
+  if (!fixtures) {
+    fixtures = normalizeFixtures(JSON.parse(fs.readFileSync(GEO_FIXTURES, 'utf8')));
+  }
+  return fixtures;
+}
+
+// Helper function to index fixtures by normalized address
+function normalizeFixtures(data) {
+  const locations = {};
+  for (const [address, location] of Object.entries(data.locations || {})) {
+    locations[normalizeAddress(address)] = location;
+  }
+  
+  const travelTimes = {};
+  for (const [pair, minutes] of Object.entries(data.travelTimes || {})) {
+    const [origin, destination] = pair.split('|');
+    travelTimes[`${normalizeAddress(origin)}|${normalizeAddress(destination)}`] = minutes;
+  }
+  
+  return { locations, travelTimes };
+}
@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+// Google Maps API key
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+
+// Timeout for Google Maps requests in milliseconds
+const GOOGLE_MAPS_TIMEOUT_MS = 10000;
+
+exports.geocode = async (address) => {
+  const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+    params: { address, key: GOOGLE_MAPS_API_KEY },
+    timeout: GOOGLE_MAPS_TIMEOUT_MS
+  });
+  
+  if (response.data.status === 'ZERO_RESULTS') {
+    const error = new Error('Address could not be found');
+    error.code = 'ADDRESS_NOT_FOUND';
+    throw error;
+  }
+  if (response.data.status !== 'OK' || response.data.results.length === 0) {
+    throw new Error(`Geocoding failed: ${response.data.status}`);
+  }
+  
+  const { lat, lng } = response.data.results[0].geometry.location;
+  return { address, lat, lng };
+};
+
+exports.getTravelTime = async (origin, destination) => {
+  const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
+    params: {
+      origins: `${origin.lat},${origin.lng}`,
+      destinations: `${destination.lat},${destination.lng}`,
+      mode: 'driving',
+      key: GOOGLE_MAPS_API_KEY
+    },
+    timeout: GOOGLE_MAPS_TIMEOUT_MS
+  });
+  
+  const element = response.data.rows &&
+    response.data.rows[0] &&
+    response.data.rows[0].elements[0];
+  
+  if (element && (element.status === 'ZERO_RESULTS' || element.status === 'NOT_FOUND')) {
+    const error = new Error(`No driving route: ${element.status}`);
+    error.code = 'NO_ROUTE';
+    throw error;
+  }
+  if (response.data.status !== 'OK' || !element || element.status !== 'OK') {
+    throw new Error(`Distance Matrix failed: ${element ? element.status : response.data.status}`);
+  }
+  
+  // Distance Matrix durations are in seconds
+  return Math.ceil(element.duration.value / 60);
+};
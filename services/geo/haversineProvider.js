@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { normalizeAddress } = require('./index');
+
+// Average driving speed used for estimates, in km/h
+const AVERAGE_SPEED_KMH = parseFloat(process.env.GEO_AVERAGE_SPEED_KMH) || 30;
+
+// Roads are rarely straight: multiply the straight-line distance by this
+const ROAD_DISTANCE_FACTOR = parseFloat(process.env.GEO_ROAD_DISTANCE_FACTOR) || 1.3;
+
+// Centre and radius (km) of the area offline addresses are placed in
+const GEO_CENTER = {
+  lat: parseFloat(process.env.GEO_CENTER_LAT) || 40.75,
+  lng: parseFloat(process.env.GEO_CENTER_LNG) || -73.95
+};
+const GEO_RADIUS_KM = parseFloat(process.env.GEO_RADIUS_KM) || 10;
+
+// Without a geocoding service, derive stable coordinates from the address
+// itself so the same address always lands on the same point
+exports.geocode = async (address) => {
+  const hash = crypto.createHash('sha256').update(normalizeAddress(address)).digest();
+  const angle = (hash.readUInt32BE(0) / 0xffffffff) * 2 * Math.PI;
+  const distanceKm = Math.sqrt(hash.readUInt32BE(4) / 0xffffffff) * GEO_RADIUS_KM;
+  
+  const lat = GEO_CENTER.lat + (distanceKm / 111.32) * Math.cos(angle);
+  const lng = GEO_CENTER.lng +
+    (distanceKm / (111.32 * Math.cos(deg2rad(GEO_CENTER.lat)))) * Math.sin(angle);
+  
+  return { address, lat, lng };
+};
+
+exports.getTravelTime = async (origin, destination) => {
+  const distanceKm = calculateDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+  return Math.ceil((distanceKm * ROAD_DISTANCE_FACTOR / AVERAGE_SPEED_KMH) * 60);
+};
+
+// Helper function to calculate distance between two coordinates
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the earth in km
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2); 
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
+  const distance = R * c; // Distance in km
+  return distance;
+}
+
+function deg2rad(deg) {
+  return deg * (Math.PI/180);
+}
+
+exports.calculateDistance = calculateDistance;
@@ -0,0 +1,131 @@
+// Geocoding and travel-time provider selection
+//
+// Every provider exposes:
+//
+//   geocode(address)                  -> { address, lat, lng }
+//   getTravelTime(origin, destination) -> minutes between two geocoded locations
+//
+// Results are cached per address and per address pair so repeated route
+// analysis for the same day neither hits external APIs again nor changes.
+
+const logger = require('../logger');
+const metrics = require('../metrics');
+const resilience = require('../resilience');
+const { DEMO_MODE } = require('../appMode');
+const { ValidationError, RoutingUnavailableError } = require('../../errors');
+
+const GEO_PROVIDERS = {
+  google: () => require('./googleMapsProvider'),
+  haversine: () => require('./haversineProvider'),
+  fixture: () => require('./fixtureProvider')
+};
+
+// Demo mode estimates travel times offline. Outside it Google Maps is used
+// when an API key is configured; otherwise GEO_PROVIDER has to name a
+// provider, so straight-line estimates are never used without asking for them.
+const DEFAULT_PROVIDER = DEMO_MODE ? 'haversine' : (process.env.GOOGLE_MAPS_API_KEY ? 'google' : null);
+
+// Maximum number of cached geocodes and travel times (oldest are evicted first)
+const GEO_CACHE_SIZE = parseInt(process.env.GEO_CACHE_SIZE, 10) || 1000;
+
+let provider;
+const geocodeCache = new Map();
+const travelTimeCache = new Map();
+
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.GEO_PROVIDER || DEFAULT_PROVIDER || '').toLowerCase();
+    const loadProvider = GEO_PROVIDERS[name];
+    
+    if (!name) {
+      throw new Error('No geo provider configured: set GOOGLE_MAPS_API_KEY or GEO_PROVIDER (e.g. haversine), or run with DEMO_MODE=true');
+    }
+    if (!loadProvider) {
+      throw new Error(`Unknown geo provider: ${name}`);
+    }
+    
+    provider = resilience.protect(metrics.trackFailures(loadProvider(), 'geo', name, ['geocode', 'getTravelTime']), {
+      name: 'geo',
+      methods: ['geocode', 'getTravelTime'],
+      retry: ['geocode', 'getTravelTime'],
+      toError
+    });
+    logger.info('Using geo provider', { provider: name });
+  }
+  
+  return provider;
+}
+
+// Replace the active provider (used by tests and scripts) and drop cached results
+function setProvider(customProvider) {
+  provider = customProvider;
+  geocodeCache.clear();
+  travelTimeCache.clear();
+}
+
+async function geocode(address) {
+  const key = normalizeAddress(address);
+  
+  if (!geocodeCache.has(key)) {
+    remember(geocodeCache, key, getProvider().geocode(address));
+  }
+  
+  return withCacheCleanup(geocodeCache, key);
+}
+
+async function getTravelTime(origin, destination) {
+  const key = `${normalizeAddress(origin.address)}|${normalizeAddress(destination.address)}`;
+  
+  if (!travelTimeCache.has(key)) {
+    remember(travelTimeCache, key, getProvider().getTravelTime(origin, destination));
+  }
+  
+  return withCacheCleanup(travelTimeCache, key);
+}
+
+// Helper function to store a pending result, evicting the oldest entry when full
+function remember(cache, key, promise) {
+  if (cache.size >= GEO_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, promise);
+}
+
+// Helper function to await a cached result, forgetting it if it failed
+async function withCacheCleanup(cache, key) {
+  const pending = cache.get(key);
+  
+  try {
+    return await pending;
+  } catch (error) {
+    if (cache.get(key) === pending) {
+      cache.delete(key);
+    }
+    throw error;
+  }
+}
+
+// Helper function to tell an address the provider can't find (the
+// caller's problem) from the provider failing
+function toError(error) {
+  if (error.code === 'ADDRESS_NOT_FOUND') {
+    return new ValidationError([{ field: 'address', code: 'address_not_found', message: 'Address could not be found' }]);
+  }
+  if (error.code === 'NO_ROUTE') {
+    return new ValidationError([{ field: 'address', code: 'address_unreachable', message: 'No driving route to this address' }]);
+  }
+  return new RoutingUnavailableError({ retryAfter: error.retryAfter, cause: error });
+}
+
+// Helper function to make cache keys insensitive to case and spacing
+function normalizeAddress(address) {
+  return String(address).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+module.exports = {
+  geocode,
+  getTravelTime,
+  getProvider,
+  setProvider,
+  normalizeAddress
+};
@@ -0,0 +1,89 @@
+const path = require('path');
+
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', '..', 'config', 'geoFixtures.example.json');
+process.env.EXTERNAL_RETRY_ATTEMPTS = '0';
+
+const geo = require('./index');
+const fixtureProvider = require('./fixtureProvider');
+const haversineProvider = require('./haversineProvider');
+
+const MAIN = '123 Main St, Anytown, USA';
+const OAK = '45 Oak Ave, Anytown, USA';
+const ELM = '9 Elm St, Anytown, USA';
+
+describe('geo with the fixture provider', () => {
+  let geocodeSpy;
+  let travelTimeSpy;
+  
+  beforeEach(() => {
+    // setProvider(null) drops the cached results and reloads the provider
+    geo.setProvider(null);
+    geocodeSpy = jest.spyOn(fixtureProvider, 'geocode');
+    travelTimeSpy = jest.spyOn(fixtureProvider, 'getTravelTime');
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('geocodes fixture addresses and rejects unknown ones as a validation error', async () => {
+    await expect(geo.geocode(MAIN)).resolves.toMatchObject({ lat: 40.7484, lng: -73.9857 });
+    await expect(geo.geocode('1 Nowhere Rd')).rejects.toMatchObject({
+      code: 'VALIDATION_FAILED',
+      details: [expect.objectContaining({ field: 'address', code: 'address_not_found' })]
+    });
+    
+    // Error messages end up in the logs, so the address stays out of them
+    const providerError = await fixtureProvider.geocode('1 Nowhere Rd').catch(error => error);
+    expect(providerError.code).toBe('ADDRESS_NOT_FOUND');
+    expect(providerError.stack).not.toContain('Nowhere');
+  });
+  
+  test('uses the fixed travel time for each direction of a pair', async () => {
+    const main = await geo.geocode(MAIN);
+    const oak = await geo.geocode(OAK);
+    
+    await expect(geo.getTravelTime(main, oak)).resolves.toBe(18);
+    await expect(geo.getTravelTime(oak, main)).resolves.toBe(20);
+  });
+  
+  test('caches travel times per address pair', async () => {
+    const main = await geo.geocode(MAIN);
+    const oak = await geo.geocode(OAK);
+    const elm = await geo.geocode(ELM);
+    
+    await geo.getTravelTime(main, oak);
+    await geo.getTravelTime(main, oak);
+    // Case and spacing don't make a new pair
+    await geo.getTravelTime({ ...main, address: '123  main st, ANYTOWN, usa' }, oak);
+    expect(travelTimeSpy).toHaveBeenCalledTimes(1);
+    
+    // The reverse direction and other pairs are looked up on their own
+    await geo.getTravelTime(oak, main);
+    await geo.getTravelTime(main, elm);
+    await geo.getTravelTime(main, elm);
+    expect(travelTimeSpy).toHaveBeenCalledTimes(3);
+  });
+  
+  test('caches geocodes per normalized address', async () => {
+    await geo.geocode(MAIN);
+    await geo.geocode(` ${MAIN.toUpperCase()} `);
+    expect(geocodeSpy).toHaveBeenCalledTimes(1);
+  });
+  
+  test('falls back to a straight-line estimate for pairs without a fixed time', async () => {
+    const main = await geo.geocode(MAIN);
+    const elm = await geo.geocode(ELM);
+    
+    const minutes = await geo.getTravelTime(main, elm);
+    expect(minutes).toBeGreaterThan(0);
+    expect(minutes).toBe(await haversineProvider.getTravelTime(main, elm));
+  });
+  
+  test('does not cache failures', async () => {
+    await expect(geo.geocode('1 Nowhere Rd')).rejects.toBeDefined();
+    await expect(geo.geocode('1 Nowhere Rd')).rejects.toBeDefined();
+    expect(geocodeSpy).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Minutes a slot stays reserved before an unconfirmed hold lapses
+const HOLD_TTL_MINUTES = parseInt(process.env.HOLD_TTL_MINUTES, 10) || 10;
+
+const holds = new Map();
+
+// Periodically drop lapsed holds; unref so this never keeps the process alive
+setInterval(removeExpiredHolds, 60 * 1000).unref();
+
+exports.HOLD_TTL_MINUTES = HOLD_TTL_MINUTES;
+
+// Reserve a slot ({ technicianId, calendarId, service, address, date,
+// time, start, end }) for HOLD_TTL_MINUTES, or ttlMinutes when given.
+// Callers check the slot is free first; see calendarService.holdSlot.
+exports.createHold = (slot, { ttlMinutes = HOLD_TTL_MINUTES } = {}) => {
+  const hold = {
+    ...slot,
+    id: crypto.randomBytes(16).toString('hex'),
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+  };
+  
+  holds.set(hold.id, hold);
+  return hold;
+};
+
+// Get a live hold, or null if it never existed, lapsed or was released
+exports.getHold = (holdId) => {
+  const hold = holds.get(holdId);
+  
+  if (!hold) {
+    return null;
+  }
+  
+  if (isExpired(hold)) {
+    holds.delete(holdId);
+    return null;
+  }
+  
+  return hold;
+};
+
+exports.releaseHold = (holdId) => holds.delete(holdId);
+
+// Live holds on a technician's calendar overlapping start..end (ISO strings
+// or moments), optionally ignoring one hold
+exports.getOverlappingHolds = (calendarId, start, end, ignoreHoldId = null) => {
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+  
+  return [...holds.values()].filter(hold =>
+    hold.calendarId === calendarId &&
+    hold.id !== ignoreHoldId &&
+    !isExpired(hold) &&
+    new Date(hold.start).getTime() < endTime &&
+    new Date(hold.end).getTime() > startTime
+  );
+};
+
+// Helper function to check whether a hold has lapsed
+function isExpired(hold) {
+  return new Date(hold.expiresAt).getTime() <= Date.now();
+}
+
+// Helper function to drop every lapsed hold
+function removeExpiredHolds() {
+  for (const [holdId, hold] of holds) {
+    if (isExpired(hold)) {
+      holds.delete(holdId);
+    }
+  }
+}
@@ -0,0 +1,184 @@
+const moment = require('moment-timezone');
+const catalogService = require('./catalogService');
+const timeService = require('./timeService');
+
+// iCalendar (RFC 5545) output for appointments: single .ics files and
+// subscribable feeds.
+//
+// Every appointment keeps the same UID for its whole life, and its SEQUENCE
+// goes up with each reschedule, shortening and cancellation, so calendar apps update
+// the event they already have instead of adding a copy. Cancelled
+// appointments stay in the output with STATUS:CANCELLED. Times are written
+// in the business timezone, described by a VTIMEZONE built from the
+// timezone database.
+
+// Right-hand side of every UID (<appointment id>@<domain>)
+const ICS_UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'routerover';
+
+// Product identifier written into every calendar
+const PRODUCT_ID = '-//RouteRover//Appointments//EN';
+
+// Statuses in an appointment's history that change the event for subscribers
+const SEQUENCE_STATUSES = ['rescheduled', 'shortened', 'cancelled'];
+
+// Render one appointment as a calendar file
+exports.renderAppointment = (appointment) => exports.renderCalendar([appointment]);
+
+// Render appointments as one calendar, optionally named (shown by calendar
+// apps for subscribed feeds)
+exports.renderCalendar = (appointments, { name = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push(`X-WR-TIMEZONE:${timeService.BUSINESS_TIMEZONE}`);
+  }
+  
+  lines.push(...renderTimezone(appointments));
+  
+  const stamp = formatUtc(new Date());
+  for (const appointment of appointments) {
+    lines.push(...renderEvent(appointment, stamp));
+  }
+  
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Helper function to render the VEVENT of an appointment
+function renderEvent(appointment, stamp) {
+  const history = appointment.statusHistory || [];
+  const sequence = history.filter(entry => SEQUENCE_STATUSES.includes(entry.status)).length;
+  const catalogEntry = catalogService.getService(appointment.service);
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${appointment.id}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${timeService.BUSINESS_TIMEZONE}:${formatLocal(appointment.start)}`,
+    `DTEND;TZID=${timeService.BUSINESS_TIMEZONE}:${formatLocal(appointment.end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(appointment.summary || (catalogEntry ? catalogEntry.label : appointment.service) || 'Appointment')}`
+  ];
+  
+  if (appointment.location) {
+    lines.push(`LOCATION:${escapeText(appointment.location)}`);
+  }
+  if (appointment.notes) {
+    lines.push(`DESCRIPTION:${escapeText(appointment.notes)}`);
+  }
+  if (history.length > 0) {
+    lines.push(`CREATED:${formatUtc(history[0].at)}`);
+    lines.push(`LAST-MODIFIED:${formatUtc(history[history.length - 1].at)}`);
+  }
+  
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Helper function to describe the business timezone for the period the
+// appointments cover (a year either side), with one STANDARD or DAYLIGHT
+// observance per offset change in that period
+function renderTimezone(appointments) {
+  const tzid = timeService.BUSINESS_TIMEZONE;
+  const zone = moment.tz.zone(tzid);
+  
+  const starts = appointments.map(appointment => new Date(appointment.start).getTime());
+  const from = moment(starts.length > 0 ? Math.min(...starts) : Date.now()).subtract(1, 'year').valueOf();
+  const to = moment(starts.length > 0 ? Math.max(...starts) : Date.now()).add(1, 'year').valueOf();
+  
+  const observances = [];
+  
+  // Offsets in the timezone database are minutes behind UTC
+  zone.untils.forEach((until, index) => {
+    if (until < from || until > to || index + 1 >= zone.offsets.length) {
+      return;
+    }
+    
+    const offsetFrom = -zone.offsets[index];
+    const offsetTo = -zone.offsets[index + 1];
+    observances.push(
+      `BEGIN:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`,
+      // The change happens at this wall-clock time, before the change
+      `DTSTART:${moment.utc(until).add(offsetFrom, 'minutes').format('YYYYMMDD[T]HHmmss')}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${zone.abbrs[index + 1]}`,
+      `END:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`
+    );
+  });
+  
+  // Zones without changes in the period still need one observance
+  if (observances.length === 0) {
+    const offset = -zone.utcOffset(from);
+    observances.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(offset)}`,
+      `TZOFFSETTO:${formatOffset(offset)}`,
+      `TZNAME:${zone.abbr(from)}`,
+      'END:STANDARD'
+    );
+  }
+  
+  return ['BEGIN:VTIMEZONE', `TZID:${tzid}`, ...observances, 'END:VTIMEZONE'];
+}
+
+// Helper function to format an instant as local business time (floating,
+// paired with TZID)
+function formatLocal(instant) {
+  return timeService.fromInstant(instant).format('YYYYMMDD[T]HHmmss');
+}
+
+// Helper function to format an instant in UTC
+function formatUtc(instant) {
+  return moment.utc(instant).format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+// Helper function to format a UTC offset in minutes as +HHMM / -HHMM
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// Helper function to escape a TEXT value
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper function to fold a content line into chunks of at most 75 octets,
+// continued on lines starting with a space, never splitting a character
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  
+  for (const character of line) {
+    const bytes = Buffer.byteLength(character);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? 75 : 74;
+    
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += character;
+    currentBytes += bytes;
+  }
+  
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
@@ -0,0 +1,81 @@
+process.env.BUSINESS_TIMEZONE = 'America/New_York';
+
+const icsService = require('./icsService');
+
+const appointment = {
+  id: 'apt_1',
+  service: 'plumbing',
+  location: '45 Oak Ave, Anytown, USA',
+  notes: 'Gate code 1234; dog in the yard',
+  start: '2027-06-15T14:00:00.000Z',
+  end: '2027-06-15T15:10:00.000Z',
+  status: 'confirmed',
+  statusHistory: [{ status: 'confirmed', at: '2027-06-01T12:00:00.000Z' }]
+};
+
+// Unfold the content lines and pick out one event's properties
+function parseEvent(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const event = lines.slice(lines.indexOf('BEGIN:VEVENT') + 1, lines.indexOf('END:VEVENT'));
+  return Object.fromEntries(event.map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)]));
+}
+
+describe('icsService', () => {
+  test('renders an appointment in the business timezone', () => {
+    const ics = icsService.renderAppointment(appointment);
+    
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(parseEvent(ics)).toMatchObject({
+      'UID': 'apt_1@routerover',
+      'DTSTART;TZID=America/New_York': '20270615T100000',
+      'DTEND;TZID=America/New_York': '20270615T111000',
+      'SEQUENCE': '0',
+      'STATUS': 'CONFIRMED',
+      'SUMMARY': 'Plumbing',
+      'LOCATION': '45 Oak Ave\\, Anytown\\, USA',
+      'DESCRIPTION': 'Gate code 1234\\; dog in the yard',
+      'CREATED': '20270601T120000Z'
+    });
+  });
+  
+  test('describes the daylight saving changes around the appointment', () => {
+    const ics = icsService.renderAppointment(appointment);
+    const timezone = ics.slice(ics.indexOf('BEGIN:VTIMEZONE'), ics.indexOf('END:VTIMEZONE'));
+    
+    expect(timezone).toContain('TZID:America/New_York');
+    expect(timezone).toContain('BEGIN:DAYLIGHT\r\nDTSTART:20270314T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\nTZNAME:EDT');
+    expect(timezone).toContain('BEGIN:STANDARD\r\nDTSTART:20271107T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\nTZNAME:EST');
+  });
+  
+  test('keeps the UID and bumps the sequence when an appointment is moved or cancelled', () => {
+    const cancelled = {
+      ...appointment,
+      start: '2027-06-16T14:00:00.000Z',
+      end: '2027-06-16T15:10:00.000Z',
+      status: 'cancelled',
+      statusHistory: [
+        ...appointment.statusHistory,
+        { status: 'rescheduled', at: '2027-06-02T12:00:00.000Z' },
+        { status: 'cancelled', at: '2027-06-03T12:00:00.000Z' }
+      ]
+    };
+    
+    expect(parseEvent(icsService.renderAppointment(cancelled))).toMatchObject({
+      'UID': 'apt_1@routerover',
+      'SEQUENCE': '2',
+      'STATUS': 'CANCELLED',
+      'LAST-MODIFIED': '20270603T120000Z'
+    });
+  });
+  
+  test('names feeds and folds long lines at 75 octets', () => {
+    const ics = icsService.renderCalendar([{ ...appointment, notes: 'é'.repeat(100) }], { name: 'Alex, route' });
+    
+    expect(ics).toContain('X-WR-CALNAME:Alex\\, route\r\nX-WR-TIMEZONE:America/New_York');
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(parseEvent(ics).DESCRIPTION).toBe('é'.repeat(100));
+  });
+});
@@ -0,0 +1,63 @@
+// Remembered responses for requests sent with an Idempotency-Key header,
+// so a retried request gets the original response instead of running twice
+
+// Hours a key (and its response) is remembered
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+const records = new Map();
+
+// Periodically drop expired keys; unref so this never keeps the process alive
+setInterval(removeExpiredRecords, 60 * 60 * 1000).unref();
+
+// Get the record for a key, or null if it is unknown or expired
+exports.getRecord = (key) => {
+  const record = records.get(key);
+  
+  if (!record) {
+    return null;
+  }
+  
+  if (record.expiresAt <= Date.now()) {
+    records.delete(key);
+    return null;
+  }
+  
+  return record;
+};
+
+// Claim a key for a request that is about to run
+exports.start = (key, fingerprint) => {
+  const record = {
+    fingerprint,
+    state: 'pending',
+    expiresAt: Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000
+  };
+  
+  records.set(key, record);
+  return record;
+};
+
+// Store the response a finished request produced
+exports.complete = (key, status, body) => {
+  const record = records.get(key);
+  
+  if (record) {
+    Object.assign(record, { state: 'done', status, body });
+  }
+};
+
+// Forget a key so the request can be retried (e.g. after a server error)
+exports.forget = (key) => {
+  records.delete(key);
+};
+
+// Helper function to drop every expired key
+function removeExpiredRecords() {
+  const now = Date.now();
+  
+  for (const [key, record] of records) {
+    if (record.expiresAt <= now) {
+      records.delete(key);
+    }
+  }
+}
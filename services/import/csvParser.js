@@ -0,0 +1,100 @@
+// CSV import format
+//
+// The first line names the columns (any order, any case): name, address,
+// service, date, time and optionally notes; other columns are ignored.
+// Fields follow RFC 4180: commas separate them, double quotes wrap fields
+// holding commas, quotes or line breaks, and "" is a quote inside them.
+
+const REQUIRED_COLUMNS = ['name', 'address', 'service', 'date', 'time'];
+const COLUMNS = [...REQUIRED_COLUMNS, 'notes'];
+
+// Parse a CSV file into rows of { row, reference, fields }
+exports.parse = (content) => {
+  const records = parseRecords(content.replace(/^\uFEFF/, ''));
+  const header = records.shift();
+  
+  if (!header) {
+    throw invalidImport('The file is empty');
+  }
+  
+  const columns = header.fields.map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw invalidImport(`Missing columns: ${missing.join(', ')}`);
+  }
+  
+  return records
+    .filter(record => record.fields.some(field => field.trim() !== ''))
+    .map((record, index) => {
+      const fields = {};
+      for (const column of COLUMNS) {
+        const position = columns.indexOf(column);
+        if (position !== -1 && record.fields[position] !== undefined) {
+          fields[column] = record.fields[position];
+        }
+      }
+      return { row: index + 1, reference: `line ${record.line}`, fields };
+    });
+};
+
+// Helper function to split CSV text into records of { line, fields }
+function parseRecords(content) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  
+  for (let i = 0; i < content.length; i++) {
+    const character = content[i];
+    
+    if (quoted) {
+      if (character === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') {
+          line++;
+        }
+        field += character;
+      }
+    } else if (character === '"' && field === '') {
+      quoted = true;
+    } else if (character === ',') {
+      fields.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      // \r\n ends a record once
+      if (character === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += character;
+    }
+  }
+  
+  if (quoted) {
+    throw invalidImport(`Unclosed quote in the record starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  
+  return records;
+}
+
+function invalidImport(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
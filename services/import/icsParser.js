@@ -0,0 +1,147 @@
+const moment = require('moment-timezone');
+const timeService = require('../timeService');
+
+// iCalendar (RFC 5545) import format
+//
+// Every VEVENT becomes one row: SUMMARY gives the service and customer name
+// ("Plumbing - Jane Doe", as in our own exports, or just the service),
+// LOCATION the address, DTSTART the date and time and DESCRIPTION the
+// notes. Times with a TZID or in UTC are converted to the business
+// timezone; floating times are taken as business time. Cancelled events
+// are skipped. Recurring events (RRULE) are not expanded: their rows are
+// marked recurring, to be booked as a series instead.
+
+// Parse an ICS file into rows of { row, reference, fields, recurring }
+exports.parse = (content) => {
+  const lines = unfold(content.replace(/^\uFEFF/, ''));
+  
+  if (!lines.some(line => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+    throw invalidImport('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+  
+  const events = [];
+  const stack = [];
+  let event = null;
+  
+  for (const line of lines) {
+    if (line.name === 'BEGIN') {
+      stack.push(line.value.toUpperCase());
+      if (line.value.toUpperCase() === 'VEVENT') {
+        event = { line: line.number, properties: {} };
+      }
+    } else if (line.name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+    } else if (event && stack[stack.length - 1] === 'VEVENT' && !event.properties[line.name]) {
+      // Properties of nested components (e.g. VALARM) are ignored
+      event.properties[line.name] = line;
+    }
+  }
+  
+  return events
+    .filter(entry => !entry.properties.STATUS || entry.properties.STATUS.value.toUpperCase() !== 'CANCELLED')
+    .map((entry, index) => {
+      const { SUMMARY, LOCATION, DESCRIPTION, DTSTART, RRULE, UID } = entry.properties;
+      const summary = SUMMARY ? unescapeText(SUMMARY.value) : '';
+      const separator = summary.indexOf(' - ');
+      
+      const fields = {
+        service: separator === -1 ? summary : summary.slice(0, separator),
+        name: separator === -1 ? '' : summary.slice(separator + 3),
+        address: LOCATION ? unescapeText(LOCATION.value) : '',
+        notes: DESCRIPTION ? unescapeText(DESCRIPTION.value) : ''
+      };
+      
+      if (DTSTART && !RRULE) {
+        Object.assign(fields, parseDateTime(DTSTART));
+      }
+      
+      return {
+        row: index + 1,
+        reference: UID ? `UID ${UID.value}` : `line ${entry.line}`,
+        fields,
+        recurring: Boolean(RRULE)
+      };
+    });
+};
+
+// Helper function to join folded lines and split each content line into
+// { number, name, params, value }
+function unfold(content) {
+  const lines = [];
+  
+  content.split(/\r?\n/).forEach((text, index) => {
+    if ((text.startsWith(' ') || text.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1].text += text.slice(1);
+    } else if (text.trim() !== '') {
+      lines.push({ number: index + 1, text });
+    }
+  });
+  
+  return lines.map(({ number, text }) => {
+    const colon = findValueStart(text);
+    const [name, ...params] = text.slice(0, colon).split(';');
+    
+    return {
+      number,
+      name: name.toUpperCase(),
+      params: Object.fromEntries(params.map(param => {
+        const [key, ...value] = param.split('=');
+        return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+      })),
+      value: colon === text.length ? '' : text.slice(colon + 1)
+    };
+  });
+}
+
+// Helper function to find the colon ending the name and parameters
+// (parameter values may hold colons inside quotes)
+function findValueStart(text) {
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') {
+      quoted = !quoted;
+    } else if (text[i] === ':' && !quoted) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+// Helper function to turn a DTSTART into business-time { date, time }; all-
+// day events only have a date
+function parseDateTime({ params, value }) {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { date: moment(value, 'YYYYMMDD').format('YYYY-MM-DD') };
+  }
+  
+  let start;
+  if (value.endsWith('Z')) {
+    start = moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]');
+  } else if (params.TZID && moment.tz.zone(params.TZID)) {
+    start = moment.tz(value, 'YYYYMMDD[T]HHmmss', params.TZID);
+  } else {
+    // Floating time, or a timezone name we don't know (e.g. a Windows one)
+    start = moment.tz(value, 'YYYYMMDD[T]HHmmss', timeService.BUSINESS_TIMEZONE);
+  }
+  
+  if (!start.isValid()) {
+    return {};
+  }
+  return { date: timeService.formatDate(start), time: timeService.formatTime(start) };
+}
+
+// Helper function to undo TEXT escaping
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) =>
+    (character === 'n' || character === 'N' ? '\n' : character)
+  ).trim();
+}
+
+function invalidImport(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const calendarService = require('./calendarService');
+const schedulingService = require('./schedulingService');
+const holdService = require('./holdService');
+const serviceAreaService = require('./serviceAreaService');
+const logger = require('./logger');
+const validateRequest = require('../validation/validateRequest');
+const schemas = require('../validation/schemas');
+
+// Bulk import of existing jobs from CSV or ICS files
+//
+// Every row is validated with the booking rules (the POST /book-appointment
+// schema) and checked against the service area and the technicians' routes
+// and calendars at its exact time. The report says which rows would book,
+// clash (the slot is taken, with suggested alternatives) or fail (invalid
+// input or outside the service area). A commit books every row or none: it
+// is refused while any row clashes or fails, and bookings already made are
+// undone if one fails part-way.
+
+const IMPORT_PARSERS = {
+  csv: () => require('./import/csvParser'),
+  ics: () => require('./import/icsParser')
+};
+
+// Most rows a single import may hold
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 200;
+
+exports.FORMATS = Object.keys(IMPORT_PARSERS);
+
+// Check a file of appointments and, unless dryRun, book them all. Returns
+// { dryRun, committed, summary: { total, book, clash, fail }, rows }.
+// Imported bookings send no confirmations: the customers already know
+// about these jobs.
+exports.importAppointments = async ({ format, content, dryRun = true }) => {
+  const rows = IMPORT_PARSERS[format]().parse(content);
+  
+  if (rows.length === 0) {
+    throw invalidImport('The file holds no appointments');
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw invalidImport(`Imports may hold at most ${IMPORT_MAX_ROWS} rows`);
+  }
+  
+  // Rows that can book hold their slot, so later rows in the same file see
+  // it as taken and nothing else can take it before the commit
+  const importId = crypto.randomBytes(8).toString('hex');
+  const planned = [];
+  
+  try {
+    for (const row of rows) {
+      planned.push(await planRow(row, importId));
+    }
+    
+    const summary = {
+      total: planned.length,
+      book: planned.filter(row => row.status === 'book').length,
+      clash: planned.filter(row => row.status === 'clash').length,
+      fail: planned.filter(row => row.status === 'fail').length
+    };
+    
+    if (dryRun || summary.book < summary.total) {
+      return { dryRun, committed: false, summary, rows: planned.map(toReport) };
+    }
+    
+    await commitRows(planned);
+    logger.info('Appointments imported', { importId, format, booked: planned.length });
+    return { dryRun, committed: true, summary, rows: planned.map(toReport) };
+  } finally {
+    // Booked rows have already given their hold up
+    planned.forEach(row => row.holdId && holdService.releaseHold(row.holdId));
+  }
+};
+
+// Helper function to validate a row and find (and hold) its slot
+async function planRow({ row, reference, fields, recurring }, importId) {
+  const request = { body: { ...fields }, auth: null };
+  const errors = recurring
+    ? [{ field: 'date', code: 'recurring_event', message: 'Recurring events are not imported; book them as a series' }]
+    : validateRequest(schemas.bookAppointment, request);
+  const input = request.body;
+  
+  if (errors.length > 0) {
+    return { row, reference, input, status: 'fail', errors };
+  }
+  
+  const { name, address, service, date, time, notes } = input;
+  try {
+    await serviceAreaService.requireServiceArea(address, service);
+    
+    const { technician, timeSlot, suggestedAlternatives } = await schedulingService.findOccurrenceAssignment({
+      address,
+      service,
+      date,
+      time
+    });
+    
+    if (!timeSlot) {
+      return { row, reference, input, status: 'clash', suggestedAlternatives };
+    }
+    
+    const hold = await calendarService.holdSlot({
+      service,
+      address,
+      date,
+      time,
+      technicianId: technician.id,
+      heldBy: `import:${importId}`
+    });
+    
+    return {
+      row,
+      reference,
+      input: { name, address, service, date, time, notes: notes || '' },
+      status: 'book',
+      technicianId: technician.id,
+      holdId: hold.id
+    };
+  } catch (error) {
+    if (error.code === 'SLOT_TAKEN') {
+      return { row, reference, input, status: 'clash', suggestedAlternatives: [] };
+    }
+    if (error.code === 'NO_TECHNICIAN') {
+      return { row, reference, input, status: 'fail', errors: [{ field: 'service', code: 'no_technician', message: 'No technician offers this service' }] };
+    }
+    // The address is outside the service area, or couldn't be found or reached
+    if (error.code === 'VALIDATION_FAILED') {
+      return { row, reference, input, status: 'fail', errors: error.details };
+    }
+    throw error;
+  }
+}
+
+// Helper function to book every planned row, deleting the bookings made so
+// far if one of them fails
+async function commitRows(planned) {
+  const created = [];
+  
+  try {
+    for (const row of planned) {
+      const appointment = await calendarService.createAppointment({
+        ...row.input,
+        technicianId: row.technicianId,
+        holdId: row.holdId
+      }, { notify: false });
+      
+      created.push(appointment);
+      row.status = 'booked';
+      row.appointmentId = appointment.id;
+    }
+  } catch (error) {
+    logger.error('Import failed part-way, undoing its bookings', { booked: created.length, error });
+    
+    for (const appointment of created) {
+      await calendarService.deleteAppointment(appointment.id).catch(rollbackError =>
+        logger.error('Error undoing imported appointment', { appointmentId: appointment.id, error: rollbackError })
+      );
+    }
+    throw error;
+  }
+}
+
+// Helper function to describe a row in the report
+function toReport({ holdId, ...row }) {
+  return row;
+}
+
+function invalidImport(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-import-'));
+process.env.CALENDAR_STORAGE = 'local';
+process.env.LOCAL_STORE_PATH = path.join(dataDir, 'calendar.json');
+process.env.CUSTOMER_STORE_PATH = path.join(dataDir, 'customers.json');
+process.env.WAITLIST_STORE_PATH = path.join(dataDir, 'waitlist.json');
+process.env.NOTIFICATION_OUTBOX_PATH = path.join(dataDir, 'outbox.jsonl');
+process.env.SERVICE_AREAS_CONFIG = path.join(dataDir, 'serviceAreas.json');
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+
+const moment = require('moment-timezone');
+const timeService = require('./timeService');
+const calendarService = require('./calendarService');
+const importService = require('./importService');
+
+const OAK = '45 Oak Ave, Anytown, USA';
+const ELM = '9 Elm St, Anytown, USA';
+
+function csv(...rows) {
+  return ['name,address,service,date,time,notes', ...rows].join('\n');
+}
+
+function row(name, address, service, date, time) {
+  return `${name},"${address}",${service},${date},${time},`;
+}
+
+async function bookedNames(date) {
+  const appointments = await calendarService.getAppointmentsForDay(date);
+  return appointments.map(appointment => appointment.name).sort();
+}
+
+describe('importService.importAppointments', () => {
+  beforeEach(() => {
+    jest.spyOn(timeService, 'now').mockImplementation(() => moment.tz('2026-10-19 12:00', timeService.BUSINESS_TIMEZONE));
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  test('previews which rows would book, clash or fail without booking anything', async () => {
+    await calendarService.createAppointment({ name: 'Existing', address: ELM, service: 'plumbing', date: '2027-06-22', time: '13:00' });
+    
+    const report = await importService.importAppointments({
+      format: 'csv',
+      dryRun: true,
+      content: csv(
+        row('Ann', OAK, 'plumbing', '2027-06-22', '09:00'),
+        row('Bob', ELM, 'plumbing', '2027-06-22', '13:00'),
+        row('Cal', OAK, 'plumbing', '2027-06-22', '18:00')
+      )
+    });
+    
+    expect(report).toMatchObject({ dryRun: true, committed: false, summary: { total: 3, book: 1, clash: 1, fail: 1 } });
+    expect(report.rows.map(entry => [entry.input.name, entry.status])).toEqual([['Ann', 'book'], ['Bob', 'clash'], ['Cal', 'fail']]);
+    expect(report.rows[2].errors).toEqual([expect.objectContaining({ code: 'outside_business_hours' })]);
+    expect(await bookedNames('2027-06-22')).toEqual(['Existing']);
+    
+    // The preview's holds are gone, so the slot it found is still free
+    await expect(calendarService.createAppointment({ name: 'Later', address: OAK, service: 'plumbing', date: '2027-06-22', time: '09:00' }))
+      .resolves.toMatchObject({ status: 'confirmed' });
+  });
+  
+  test('books nothing when any row is invalid', async () => {
+    const report = await importService.importAppointments({
+      format: 'csv',
+      dryRun: false,
+      content: csv(
+        row('Dee', OAK, 'plumbing', '2027-06-23', '09:00'),
+        row('Eve', OAK, 'roofing', '2027-06-23', '13:00')
+      )
+    });
+    
+    expect(report).toMatchObject({ dryRun: false, committed: false, summary: { total: 2, book: 1, fail: 1 } });
+    expect(report.rows[1].errors).toEqual([expect.objectContaining({ field: 'service' })]);
+    expect(await bookedNames('2027-06-23')).toEqual([]);
+  });
+  
+  test('books every row when all of them can book', async () => {
+    const report = await importService.importAppointments({
+      format: 'csv',
+      dryRun: false,
+      content: csv(
+        row('Fay', OAK, 'plumbing', '2027-06-24', '09:00'),
+        row('Gus', ELM, 'plumbing', '2027-06-24', '13:00')
+      )
+    });
+    
+    expect(report).toMatchObject({ committed: true, summary: { total: 2, book: 2 } });
+    expect(report.rows.map(entry => entry.status)).toEqual(['booked', 'booked']);
+    expect(await bookedNames('2027-06-24')).toEqual(['Fay', 'Gus']);
+  });
+  
+  test('undoes the bookings already made when one fails part-way', async () => {
+    const createAppointment = calendarService.createAppointment;
+    jest.spyOn(calendarService, 'createAppointment')
+      .mockImplementationOnce(createAppointment)
+      .mockImplementationOnce(() => Promise.reject(new Error('Calendar went away')));
+    
+    await expect(importService.importAppointments({
+      format: 'csv',
+      dryRun: false,
+      content: csv(
+        row('Hal', OAK, 'plumbing', '2027-06-25', '09:00'),
+        row('Ivy', ELM, 'plumbing', '2027-06-25', '13:00')
+      )
+    })).rejects.toThrow('Calendar went away');
+    
+    expect(calendarService.createAppointment).toHaveBeenCalledTimes(2);
+    expect(await bookedNames('2027-06-25')).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small stores kept as one JSON document on disk (customers, the local
+// calendar, series, the waitlist). Each file is rewritten whole on every
+// change: written to a temporary file and renamed into place, so a crash
+// never leaves it half-written.
+
+// Create a store for one file. read() gives the whole document, or a copy
+// of emptyValue while the file doesn't exist yet; update(mutate) applies
+// mutate to the document, saves it and resolves to mutate's return value.
+// Updates are chained so concurrent requests never interleave file writes.
+exports.create = (filePath, emptyValue) => {
+  let writeQueue = Promise.resolve();
+  
+  async function read() {
+    try {
+      const contents = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return JSON.parse(JSON.stringify(emptyValue));
+      }
+      throw error;
+    }
+  }
+  
+  function update(mutate) {
+    const result = writeQueue.then(async () => {
+      const data = await read();
+      const value = mutate(data);
+      
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+      
+      return value;
+    });
+    
+    // Keep the queue alive even if this write fails
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+  
+  return { read, update };
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsonFileStore = require('./jsonFileStore');
+
+describe('jsonFileStore', () => {
+  let dataDir;
+  let store;
+  
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-store-'));
+    store = jsonFileStore.create(path.join(dataDir, 'nested', 'items.json'), { items: [] });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  test('reads a fresh copy of the empty value until the file exists', async () => {
+    const data = await store.read();
+    data.items.push('lost');
+    
+    await expect(store.read()).resolves.toEqual({ items: [] });
+  });
+  
+  test('keeps every one of many concurrent updates', async () => {
+    const results = await Promise.all([1, 2, 3, 4, 5].map(item => store.update(data => {
+      data.items.push(item);
+      return data.items.length;
+    })));
+    
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    await expect(store.read()).resolves.toEqual({ items: [1, 2, 3, 4, 5] });
+  });
+  
+  test('saves nothing from a failed update and carries on with the next', async () => {
+    await store.update(data => {
+      data.items.push('kept');
+    });
+    
+    const failed = store.update(data => {
+      data.items.push('dropped');
+      throw new Error('Invalid change');
+    });
+    const next = store.update(data => {
+      data.items.push('next');
+    });
+    
+    await expect(failed).rejects.toThrow('Invalid change');
+    await next;
+    await expect(store.read()).resolves.toEqual({ items: ['kept', 'next'] });
+  });
+});
@@ -0,0 +1,38 @@
+const { HfInference } = require('@huggingface/inference');
+
+const HF_API_KEY = process.env.HF_API_KEY;
+
+// Small text-generation model used when LLM_MODEL is not set
+const DEFAULT_MODEL = 'facebook/opt-125m';
+
+if (!HF_API_KEY) {
+  throw new Error('HF_API_KEY is not set');
+}
+
+const inference = new HfInference(HF_API_KEY);
+
+exports.generate = async ({ prompt, model, temperature, maxTokens, timeoutMs }) => {
+  // Abort the HTTP request itself, not just stop waiting for it
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await inference.textGeneration({
+      model: model || DEFAULT_MODEL,
+      inputs: prompt,
+      parameters: {
+        max_new_tokens: maxTokens,
+        temperature,
+        top_p: 0.95,
+        do_sample: true,
+        return_full_text: false
+      }
+    }, {
+      signal: controller.signal
+    });
+    
+    return response.generated_text;
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,140 @@
+// LLM provider selection
+//
+// Every provider exposes:
+//
+//   generate({ system, messages, prompt, model, temperature, maxTokens, timeoutMs }) -> text
+//
+// where messages is the chat history as [{ role: 'user' | 'assistant', content }]
+// and prompt is the same conversation rendered as a single completion prompt,
+// so chat-style and completion-style backends can both be served.
+
+const logger = require('../logger');
+const metrics = require('../metrics');
+const resilience = require('../resilience');
+const { DEMO_MODE } = require('../appMode');
+const { AppError } = require('../../errors');
+
+const LLM_PROVIDERS = {
+  huggingface: () => require('./huggingFaceProvider'),
+  openai: () => require('./openAiCompatibleProvider'),
+  mock: () => require('./mockProvider')
+};
+
+// Generation settings shared by every provider
+const LLM_CONFIG = {
+  model: process.env.LLM_MODEL,
+  temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.7,
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 100,
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000
+};
+
+// Without an explicit choice, use Hugging Face only when a key is configured
+// (and never in demo mode)
+const DEFAULT_PROVIDER = process.env.HF_API_KEY && !DEMO_MODE ? 'huggingface' : 'none';
+
+let provider;
+let providerName = 'none';
+let providerLoaded = false;
+
+// Get the active provider, or null when the rule-based fallback should be used
+function getProvider() {
+  if (!providerLoaded) {
+    providerLoaded = true;
+    const name = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+    
+    if (name === 'none') {
+      logger.info('No LLM provider configured, falling back to rule-based responses');
+      return null;
+    }
+    
+    const loadProvider = LLM_PROVIDERS[name];
+    if (!loadProvider) {
+      logger.error('Unknown LLM provider, falling back to rule-based responses', { provider: name });
+      return null;
+    }
+    
+    try {
+      provider = loadProvider();
+      providerName = name;
+      logger.info('Using LLM provider', { provider: name });
+    } catch (error) {
+      logger.error('LLM provider could not be loaded, falling back to rule-based responses', { provider: name, error });
+      provider = null;
+    }
+  }
+  
+  return provider;
+}
+
+// Replace the active provider (used by tests); pass null to force the fallback
+function setProvider(customProvider) {
+  provider = customProvider;
+  providerName = customProvider ? 'custom' : 'none';
+  providerLoaded = true;
+}
+
+// Generate a reply, rejecting if the provider takes longer than the timeout.
+// While the provider keeps failing its circuit is open and this rejects at
+// once, so chat falls back to rule-based replies without waiting.
+async function generate(request) {
+  const activeProvider = getProvider();
+  
+  if (!activeProvider) {
+    throw new Error('No LLM provider available');
+  }
+  
+  return guarded.generate(activeProvider, request);
+}
+
+// Calls are not retried: a chat reply is better late from the fallback than
+// after several slow attempts. Timeouts and empty replies count as failures.
+const guarded = resilience.protect({ generate: generateWithTimeout }, {
+  name: 'llm',
+  methods: ['generate'],
+  toError: (error) => new AppError('LLM provider unavailable', {
+    status: 503,
+    code: 'LLM_UNAVAILABLE',
+    retryAfter: error.retryAfter,
+    cause: error
+  })
+});
+
+// Helper function to call the provider with the configured timeout
+async function generateWithTimeout(activeProvider, request) {
+  const options = { ...LLM_CONFIG, ...request };
+  const startedAt = process.hrtime.bigint();
+  let outcome = 'error';
+  let timer;
+  
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`LLM request timed out after ${options.timeoutMs}ms`)), options.timeoutMs);
+  });
+  
+  try {
+    const text = await Promise.race([activeProvider.generate(options), timeout]);
+    
+    if (!text || !text.trim()) {
+      throw new Error('LLM returned an empty response');
+    }
+    
+    outcome = 'success';
+    return text.trim();
+  } finally {
+    clearTimeout(timer);
+    
+    // Timeouts and empty replies count as failures too
+    const labels = { provider: providerName, outcome };
+    metrics.llmRequests.inc(labels);
+    metrics.llmLatency.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    if (outcome === 'error') {
+      metrics.externalApiFailures.inc({ service: 'llm', provider: providerName });
+    }
+  }
+}
+
+module.exports = {
+  generate,
+  getProvider,
+  setProvider,
+  LLM_CONFIG
+};
@@ -0,0 +1,41 @@
+// Scripted LLM for tests and offline demos.
+//
+// Replies are taken in order from a script; each entry is either a string,
+// or { text, delayMs } to simulate a slow model, or { error } to simulate a
+// failure. When the script runs out the default reply is used. A script can
+// also be loaded from the JSON array in LLM_MOCK_SCRIPT.
+
+const fs = require('fs');
+
+const DEFAULT_REPLY = 'Thanks for your message! How can I help you with your booking?';
+
+let script = process.env.LLM_MOCK_SCRIPT
+  ? JSON.parse(fs.readFileSync(process.env.LLM_MOCK_SCRIPT, 'utf8'))
+  : [];
+
+// Every request the mock has received, for assertions in tests
+const requests = [];
+
+exports.generate = async (request) => {
+  requests.push(request);
+  const next = script.length > 0 ? script.shift() : DEFAULT_REPLY;
+  const entry = typeof next === 'string' ? { text: next } : next;
+  
+  if (entry.delayMs) {
+    await new Promise(resolve => setTimeout(resolve, entry.delayMs));
+  }
+  
+  if (entry.error) {
+    throw new Error(entry.error);
+  }
+  
+  return entry.text;
+};
+
+// Replace the remaining scripted replies
+exports.setScript = (entries) => {
+  script = [...entries];
+  requests.length = 0;
+};
+
+exports.getRequests = () => [...requests];
@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+// Base URL of any OpenAI-compatible API (OpenAI, llama.cpp server, Ollama, ...)
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+
+// Local servers usually need no key
+const LLM_API_KEY = process.env.LLM_API_KEY;
+
+// Model used when LLM_MODEL is not set
+const DEFAULT_MODEL = 'llama3';
+
+exports.generate = async ({ system, messages, model, temperature, maxTokens, timeoutMs }) => {
+  const response = await axios.post(`${LLM_BASE_URL}/chat/completions`, {
+    model: model || DEFAULT_MODEL,
+    messages: [
+      { role: 'system', content: system },
+      ...messages
+    ],
+    temperature,
+    max_tokens: maxTokens
+  }, {
+    timeout: timeoutMs,
+    headers: LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {}
+  });
+  
+  const choice = response.data.choices && response.data.choices[0];
+  return choice && choice.message ? choice.message.content : '';
+};
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the prompt templates ({{name}} placeholders)
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', '..', 'prompts');
+
+const templates = new Map();
+
+// Render a template from PROMPTS_DIR, e.g. renderTemplate('system', { services })
+exports.renderTemplate = (name, variables = {}) => {
+  if (!templates.has(name)) {
+    templates.set(name, fs.readFileSync(path.join(PROMPTS_DIR, `${name}.txt`), 'utf8'));
+  }
+  
+  return templates.get(name)
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      variables[key] !== undefined ? String(variables[key]) : placeholder
+    )
+    .trim();
+};
@@ -0,0 +1,27 @@
+// Named in-process locks.
+//
+// Work for the same key runs one task at a time, in arrival order; work for
+// different keys runs concurrently. Only requests handled by this process
+// are serialized, so running several instances needs a shared lock instead.
+
+const queues = new Map();
+
+// Run task() once every earlier task for the same key has settled, and
+// resolve (or reject) with its result
+exports.withLock = (key, task) => {
+  const previous = queues.get(key) || Promise.resolve();
+  const result = previous.then(() => task());
+  
+  // The next task waits for this one whether it succeeds or fails
+  const tail = result.catch(() => {});
+  queues.set(key, tail);
+  
+  // Forget the key once nothing else is queued behind this task
+  tail.then(() => {
+    if (queues.get(key) === tail) {
+      queues.delete(key);
+    }
+  });
+  
+  return result;
+};
@@ -0,0 +1,105 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logger
+//
+//   logger.info('Appointment booked', { appointmentId, service });
+//   logger.error('Error booking appointment', { error });
+//
+// Every entry is written as one JSON line with the time, level and message,
+// the request id of the request being handled (if any) and the given
+// fields. Fields holding personal data or credentials (names, addresses,
+// contact details, chat text, API keys, tokens) are redacted wherever they
+// appear. Error messages and stacks are logged as they are, so errors must
+// never put such data in their message. Entries below LOG_LEVEL (debug,
+// info, warn, error; default info) are dropped.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+
+// Field names (compared case-insensitively) whose values are never logged
+const REDACTED_FIELDS = new Set([
+  'name', 'customername', 'address', 'addresses', 'location', 'origin', 'destination',
+  'email', 'phone', 'notes', 'message', 'messages', 'prompt', 'system', 'content', 'history',
+  'apikey', 'x-api-key', 'authorization', 'token', 'password', 'secret'
+]);
+
+const REDACTED = '[REDACTED]';
+
+// Per-request context ({ requestId }) that follows the request through
+// every controller and service call, including across awaits
+const context = new AsyncLocalStorage();
+
+// Run a function with the given context
+exports.runWithContext = (store, fn) => context.run(store, fn);
+
+// Get the context of the request being handled, or null outside requests
+exports.getContext = () => context.getStore() || null;
+
+exports.debug = (message, fields) => write('debug', message, fields);
+exports.info = (message, fields) => write('info', message, fields);
+exports.warn = (message, fields) => write('warn', message, fields);
+exports.error = (message, fields) => write('error', message, fields);
+
+// Helper function to build and write a log entry
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+  
+  const store = context.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(store && store.requestId ? { requestId: store.requestId } : {}),
+    ...redact(fields, 0)
+  };
+  
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+  }
+  
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// Helper function to copy a value with sensitive fields replaced, errors
+// turned into plain objects and very deep nesting cut off
+function redact(value, depth) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 6) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) && item !== undefined && item !== null
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+// Helper function to keep what is useful about an error
+function serializeError(error) {
+  return {
+    type: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.response && error.response.status ? { status: error.response.status } : {}),
+    stack: error.stack,
+    ...(error.cause instanceof Error ? { cause: serializeError(error.cause) } : {})
+  };
+}
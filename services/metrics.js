@@ -0,0 +1,194 @@
+// Application metrics, kept in memory and exposed at GET /metrics in the
+// Prometheus text format. Counters and histograms are created once here
+// and updated where things happen:
+//
+//   metrics.appointments.inc({ event: 'booked', service: 'plumbing' });
+//   metrics.llmLatency.observe({ provider: 'openai', outcome: 'success' }, 1.2);
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds (seconds) of the latency histogram buckets
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+// Create a counter; inc(labels, amount = 1) adds to the series for those labels
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${key} ${value}`);
+      }
+      return lines;
+    }
+  };
+  
+  registry.push(metric);
+  return metric;
+}
+
+// Create a histogram; observe(labels, value) records one measurement
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  
+  const metric = {
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      
+      if (!entry) {
+        entry = { labels: labelNames.map(label => [label, labels[label]]), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels([...entry.labels, ['le', String(bound)]])} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels([...entry.labels, ['le', '+Inf']])} ${entry.count}`);
+        lines.push(`${name}_sum${key} ${entry.sum}`);
+        lines.push(`${name}_count${key} ${entry.count}`);
+      }
+      return lines;
+    }
+  };
+  
+  registry.push(metric);
+  return metric;
+}
+
+const httpRequests = counter(
+  'routerover_http_requests_total',
+  'HTTP requests handled, by method, route and status code',
+  ['method', 'route', 'status']
+);
+
+const httpLatency = histogram(
+  'routerover_http_request_duration_seconds',
+  'Time taken to answer HTTP requests',
+  ['method', 'route']
+);
+
+const conflicts = counter(
+  'routerover_conflicts_total',
+  'Requests answered with 409 Conflict (slot taken, hold mismatch, duplicate), by route',
+  ['route']
+);
+
+const appointments = counter(
+  'routerover_appointments_total',
+  'Appointments booked, rescheduled and cancelled, by service',
+  ['event', 'service']
+);
+
+const chatIntents = counter(
+  'routerover_chat_intents_total',
+  'Chat messages handled, by detected intent',
+  ['intent']
+);
+
+const llmRequests = counter(
+  'routerover_llm_requests_total',
+  'Requests made to the LLM provider, by outcome',
+  ['provider', 'outcome']
+);
+
+const llmLatency = histogram(
+  'routerover_llm_request_duration_seconds',
+  'Time taken by the LLM provider to reply',
+  ['provider', 'outcome']
+);
+
+const llmFallbacks = counter(
+  'routerover_llm_fallbacks_total',
+  'Chat replies produced by the rule-based fallback, by reason (unavailable or error)',
+  ['reason']
+);
+
+const externalApiFailures = counter(
+  'routerover_external_api_failures_total',
+  'Failed calls to calendar, geo, LLM and notification backends',
+  ['service', 'provider']
+);
+
+// Wrap the given async methods of a backend so failures are counted;
+// everything else on the backend is passed through unchanged
+function trackFailures(backend, service, provider, methods) {
+  const tracked = { ...backend };
+  
+  for (const method of methods) {
+    if (typeof backend[method] !== 'function') {
+      continue;
+    }
+    
+    tracked[method] = async (...args) => {
+      try {
+        return await backend[method](...args);
+      } catch (error) {
+        externalApiFailures.inc({ service, provider });
+        throw error;
+      }
+    };
+  }
+  
+  return tracked;
+}
+
+// Render every metric in the Prometheus text format
+function render() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+// Helper function to build the label part of a series, e.g. {method="GET"}
+function labelKey(labelNames, labels) {
+  return formatLabels(labelNames.map(label => [label, labels[label]]));
+}
+
+// Helper function to format label pairs, escaping values as Prometheus expects
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  
+  const formatted = pairs.map(([label, value]) => {
+    const escaped = String(value === undefined || value === null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+    return `${label}="${escaped}"`;
+  });
+  
+  return `{${formatted.join(',')}}`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  httpRequests,
+  httpLatency,
+  conflicts,
+  appointments,
+  chatIntents,
+  llmRequests,
+  llmLatency,
+  llmFallbacks,
+  externalApiFailures,
+  trackFailures,
+  render
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const notifications = require('./notifications');
+const catalogService = require('./catalogService');
+const icsService = require('./icsService');
+const timeService = require('./timeService');
+const logger = require('./logger');
+
+// Directory holding the message templates: <type>.email.txt (first line
+// "Subject: ...") and <type>.sms.txt, with {{name}} placeholders
+const NOTIFICATION_TEMPLATES_DIR = process.env.NOTIFICATION_TEMPLATES_DIR ||
+  path.join(__dirname, '..', 'templates', 'notifications');
+
+// Name used to sign messages
+const BUSINESS_NAME = process.env.BUSINESS_NAME || 'RouteRover';
+
+// Which appointment field holds the recipient for each channel
+const CHANNEL_RECIPIENTS = {
+  email: 'email',
+  sms: 'phone'
+};
+
+// Message types whose emails carry the appointment as an .ics file, so the
+// customer's calendar app can add, move or remove the event
+const CALENDAR_ATTACHMENT_TYPES = ['confirmation', 'reschedule', 'cancellation'];
+
+const templates = new Map();
+
+// Send a confirmation, reminder, reschedule, cancellation or waitlist offer
+// message about an appointment on every channel the customer gave contact
+// details for.
+// Extra template values go in details (e.g. { minutesUntilStart } for reminders,
+// { previousStart } for reschedules, { reason } for cancellations,
+// { expiresAt } for waitlist offers).
+//
+// Never throws: a failed message is logged and reported in the result, so a
+// notification problem can never undo a booking.
+exports.notifyAppointment = async (type, appointment, details = {}) => {
+  const variables = buildVariables(appointment, details);
+  const results = [];
+  
+  for (const [channel, field] of Object.entries(CHANNEL_RECIPIENTS)) {
+    const to = appointment[field];
+    if (!to) {
+      continue;
+    }
+    
+    try {
+      const message = renderMessage(type, channel, variables);
+      if (channel === 'email' && CALENDAR_ATTACHMENT_TYPES.includes(type)) {
+        message.attachments = [{
+          filename: 'appointment.ics',
+          content: icsService.renderAppointment(appointment),
+          contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+        }];
+      }
+      const sent = await notifications.send(channel, { to, ...message });
+      if (sent) {
+        results.push({ channel, id: sent.id });
+      }
+    } catch (error) {
+      logger.error('Error sending notification', { type, channel, appointmentId: appointment.id, error });
+      results.push({ channel, error: error.message });
+    }
+  }
+  
+  return results;
+};
+
+// Describe how far ahead an appointment is, e.g. "in 24 hours" or "in 45 minutes"
+exports.describeLeadTime = (minutes) => {
+  if (minutes >= 60) {
+    const hours = Math.round(minutes / 60);
+    return `in ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+  return `in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+};
+
+// Helper function to collect the template values for an appointment
+function buildVariables(appointment, details) {
+  const catalogEntry = catalogService.getService(appointment.service);
+  const start = timeService.fromInstant(appointment.start);
+  const previousStart = details.previousStart ? timeService.fromInstant(details.previousStart) : null;
+  
+  return {
+    businessName: BUSINESS_NAME,
+    appointmentId: appointment.id,
+    name: appointment.name || 'there',
+    service: catalogEntry ? catalogEntry.label.toLowerCase() : appointment.service,
+    address: appointment.location,
+    date: start.format('dddd, MMMM D'),
+    time: start.format('h:mm A'),
+    previousDate: previousStart ? previousStart.format('dddd, MMMM D') : '',
+    previousTime: previousStart ? previousStart.format('h:mm A') : '',
+    leadTime: details.minutesUntilStart !== undefined ? exports.describeLeadTime(details.minutesUntilStart) : '',
+    reason: details.reason ? ` Reason: ${details.reason}` : '',
+    expiresAt: details.expiresAt ? timeService.fromInstant(details.expiresAt).format('h:mm A') : ''
+  };
+}
+
+// Helper function to render a template into { subject, text }
+function renderMessage(type, channel, variables) {
+  const key = `${type}.${channel}`;
+  
+  if (!templates.has(key)) {
+    templates.set(key, fs.readFileSync(path.join(NOTIFICATION_TEMPLATES_DIR, `${key}.txt`), 'utf8'));
+  }
+  
+  const rendered = templates.get(key)
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+      variables[name] !== undefined ? String(variables[name]) : placeholder
+    )
+    .trim();
+  
+  // Email templates start with a "Subject:" line
+  const subjectMatch = rendered.match(/^Subject:\s*(.*)\n+/);
+  if (subjectMatch) {
+    return { subject: subjectMatch[1].trim(), text: rendered.slice(subjectMatch[0].length) };
+  }
+  return { subject: null, text: rendered };
+}
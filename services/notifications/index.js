@@ -0,0 +1,92 @@
+// Notification transport selection
+//
+// Every transport exposes:
+//
+//   send({ to, subject, text, attachments }) -> { id }
+//
+// for one channel: 'email' (to is an address) or 'sms' (to is a phone
+// number; subject and attachments are ignored). Attachments are
+// [{ filename, content, contentType }]. Each channel picks its transport on its own.
+
+const logger = require('../logger');
+const metrics = require('../metrics');
+const resilience = require('../resilience');
+const { DEMO_MODE } = require('../appMode');
+const { AppError } = require('../../errors');
+
+const EMAIL_TRANSPORTS = {
+  smtp: () => require('./smtpTransport'),
+  outbox: () => require('./outboxTransport').forChannel('email')
+};
+
+const SMS_TRANSPORTS = {
+  twilio: () => require('./twilioTransport'),
+  outbox: () => require('./outboxTransport').forChannel('sms')
+};
+
+// Without an explicit choice, send for real only when credentials are
+// configured (and never in demo mode)
+const CHANNELS = {
+  email: {
+    transports: EMAIL_TRANSPORTS,
+    setting: 'EMAIL_TRANSPORT',
+    defaultTransport: process.env.SMTP_HOST && !DEMO_MODE ? 'smtp' : 'outbox'
+  },
+  sms: {
+    transports: SMS_TRANSPORTS,
+    setting: 'SMS_TRANSPORT',
+    defaultTransport: process.env.TWILIO_ACCOUNT_SID && !DEMO_MODE ? 'twilio' : 'outbox'
+  }
+};
+
+const transports = new Map();
+
+// Get the active transport for a channel, or null when the channel is off
+function getTransport(channel) {
+  if (!transports.has(channel)) {
+    const { transports: available, setting, defaultTransport } = CHANNELS[channel];
+    const name = (process.env[setting] || defaultTransport).toLowerCase();
+    let transport = null;
+    
+    if (name === 'none') {
+      logger.info('Notifications are disabled', { channel });
+    } else if (!available[name]) {
+      logger.error('Unknown notification transport, notifications are disabled', { channel, transport: name });
+    } else {
+      // Sends are not retried here (a retry could deliver twice); reminders
+      // are tried again on the next scan
+      transport = resilience.protect(metrics.trackFailures(available[name](), channel, name, ['send']), {
+        name: channel,
+        methods: ['send'],
+        toError: (error) => new AppError(`Could not send ${channel}`, {
+          status: 503,
+          code: 'NOTIFICATION_UNAVAILABLE',
+          retryAfter: error.retryAfter,
+          cause: error
+        })
+      });
+      logger.info('Using notification transport', { channel, transport: name });
+    }
+    
+    transports.set(channel, transport);
+  }
+  
+  return transports.get(channel);
+}
+
+// Replace the transport for a channel (used by tests); pass null to turn it off
+function setTransport(channel, transport) {
+  transports.set(channel, transport);
+}
+
+// Send one message on a channel; resolves to null when the channel is off
+async function send(channel, message) {
+  const transport = getTransport(channel);
+  return transport ? transport.send(message) : null;
+}
+
+module.exports = {
+  send,
+  getTransport,
+  setTransport
+};
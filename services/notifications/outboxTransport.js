@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File every message is appended to, one JSON object per line, instead of
+// being delivered. Meant for development and tests.
+const NOTIFICATION_OUTBOX_PATH = process.env.NOTIFICATION_OUTBOX_PATH ||
+  path.join(__dirname, '..', '..', 'data', 'outbox.jsonl');
+
+// Appends are chained so concurrent messages never interleave
+let writeQueue = Promise.resolve();
+
+// Get a transport writing messages for one channel ('email' or 'sms')
+exports.forChannel = (channel) => ({
+  send: ({ to, subject, text, attachments = [] }) => {
+    const message = {
+      id: crypto.randomBytes(8).toString('hex'),
+      channel,
+      to,
+      subject,
+      text,
+      attachments,
+      sentAt: new Date().toISOString()
+    };
+    
+    const write = writeQueue.then(async () => {
+      await fs.promises.mkdir(path.dirname(NOTIFICATION_OUTBOX_PATH), { recursive: true });
+      await fs.promises.appendFile(NOTIFICATION_OUTBOX_PATH, `${JSON.stringify(message)}\n`);
+      return { id: message.id };
+    });
+    
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+});
+
+// Read back every message in the outbox
+exports.readOutbox = async () => {
+  try {
+    const content = await fs.promises.readFile(NOTIFICATION_OUTBOX_PATH, 'utf8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+
+// Sender shown on every email
+const SMTP_FROM = process.env.SMTP_FROM || 'RouteRover <no-reply@routerover.example>';
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+exports.send = async ({ to, subject, text, attachments = [] }) => {
+  const info = await transporter.sendMail({ from: SMTP_FROM, to, subject, text, attachments });
+  return { id: info.messageId };
+};
@@ -0,0 +1,20 @@
+const axios = require('axios');
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+
+// Number (or messaging service) the texts are sent from
+const TWILIO_FROM = process.env.TWILIO_FROM;
+
+exports.send = async ({ to, text }) => {
+  const response = await axios.post(
+    `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+    new URLSearchParams({ To: to, From: TWILIO_FROM, Body: text }).toString(),
+    {
+      auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }
+  );
+  
+  return { id: response.data.sid };
+};
@@ -0,0 +1,42 @@
+// Rate limit counter store selection
+//
+// Every store exposes fixed-window counters:
+//
+//   increment(key, windowMs) -> { count, resetAt }   (count after this hit)
+//   get(key)                 -> { count, resetAt } or null
+//   decrement(key)           -> { count, resetAt } or null   (takes a hit back)
+//
+// where resetAt is the epoch milliseconds at which the key's window ends.
+// The in-memory store only counts requests seen by this process; running
+// several instances needs a shared store, plugged in with setStore.
+
+const RATE_LIMIT_STORES = {
+  memory: () => require('./memoryStore')
+};
+
+let store;
+
+function getStore() {
+  if (!store) {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    const loadStore = RATE_LIMIT_STORES[name];
+    
+    if (!loadStore) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    
+    store = loadStore();
+  }
+  
+  return store;
+}
+
+// Replace the active store (e.g. with a Redis-backed one, or in tests)
+function setStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  getStore,
+  setStore
+};
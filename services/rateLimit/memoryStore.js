@@ -0,0 +1,43 @@
+const counters = new Map();
+
+// Periodically drop finished windows; unref so this never keeps the process alive
+setInterval(removeExpiredCounters, 60 * 1000).unref();
+
+exports.increment = async (key, windowMs) => {
+  const now = Date.now();
+  let counter = counters.get(key);
+  
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+  
+  counter.count += 1;
+  return { ...counter };
+};
+
+exports.get = async (key) => {
+  const counter = counters.get(key);
+  return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+};
+
+exports.decrement = async (key) => {
+  const counter = counters.get(key);
+  if (!counter || counter.resetAt <= Date.now()) {
+    return null;
+  }
+  
+  counter.count = Math.max(0, counter.count - 1);
+  return { ...counter };
+};
+
+// Helper function to drop every counter whose window has ended
+function removeExpiredCounters() {
+  const now = Date.now();
+  
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) {
+      counters.delete(key);
+    }
+  }
+}
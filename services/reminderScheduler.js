@@ -0,0 +1,124 @@
+const moment = require('moment');
+const calendarService = require('./calendarService');
+const notificationService = require('./notificationService');
+const timeService = require('./timeService');
+const logger = require('./logger');
+
+// How long before an appointment reminders go out, in minutes (24h and 1h by default)
+const REMINDER_OFFSETS_MINUTES = (process.env.REMINDER_OFFSETS_MINUTES || '1440,60')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => value > 0)
+  .sort((a, b) => b - a);
+
+// How often upcoming appointments are scanned for due reminders
+const REMINDER_SCAN_INTERVAL_SECONDS = parseInt(process.env.REMINDER_SCAN_INTERVAL_SECONDS, 10) || 60;
+
+let timer = null;
+let scanning = false;
+
+// Start scanning periodically; unref so this never keeps the process alive
+exports.start = () => {
+  if (!timer) {
+    timer = setInterval(exports.scan, REMINDER_SCAN_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    exports.scan();
+  }
+};
+
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Send every reminder that has come due for the upcoming appointments.
+//
+// Each appointment records which reminders went out, so a reminder is sent
+// exactly once even across restarts. When several are due at once (e.g.
+// after downtime) only the closest one is sent and the others are recorded
+// as skipped; reminders already due when the appointment was booked are
+// skipped altogether. Overlapping scans are
+// skipped, so only one scan runs at a time in this process.
+exports.scan = async () => {
+  if (scanning || REMINDER_OFFSETS_MINUTES.length === 0) {
+    return [];
+  }
+  scanning = true;
+  
+  const sent = [];
+  try {
+    const now = timeService.now();
+    const horizon = moment(now).add(REMINDER_OFFSETS_MINUTES[0], 'minutes');
+    
+    for (const appointment of await getUpcomingAppointments(now, horizon)) {
+      const start = moment(appointment.start);
+      const bookedAt = getBookedAt(appointment);
+      const dueOffsets = REMINDER_OFFSETS_MINUTES.filter(offset =>
+        moment(start).subtract(offset, 'minutes').isSameOrBefore(now) &&
+        !appointment.remindersSent.includes(offset)
+      );
+      
+      if (dueOffsets.length === 0) {
+        continue;
+      }
+      
+      const closestOffset = dueOffsets[dueOffsets.length - 1];
+      
+      try {
+        // Reminder marks that had already passed when the appointment was
+        // booked (or moved) are covered by the confirmation itself
+        if (moment(start).subtract(closestOffset, 'minutes').isBefore(bookedAt)) {
+          await calendarService.recordRemindersSent(appointment.id, dueOffsets);
+          continue;
+        }
+        
+        // Describe the actual time left, which differs from the offset after downtime
+        const results = await notificationService.notifyAppointment('reminder', appointment, {
+          minutesUntilStart: start.diff(now, 'minutes')
+        });
+        
+        // Try again on the next scan if nothing could be delivered
+        if (results.length > 0 && results.every(result => result.error)) {
+          continue;
+        }
+        
+        await calendarService.recordRemindersSent(appointment.id, dueOffsets);
+        sent.push({ appointmentId: appointment.id, offsetMinutes: closestOffset });
+      } catch (error) {
+        logger.error('Error sending reminder', { appointmentId: appointment.id, error });
+      }
+    }
+  } catch (error) {
+    logger.error('Error scanning for due reminders', { error });
+  } finally {
+    scanning = false;
+  }
+  
+  return sent;
+};
+
+// Helper function to find when an appointment was last booked or moved
+function getBookedAt(appointment) {
+  const entries = appointment.statusHistory.filter(entry =>
+    entry.status === 'confirmed' || entry.status === 'rescheduled'
+  );
+  return entries.length > 0 ? moment(entries[entries.length - 1].at) : moment(0);
+}
+
+// Helper function to list the confirmed appointments starting between now
+// and the horizon that have someone to remind
+async function getUpcomingAppointments(now, horizon) {
+  const appointments = [];
+  const lastDate = timeService.formatDate(horizon);
+  
+  for (let day = moment(now); timeService.formatDate(day) <= lastDate; day.add(1, 'day')) {
+    appointments.push(...await calendarService.getAppointmentsForDay(timeService.formatDate(day)));
+  }
+  
+  return appointments.filter(appointment =>
+    appointment.status === 'confirmed' &&
+    (appointment.email || appointment.phone) &&
+    moment(appointment.start).isAfter(now) &&
+    moment(appointment.start).isSameOrBefore(horizon)
+  );
+}
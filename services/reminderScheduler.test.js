@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-reminders-'));
+process.env.CALENDAR_STORAGE = 'local';
+process.env.LOCAL_STORE_PATH = path.join(dataDir, 'calendar.json');
+process.env.CUSTOMER_STORE_PATH = path.join(dataDir, 'customers.json');
+process.env.WAITLIST_STORE_PATH = path.join(dataDir, 'waitlist.json');
+process.env.NOTIFICATION_OUTBOX_PATH = path.join(dataDir, 'outbox.jsonl');
+process.env.EMAIL_TRANSPORT = 'outbox';
+process.env.SMS_TRANSPORT = 'outbox';
+process.env.REMINDER_OFFSETS_MINUTES = '1440,60';
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+
+const moment = require('moment-timezone');
+const timeService = require('./timeService');
+const calendarService = require('./calendarService');
+const reminderScheduler = require('./reminderScheduler');
+const outboxTransport = require('./notifications/outboxTransport');
+
+function setNow(localTime) {
+  jest.spyOn(timeService, 'now').mockImplementation(() => moment.tz(localTime, timeService.BUSINESS_TIMEZONE));
+}
+
+async function readMessages(subjectPrefix) {
+  const messages = await outboxTransport.readOutbox();
+  return messages.filter(message => (message.subject || message.text).startsWith(subjectPrefix));
+}
+
+describe('reminderScheduler.scan', () => {
+  let appointment;
+  
+  beforeAll(async () => {
+    appointment = await calendarService.createAppointment({
+      name: 'Reminder Test',
+      address: '45 Oak Ave, Anytown, USA',
+      service: 'plumbing',
+      date: '2027-06-15',
+      time: '10:00',
+      notes: '',
+      email: 'reminder@example.com',
+      phone: '+15555550100'
+    });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  test('sends nothing before the first reminder is due', async () => {
+    setNow('2027-06-14 09:30');
+    
+    await expect(reminderScheduler.scan()).resolves.toEqual([]);
+  });
+  
+  test('sends each reminder once, by email and SMS', async () => {
+    setNow('2027-06-14 10:30');
+    
+    await expect(reminderScheduler.scan()).resolves.toEqual([{ appointmentId: appointment.id, offsetMinutes: 1440 }]);
+    await expect(reminderScheduler.scan()).resolves.toEqual([]);
+    
+    const emails = await readMessages('Reminder:');
+    expect(emails).toHaveLength(1);
+    expect(emails[0]).toMatchObject({ channel: 'email', to: 'reminder@example.com', subject: 'Reminder: plumbing appointment in 24 hours' });
+    expect(await readMessages('RouteRover reminder:')).toEqual([
+      expect.objectContaining({ channel: 'sms', to: '+15555550100' })
+    ]);
+    
+    setNow('2027-06-15 09:15');
+    
+    await expect(reminderScheduler.scan()).resolves.toEqual([{ appointmentId: appointment.id, offsetMinutes: 60 }]);
+    await expect(reminderScheduler.scan()).resolves.toEqual([]);
+    expect((await readMessages('Reminder:')).map(message => message.subject)).toEqual([
+      'Reminder: plumbing appointment in 24 hours',
+      'Reminder: plumbing appointment in 45 minutes'
+    ]);
+  });
+  
+  test('does not remind about cancelled appointments', async () => {
+    const cancelled = await calendarService.createAppointment({
+      name: 'Cancelled Test',
+      address: '45 Oak Ave, Anytown, USA',
+      service: 'plumbing',
+      date: '2027-06-16',
+      time: '10:00',
+      notes: '',
+      email: 'cancelled@example.com'
+    });
+    await calendarService.cancelAppointment(cancelled.id);
+    setNow('2027-06-16 09:30');
+    
+    await expect(reminderScheduler.scan()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+const logger = require('./logger');
+
+// Retries with exponential backoff and circuit breakers for calls to
+// external backends (calendar, maps, LLM, notifications).
+//
+// protect(backend, options) wraps a backend's methods so that each call:
+//
+//   1. fails fast while the backend's circuit is open (after
+//      CIRCUIT_FAILURE_THRESHOLD outages in a row, for CIRCUIT_RESET_SECONDS;
+//      then one trial call decides whether it closes again),
+//   2. is retried with backoff on transient failures (timeouts, connection
+//      errors, 5xx and 429 responses), for the methods listed in `retry`
+//      only, since repeating e.g. an insert could book twice,
+//   3. has any failure turned into the typed error given by toError.
+//
+// Only failures that toError reports as outages (status 5xx) count
+// against the circuit; a bad address or other caller error does not.
+// toError receives the original error, or one with code CIRCUIT_OPEN and
+// retryAfter (seconds) when the call was refused.
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Retries after the first attempt, and the backoff between them
+const RETRY_ATTEMPTS = envInt('EXTERNAL_RETRY_ATTEMPTS', 2);
+const RETRY_BASE_DELAY_MS = envInt('EXTERNAL_RETRY_BASE_DELAY_MS', 200);
+const RETRY_MAX_DELAY_MS = envInt('EXTERNAL_RETRY_MAX_DELAY_MS', 2000);
+
+// Outages in a row that open a circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = envInt('CIRCUIT_FAILURE_THRESHOLD', 5);
+const CIRCUIT_RESET_SECONDS = envInt('CIRCUIT_RESET_SECONDS', 30);
+
+// Network errors worth another try
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'
+]);
+
+const breakers = new Map();
+
+// Run a task, retrying transient failures with exponential backoff and jitter
+async function withRetry(task, { retries = RETRY_ATTEMPTS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      
+      const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+      await new Promise(resolve => setTimeout(resolve, delay / 2 + Math.random() * delay / 2));
+    }
+  }
+}
+
+// Get the circuit breaker for a backend, creating it on first use
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+// Wrap the given methods of a backend with the circuit breaker, retries
+// (for the methods in `retry`) and error translation described above
+function protect(backend, { name, methods, retry = [], toError }) {
+  const breaker = getCircuitBreaker(name);
+  const protectedBackend = { ...backend };
+  
+  for (const method of methods) {
+    if (typeof backend[method] !== 'function') {
+      continue;
+    }
+    
+    protectedBackend[method] = async (...args) => {
+      const retryAfter = breaker.getRetryAfter();
+      if (retryAfter) {
+        throw toError(circuitOpenError(name, retryAfter));
+      }
+      
+      try {
+        const call = () => backend[method](...args);
+        const result = await withRetry(call, { retries: retry.includes(method) ? RETRY_ATTEMPTS : 0 });
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        // A caller error still means the backend answered
+        const typedError = toError(error);
+        if (!typedError.status || typedError.status >= 500) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
+        }
+        throw typedError;
+      }
+    };
+  }
+  
+  return protectedBackend;
+}
+
+// Describe every circuit (for health checks)
+function getCircuitStates() {
+  return [...breakers.values()].map(breaker => breaker.describe());
+}
+
+// Helper function to create a breaker that is closed, open (failing fast
+// until resetAt) or half-open (letting a single trial call through)
+function createCircuitBreaker(name) {
+  let state = 'closed';
+  let failures = 0;
+  let resetAt = 0;
+  let trialRunning = false;
+  
+  return {
+    // Seconds until calls are allowed again, or 0 if this call may go ahead
+    getRetryAfter() {
+      if (state === 'open' && Date.now() >= resetAt) {
+        state = 'half-open';
+        trialRunning = false;
+      }
+      if (state === 'open') {
+        return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      }
+      if (state === 'half-open') {
+        if (trialRunning) {
+          return 1;
+        }
+        trialRunning = true;
+      }
+      return 0;
+    },
+    recordSuccess() {
+      if (state !== 'closed') {
+        logger.info('Circuit closed', { circuit: name });
+      }
+      state = 'closed';
+      failures = 0;
+      trialRunning = false;
+    },
+    recordFailure() {
+      failures += 1;
+      trialRunning = false;
+      
+      if (state === 'half-open' || (state === 'closed' && CIRCUIT_FAILURE_THRESHOLD > 0 && failures >= CIRCUIT_FAILURE_THRESHOLD)) {
+        state = 'open';
+        resetAt = Date.now() + CIRCUIT_RESET_SECONDS * 1000;
+        logger.warn('Circuit opened', { circuit: name, failures, resetSeconds: CIRCUIT_RESET_SECONDS });
+      }
+    },
+    describe() {
+      return { name, state, failures };
+    }
+  };
+}
+
+// Helper function to build the error for a call refused by an open circuit
+function circuitOpenError(name, retryAfter) {
+  const error = new Error(`Circuit for ${name} is open`);
+  error.code = 'CIRCUIT_OPEN';
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Get the HTTP status a backend answered a failed call with (axios and
+// googleapis put it in different places), or null if it never answered
+function getErrorStatus(error) {
+  return (error.response && error.response.status) ||
+    (typeof error.code === 'number' ? error.code : null) ||
+    error.status ||
+    null;
+}
+
+// Helper function to tell timeouts, dropped connections and 5xx/429
+// responses (worth retrying) from errors that would just happen again
+function isTransientError(error) {
+  const status = getErrorStatus(error);
+  
+  if (status) {
+    return status >= 500 || status === 429 || status === 408;
+  }
+  
+  return TRANSIENT_ERROR_CODES.has(error.code) || /timed? ?out/i.test(error.message || '');
+}
+
+module.exports = {
+  withRetry,
+  protect,
+  getCircuitStates,
+  getErrorStatus,
+  isTransientError
+};
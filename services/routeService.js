@@ -1,20 +1,31 @@
-const axios = require('axios');
 const moment = require('moment');
+const calendarService = require('./calendarService');
+const businessCalendarService = require('./businessCalendarService');
+const routeSolver = require('./routeSolver');
+const geo = require('./geo');
+const timeService = require('./timeService');
+const logger = require('./logger');
+const { toServiceError } = require('../errors');
 
-// Google Maps API key
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-
-// Company office location (starting point)
+// Company office location (starting point when no technician home base is given)
 const OFFICE_LOCATION = process.env.OFFICE_LOCATION || '123 Main St, Anytown, USA';
 
 // Travel buffer time in minutes (extra time added to travel estimates)
 const TRAVEL_BUFFER_MINUTES = 15;
 
-exports.analyzeRoute = async (newAppointmentAddress, existingAppointments) => {
+// Location indexes used as keys in the travel time matrix
+const OFFICE_INDEX = 0;
+const NEW_LOCATION_INDEX = 1;
+const FIRST_APPOINTMENT_INDEX = 2;
+
+exports.analyzeRoute = async (newAppointmentAddress, existingAppointments, options = {}) => {
   try {
+    const date = options.date || timeService.now().format('YYYY-MM-DD');
+    const serviceDuration = calendarService.getServiceDuration(options.service);
+    
     // Get geocoded locations for all addresses
     const locations = await getGeocodedLocations([
-      OFFICE_LOCATION,
+      options.startLocation || OFFICE_LOCATION,
       newAppointmentAddress,
       ...existingAppointments.map(appointment => appointment.location)
     ]);
@@ -23,20 +34,26 @@ exports.analyzeRoute = async (newAppointmentAddress, existingAppointments) => {
     const travelTimes = await calculateTravelTimes(locations);
     
     // Analyze existing route
+    const workingHours = options.workingHours || null;
     const existingRoute = optimizeRoute(
-      locations[0], // Office as starting point
+      locations[OFFICE_INDEX], // Office as starting point
       existingAppointments.map((appointment, index) => ({
-        location: locations[index + 2], // +2 because office and new appointment are first
+        id: appointment.id,
+        location: locations[index + FIRST_APPOINTMENT_INDEX],
+        locationIndex: index + FIRST_APPOINTMENT_INDEX,
         startTime: appointment.start,
         endTime: appointment.end
-      }))
+      })),
+      travelTimes,
+      getWorkingDay(date, workingHours).start
     );
     
     // Find available time slots that work with the route
-    const availableTimeSlots = findAvailableTimeSlots(
+    const availableTimeSlots = await findAvailableTimeSlots(
       existingRoute,
-      locations[1], // New appointment location
-      travelTimes
+      NEW_LOCATION_INDEX,
+      travelTimes,
+      { date, durationMinutes: serviceDuration, workingHours }
     );
     
     // Generate suggested alternatives if needed
@@ -45,137 +62,264 @@ exports.analyzeRoute = async (newAppointmentAddress, existingAppointments) => {
     return {
       availableTimeSlots,
       suggestedAlternatives,
+      serviceDuration,
       estimatedTravelTime: travelTimes
     };
   } catch (error) {
-    console.error('Error analyzing route:', error);
+    logger.error('Error analyzing route', { error });
+    // Never answer with made-up slots: the caller must know routing failed
+    throw toServiceError(error, 'Failed to analyze route');
+  }
+};
+
+// Build an optimized plan for one technician's day, optionally checking
+// whether a proposed extra stop ({ address, service, time? }) fits without
+// breaking the time windows of the appointments already booked
+exports.planDay = async (date, technician, proposedStop = null) => {
+  try {
+    const appointments = await calendarService.getAppointmentsForDay(date, { technicianId: technician.id });
     
-    // For demo purposes, return mock data
-    return {
-      availableTimeSlots: [
-        {
-          start: moment().add(1, 'day').hour(9).minute(0).second(0).toISOString(),
-          end: moment().add(1, 'day').hour(12).minute(0).second(0).toISOString()
-        },
-        {
-          start: moment().add(1, 'day').hour(14).minute(0).second(0).toISOString(),
-          end: moment().add(1, 'day').hour(17).minute(0).second(0).toISOString()
-        }
-      ],
-      suggestedAlternatives: [
-        {
-          date: moment().add(1, 'day').format('YYYY-MM-DD'),
-          time: '09:00'
-        },
-        {
-          date: moment().add(1, 'day').format('YYYY-MM-DD'),
-          time: '14:00'
-        }
-      ],
-      estimatedTravelTime: 30 // minutes
+    const addresses = [technician.homeBase, ...appointments.map(appointment => appointment.location)];
+    if (proposedStop) {
+      addresses.push(proposedStop.address);
+    }
+    
+    const locations = await getGeocodedLocations(addresses);
+    const travelTimes = await calculateTravelTimes(locations);
+    
+    const { start: dayStart, end: dayEnd } = getWorkingDay(date, technician.workingHours);
+    
+    // Booked appointments must start exactly at their booked time
+    const stops = appointments.map((appointment, index) => ({
+      id: appointment.id,
+      address: appointment.location,
+      locationIndex: index + 1,
+      windowStart: moment(appointment.start).valueOf(),
+      windowEnd: moment(appointment.start).valueOf(),
+      serviceMinutes: moment(appointment.end).diff(moment(appointment.start), 'minutes')
+    }));
+    
+    const problem = {
+      depotIndex: 0,
+      stops,
+      travelTimes,
+      dayStart: dayStart.valueOf(),
+      bufferMinutes: TRAVEL_BUFFER_MINUTES
+    };
+    
+    const plan = routeSolver.solveRoute(problem);
+    const result = {
+      date,
+      technicianId: technician.id,
+      homeBase: technician.homeBase,
+      ...formatPlan(plan, stops)
     };
+    
+    if (proposedStop) {
+      const durationMinutes = calendarService.getServiceDuration(proposedStop.service);
+      
+      // Without a requested time the new stop may start anywhere in the working day
+      const proposedStart = proposedStop.time ? timeService.toBusinessTime(date, proposedStop.time) : null;
+      const proposed = {
+        id: 'proposed',
+        address: proposedStop.address,
+        locationIndex: locations.length - 1,
+        windowStart: proposedStart ? proposedStart.valueOf() : dayStart.valueOf(),
+        windowEnd: proposedStart
+          ? proposedStart.valueOf()
+          : moment(dayEnd).subtract(durationMinutes, 'minutes').valueOf(),
+        serviceMinutes: durationMinutes
+      };
+      
+      const proposedPlan = routeSolver.solveRoute({ ...problem, stops: [...stops, proposed] });
+      const alreadyBroken = plan.violations.map(violation => violation.id);
+      const violatedIds = proposedPlan.violations.map(violation => violation.id);
+      
+      result.proposedInsertion = {
+        feasible: proposedPlan.feasible,
+        proposedWindowMet: !violatedIds.includes('proposed'),
+        brokenAppointmentIds: violatedIds.filter(id => id !== 'proposed' && !alreadyBroken.includes(id)),
+        addedDriveMinutes: proposedPlan.totalDriveMinutes - plan.totalDriveMinutes,
+        plan: formatPlan(proposedPlan, [...stops, proposed])
+      };
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Error planning route', { error });
+    throw toServiceError(error, 'Failed to plan route');
   }
 };
 
+// Helper function to get the first and last working moment of a day. A
+// closed day collapses to an empty span at the start of the day.
+function getWorkingDay(date, workingHours) {
+  const intervals = businessCalendarService.getWorkingIntervals(date, workingHours);
+  
+  if (intervals.length === 0) {
+    const startOfDay = timeService.startOfDay(date);
+    return { start: startOfDay, end: moment(startOfDay) };
+  }
+  
+  return { start: intervals[0].start, end: intervals[intervals.length - 1].end };
+}
+
 // Helper function to geocode addresses
 async function getGeocodedLocations(addresses) {
   try {
     const geocodedLocations = [];
     
     for (const address of addresses) {
-      // In production, use Google Maps Geocoding API
-      // For demo, return mock coordinates
-      geocodedLocations.push({
-        address,
-        lat: Math.random() * 0.1 + 40.7, // Mock coordinates around NYC
-        lng: Math.random() * 0.1 - 74.0
-      });
+      geocodedLocations.push(await geo.geocode(address));
     }
     
     return geocodedLocations;
   } catch (error) {
-    console.error('Error geocoding addresses:', error);
-    throw new Error('Failed to geocode addresses');
+    logger.error('Error geocoding addresses', { error });
+    throw toServiceError(error, 'Failed to geocode addresses');
   }
 }
 
 // Helper function to calculate travel times between locations
 async function calculateTravelTimes(locations) {
   try {
-    // In production, use Google Maps Distance Matrix API
-    // For demo, return mock travel times
     const travelTimes = {};
     
     for (let i = 0; i < locations.length; i++) {
       for (let j = 0; j < locations.length; j++) {
         if (i !== j) {
           const key = `${i}-${j}`;
-          // Generate a random travel time between 15-60 minutes
-          travelTimes[key] = Math.floor(Math.random() * 45) + 15;
+          travelTimes[key] = await geo.getTravelTime(locations[i], locations[j]);
         }
       }
     }
     
     return travelTimes;
   } catch (error) {
-    console.error('Error calculating travel times:', error);
-    throw new Error('Failed to calculate travel times');
+    logger.error('Error calculating travel times', { error });
+    throw toServiceError(error, 'Failed to calculate travel times');
   }
 }
 
+// Helper function to look up a travel time, which is zero for the same location
+function getTravelTime(travelTimes, fromIndex, toIndex) {
+  return fromIndex === toIndex ? 0 : travelTimes[`${fromIndex}-${toIndex}`];
+}
+
 // Helper function to optimize the route
-function optimizeRoute(startLocation, appointments) {
+function optimizeRoute(startLocation, appointments, travelTimes, dayStart) {
   try {
-    // Sort appointments by start time
-    const sortedAppointments = [...appointments].sort((a, b) => 
-      moment(a.startTime).valueOf() - moment(b.startTime).valueOf()
-    );
+    // Booked appointments are fixed in time, so their windows are exact
+    const stops = appointments.map(appointment => ({
+      id: appointment.id,
+      locationIndex: appointment.locationIndex,
+      windowStart: moment(appointment.startTime).valueOf(),
+      windowEnd: moment(appointment.startTime).valueOf(),
+      serviceMinutes: moment(appointment.endTime).diff(moment(appointment.startTime), 'minutes')
+    }));
+    
+    const plan = routeSolver.solveRoute({
+      depotIndex: OFFICE_INDEX,
+      stops,
+      travelTimes,
+      dayStart: moment(dayStart).valueOf(),
+      bufferMinutes: TRAVEL_BUFFER_MINUTES
+    });
     
-    // Create the route
+    // Create the route in the solved visiting order
     const route = {
       startLocation,
-      appointments: sortedAppointments,
-      totalTravelTime: 0 // Will be calculated based on actual travel times
+      appointments: plan.stops.map(stop =>
+        appointments.find(appointment => appointment.locationIndex === stop.locationIndex)
+      ),
+      totalTravelTime: plan.totalDriveMinutes,
+      feasible: plan.feasible
     };
     
     return route;
   } catch (error) {
-    console.error('Error optimizing route:', error);
+    logger.error('Error optimizing route', { error });
     throw new Error('Failed to optimize route');
   }
 }
 
+// Helper function to turn a solver plan into a response-friendly day plan
+function formatPlan(plan, stops) {
+  return {
+    feasible: plan.feasible,
+    departureTime: timeService.fromInstant(plan.departureTime).format(),
+    returnTime: timeService.fromInstant(plan.returnTime).format(),
+    totalDriveMinutes: plan.totalDriveMinutes,
+    totalWaitMinutes: plan.totalWaitMinutes,
+    stops: plan.stops.map((stop, index) => ({
+      order: index + 1,
+      appointmentId: stop.id,
+      address: stops.find(candidate => candidate.id === stop.id).address,
+      driveMinutes: stop.driveMinutes,
+      arrival: timeService.fromInstant(stop.arrival).format(),
+      serviceStart: timeService.fromInstant(stop.serviceStart).format(),
+      departure: timeService.fromInstant(stop.departure).format(),
+      waitMinutes: stop.waitMinutes,
+      slackMinutes: stop.slackMinutes
+    })),
+    violations: plan.violations
+  };
+}
+
 // Helper function to find available time slots
-function findAvailableTimeSlots(existingRoute, newLocation, travelTimes) {
+//
+// Starts from the free business hours of the day, then shrinks every gap so
+// the technician can drive in from the previous stop and on to the next stop
+// (travel time plus TRAVEL_BUFFER_MINUTES each way). Only gaps that still
+// fit the whole service are returned. Each slot also carries the extra drive
+// time (addedTravelTime) the detour costs compared to the current route.
+async function findAvailableTimeSlots(existingRoute, newLocationIndex, travelTimes, { date, durationMinutes, workingHours }) {
   try {
-    // For demo purposes, return some mock time slots
-    // In production, this would analyze the existing route and find gaps
-    
-    // Get the current date
-    const today = moment().startOf('day');
+    const appointments = existingRoute.appointments;
+    const freeSlots = await calendarService.getAvailableTimeSlots(
+      date,
+      appointments.map(appointment => ({ start: appointment.startTime, end: appointment.endTime })),
+      workingHours
+    );
     
-    // Generate time slots for the next 7 days
     const availableTimeSlots = [];
     
-    for (let day = 1; day <= 7; day++) {
-      const date = moment(today).add(day, 'days');
+    for (const slot of freeSlots) {
+      let slotStart = moment(slot.start);
+      let slotEnd = moment(slot.end);
       
-      // Morning slot
-      availableTimeSlots.push({
-        start: moment(date).hour(9).minute(0).second(0).toISOString(),
-        end: moment(date).hour(12).minute(0).second(0).toISOString()
-      });
+      // Previous stop: an appointment ending exactly where this gap begins
+      const previous = appointments.find(appointment => moment(appointment.endTime).isSame(slotStart));
+      if (previous) {
+        const travel = getTravelTime(travelTimes, previous.locationIndex, newLocationIndex);
+        slotStart = moment(slotStart).add(travel + TRAVEL_BUFFER_MINUTES, 'minutes');
+      }
       
-      // Afternoon slot
-      availableTimeSlots.push({
-        start: moment(date).hour(14).minute(0).second(0).toISOString(),
-        end: moment(date).hour(17).minute(0).second(0).toISOString()
-      });
+      // Next stop: an appointment starting exactly where this gap ends
+      const next = appointments.find(appointment => moment(appointment.startTime).isSame(slotEnd));
+      if (next) {
+        const travel = getTravelTime(travelTimes, newLocationIndex, next.locationIndex);
+        slotEnd = moment(slotEnd).subtract(travel + TRAVEL_BUFFER_MINUTES, 'minutes');
+      }
+      
+      if (slotEnd.diff(slotStart, 'minutes') >= durationMinutes) {
+        // Without a neighbouring stop the technician comes from / returns to base
+        const fromIndex = previous ? previous.locationIndex : OFFICE_INDEX;
+        const toIndex = next ? next.locationIndex : OFFICE_INDEX;
+        
+        availableTimeSlots.push({
+          start: slotStart.toISOString(),
+          end: slotEnd.toISOString(),
+          addedTravelTime: getTravelTime(travelTimes, fromIndex, newLocationIndex) +
+            getTravelTime(travelTimes, newLocationIndex, toIndex) -
+            getTravelTime(travelTimes, fromIndex, toIndex)
+        });
+      }
     }
     
-    return availableTimeSlots;
+    return availableTimeSlots.sort((a, b) => moment(a.start).valueOf() - moment(b.start).valueOf());
   } catch (error) {
-    console.error('Error finding available time slots:', error);
+    logger.error('Error finding available time slots', { error });
     throw new Error('Failed to find available time slots');
   }
 }
@@ -185,34 +329,16 @@ function generateAlternatives(availableTimeSlots) {
   try {
     // Convert available time slots to date/time format
     const alternatives = availableTimeSlots.slice(0, 5).map(slot => {
-      const startTime = moment(slot.start);
       return {
-        date: startTime.format('YYYY-MM-DD'),
-        time: startTime.format('HH:mm')
+        date: timeService.formatDate(slot.start),
+        time: timeService.formatTime(slot.start)
       };
     });
     
     return alternatives;
   } catch (error) {
-    console.error('Error generating alternatives:', error);
+    logger.error('Error generating alternatives', { error });
     throw new Error('Failed to generate alternatives');
   }
 }
 
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2); 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  const distance = R * c; // Distance in km
-  return distance;
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
\ No newline at end of file
@@ -0,0 +1,63 @@
+const path = require('path');
+
+// Business hours (09:00-17:00) in UTC, so the slots below read the same on
+// the server clock
+process.env.BUSINESS_TIMEZONE = 'UTC';
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+
+const moment = require('moment');
+const routeService = require('./routeService');
+
+// Location indexes in the travel time matrix analyzeRoute returns
+const NEW_LOCATION = 1;
+const BOOKED_LOCATION = 2;
+const TRAVEL_BUFFER_MINUTES = 15;
+
+// A short booking with room for a visit on either side
+const booked = {
+  id: 'booked',
+  location: '9 Elm St, Anytown, USA',
+  start: '2027-06-15T13:00:00.000Z',
+  end: '2027-06-15T13:30:00.000Z'
+};
+
+function analyze(existingAppointments) {
+  return routeService.analyzeRoute('45 Oak Ave, Anytown, USA', existingAppointments, {
+    date: '2027-06-15',
+    service: 'plumbing'
+  });
+}
+
+describe('routeService.analyzeRoute', () => {
+  test('offers the whole business day when nothing is booked', async () => {
+    const { availableTimeSlots } = await analyze([]);
+    
+    expect(availableTimeSlots).toHaveLength(1);
+    const [slot] = availableTimeSlots;
+    expect(moment(slot.end).diff(moment(slot.start), 'minutes')).toBe(8 * 60);
+  });
+  
+  test('leaves room to drive to and from a booked appointment', async () => {
+    const { availableTimeSlots, estimatedTravelTime } = await analyze([booked]);
+    
+    const before = availableTimeSlots.filter(slot => moment(slot.end).isSameOrBefore(booked.start));
+    const after = availableTimeSlots.filter(slot => moment(slot.start).isSameOrAfter(booked.end));
+    expect(before.length + after.length).toBe(availableTimeSlots.length);
+    
+    // The gap before ends in time to drive on to the booking, the gap
+    // after starts once the technician can get here from it
+    const driveThere = estimatedTravelTime[`${NEW_LOCATION}-${BOOKED_LOCATION}`] + TRAVEL_BUFFER_MINUTES;
+    const driveBack = estimatedTravelTime[`${BOOKED_LOCATION}-${NEW_LOCATION}`] + TRAVEL_BUFFER_MINUTES;
+    expect(moment(booked.start).diff(moment(before[before.length - 1].end), 'minutes')).toBe(driveThere);
+    expect(moment(after[0].start).diff(moment(booked.end), 'minutes')).toBe(driveBack);
+  });
+  
+  test('only offers gaps long enough for the service', async () => {
+    const { availableTimeSlots, serviceDuration } = await analyze([booked]);
+    
+    for (const slot of availableTimeSlots) {
+      expect(moment(slot.end).diff(moment(slot.start), 'minutes')).toBeGreaterThanOrEqual(serviceDuration);
+    }
+  });
+});
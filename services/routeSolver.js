@@ -0,0 +1,218 @@
+// Route solver for a single technician's day
+//
+// Stops are visited starting from (and returning to) a depot. Each stop has
+// a hard time window [windowStart, windowEnd] for the start of service: the
+// technician may arrive early and wait, but arriving after windowEnd breaks
+// the window. dayStart is the earliest time service can start; the drive
+// from the depot to the first stop happens before it. The solver builds an
+// order with a time-aware nearest-neighbour heuristic and then improves it
+// with 2-opt and single-stop relocation moves, keeping whichever order has
+// the fewest broken windows and, among those, the least drive time.
+
+// Upper bound on 2-opt passes so a large day can never spin forever
+const MAX_IMPROVEMENT_PASSES = 50;
+
+// Solve the visiting order for a day. Stops are
+// { id, locationIndex, windowStart, windowEnd, serviceMinutes } with window
+// times as millisecond timestamps; travelTimes are minutes keyed by
+// "fromIndex-toIndex" and bufferMinutes is added to every leg.
+exports.solveRoute = (problem) => {
+  const initialOrder = buildNearestNeighbourOrder(problem);
+  const order = improveOrder(problem, initialOrder);
+  return evaluateOrder(problem, order);
+};
+
+// Helper function to build a first order by always going to the stop whose
+// service can start soonest, skipping stops that could no longer be reached
+// and avoiding stops that would make another stop's window unreachable
+function buildNearestNeighbourOrder(problem) {
+  const remaining = [...problem.stops];
+  const order = [];
+  let currentIndex = problem.depotIndex;
+  let currentTime = problem.dayStart;
+  
+  while (remaining.length > 0) {
+    let bestPosition = -1;
+    let bestScore = null;
+    
+    remaining.forEach((stop, position) => {
+      const travel = getLegMinutes(problem, currentIndex, stop.locationIndex);
+      const arrival = order.length === 0 ? currentTime : currentTime + travel * 60000;
+      if (arrival > stop.windowEnd) {
+        return;
+      }
+      
+      const startTime = Math.max(arrival, stop.windowStart);
+      const departure = startTime + stop.serviceMinutes * 60000;
+      
+      // Count the other stops that are reachable now but not after this one
+      const strandedStops = remaining.filter(other =>
+        other !== stop &&
+        (order.length === 0 ? currentTime : currentTime + getLegMinutes(problem, currentIndex, other.locationIndex) * 60000) <= other.windowEnd &&
+        departure + getLegMinutes(problem, stop.locationIndex, other.locationIndex) * 60000 > other.windowEnd
+      ).length;
+      
+      const score = [strandedStops, startTime, travel];
+      if (!bestScore || compareScores(score, bestScore) < 0) {
+        bestPosition = position;
+        bestScore = score;
+      }
+    });
+    
+    // Nothing reachable in time: append the rest by deadline and let the
+    // evaluation report the broken windows
+    if (bestPosition === -1) {
+      order.push(...remaining.sort((a, b) => a.windowEnd - b.windowEnd));
+      break;
+    }
+    
+    const [stop] = remaining.splice(bestPosition, 1);
+    order.push(stop);
+    currentIndex = stop.locationIndex;
+    currentTime = bestScore[1] + stop.serviceMinutes * 60000;
+  }
+  
+  return order;
+}
+
+// Helper function to apply improving 2-opt segment reversals and single-stop
+// relocations until neither finds a better order
+function improveOrder(problem, order) {
+  let bestOrder = order;
+  let bestPlan = evaluateOrder(problem, bestOrder);
+  
+  const tryCandidate = (candidate) => {
+    const candidatePlan = evaluateOrder(problem, candidate);
+    if (isBetterPlan(candidatePlan, bestPlan)) {
+      bestOrder = candidate;
+      bestPlan = candidatePlan;
+      return true;
+    }
+    return false;
+  };
+  
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+    
+    for (let i = 0; i < bestOrder.length - 1; i++) {
+      for (let k = i + 1; k < bestOrder.length; k++) {
+        // 2-opt: reverse the segment between i and k
+        improved = tryCandidate([
+          ...bestOrder.slice(0, i),
+          ...bestOrder.slice(i, k + 1).reverse(),
+          ...bestOrder.slice(k + 1)
+        ]) || improved;
+      }
+    }
+    
+    for (let i = 0; i < bestOrder.length; i++) {
+      for (let k = 0; k < bestOrder.length; k++) {
+        if (i === k) {
+          continue;
+        }
+        // Relocation: move the stop at i to position k
+        const candidate = [...bestOrder];
+        const [stop] = candidate.splice(i, 1);
+        candidate.splice(k, 0, stop);
+        improved = tryCandidate(candidate) || improved;
+      }
+    }
+    
+    if (!improved) {
+      break;
+    }
+  }
+  
+  return bestOrder;
+}
+
+// Helper function to compute times, drive totals and broken windows for an order
+function evaluateOrder(problem, order) {
+  let currentIndex = problem.depotIndex;
+  let totalDriveMinutes = 0;
+  let totalWaitMinutes = 0;
+  const violations = [];
+  
+  // Leave the depot just in time to start the first stop at its window
+  // (or at the start of the day, whichever is later)
+  let currentTime = problem.dayStart;
+  if (order.length > 0) {
+    const firstLeg = getLegMinutes(problem, currentIndex, order[0].locationIndex);
+    currentTime = Math.max(problem.dayStart, order[0].windowStart) - firstLeg * 60000;
+  }
+  const departureTime = currentTime;
+  
+  const stops = order.map(stop => {
+    const driveMinutes = getTravelMinutes(problem, currentIndex, stop.locationIndex);
+    const arrival = currentTime + getLegMinutes(problem, currentIndex, stop.locationIndex) * 60000;
+    const serviceStart = Math.max(arrival, stop.windowStart);
+    const departure = serviceStart + stop.serviceMinutes * 60000;
+    const waitMinutes = (serviceStart - arrival) / 60000;
+    const slackMinutes = (stop.windowEnd - arrival) / 60000;
+    
+    if (arrival > stop.windowEnd) {
+      violations.push({ id: stop.id, lateByMinutes: -slackMinutes });
+    }
+    
+    totalDriveMinutes += driveMinutes;
+    totalWaitMinutes += waitMinutes;
+    currentIndex = stop.locationIndex;
+    currentTime = departure;
+    
+    return {
+      id: stop.id,
+      locationIndex: stop.locationIndex,
+      driveMinutes,
+      arrival,
+      serviceStart,
+      departure,
+      waitMinutes,
+      slackMinutes
+    };
+  });
+  
+  // Drive back to the depot at the end of the day
+  const returnDriveMinutes = getTravelMinutes(problem, currentIndex, problem.depotIndex);
+  totalDriveMinutes += returnDriveMinutes;
+  
+  return {
+    feasible: violations.length === 0,
+    departureTime,
+    returnTime: currentTime + returnDriveMinutes * 60000,
+    stops,
+    totalDriveMinutes,
+    totalWaitMinutes,
+    violations
+  };
+}
+
+// Helper function to prefer fewer broken windows, then less driving
+function isBetterPlan(candidate, current) {
+  if (candidate.violations.length !== current.violations.length) {
+    return candidate.violations.length < current.violations.length;
+  }
+  return candidate.totalDriveMinutes < current.totalDriveMinutes;
+}
+
+// Helper function to compare score arrays element by element
+function compareScores(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+// Helper function to get raw drive minutes between two locations
+function getTravelMinutes(problem, fromIndex, toIndex) {
+  return fromIndex === toIndex ? 0 : problem.travelTimes[`${fromIndex}-${toIndex}`];
+}
+
+// Helper function to get drive minutes plus the per-leg buffer
+function getLegMinutes(problem, fromIndex, toIndex) {
+  if (fromIndex === toIndex) {
+    return 0;
+  }
+  return getTravelMinutes(problem, fromIndex, toIndex) + (problem.bufferMinutes || 0);
+}
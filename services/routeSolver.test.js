@@ -0,0 +1,83 @@
+const { solveRoute } = require('./routeSolver');
+
+const MINUTE = 60000;
+const DAY_START = Date.UTC(2026, 10, 2, 9, 0);
+const DAY_END = Date.UTC(2026, 10, 2, 17, 0);
+
+// Locations 0 (the depot) to 4 sit on a straight road, 10 minutes apart
+function roadTravelTimes(count) {
+  const travelTimes = {};
+  for (let from = 0; from < count; from++) {
+    for (let to = 0; to < count; to++) {
+      travelTimes[`${from}-${to}`] = Math.abs(from - to) * 10;
+    }
+  }
+  return travelTimes;
+}
+
+function stop(id, locationIndex, windowStart = DAY_START, windowEnd = DAY_END) {
+  return { id, locationIndex, windowStart, windowEnd, serviceMinutes: 60 };
+}
+
+function solve(stops, bufferMinutes = 0) {
+  return solveRoute({
+    depotIndex: 0,
+    dayStart: DAY_START,
+    stops,
+    travelTimes: roadTravelTimes(5),
+    bufferMinutes
+  });
+}
+
+describe('solveRoute', () => {
+  test('drives along the road when windows allow any order', () => {
+    const plan = solve([stop('c', 3), stop('a', 1), stop('b', 2)]);
+    
+    expect(plan.feasible).toBe(true);
+    expect(plan.stops.map(visit => visit.id)).toEqual(['a', 'b', 'c']);
+    expect(plan.totalDriveMinutes).toBe(60);
+  });
+  
+  test('keeps every stop inside its time window', () => {
+    // The far stop must be done first and the near one last, the opposite
+    // of the shortest drive
+    const stops = [
+      stop('near', 1, DAY_START + 240 * MINUTE, DAY_START + 300 * MINUTE),
+      stop('middle', 2),
+      stop('far', 4, DAY_START, DAY_START + 30 * MINUTE)
+    ];
+    
+    const plan = solve(stops, 5);
+    
+    expect(plan.feasible).toBe(true);
+    expect(plan.violations).toEqual([]);
+    expect(plan.stops.map(visit => visit.id)).toEqual(['far', 'middle', 'near']);
+    for (const visit of plan.stops) {
+      const { windowStart, windowEnd } = stops.find(candidate => candidate.id === visit.id);
+      expect(visit.serviceStart).toBeGreaterThanOrEqual(windowStart);
+      expect(visit.serviceStart).toBeLessThanOrEqual(windowEnd);
+    }
+  });
+  
+  test('waits for a window that opens later instead of starting early', () => {
+    const plan = solve([stop('late', 1, DAY_START + 120 * MINUTE, DAY_START + 180 * MINUTE)]);
+    
+    const [visit] = plan.stops;
+    expect(visit.serviceStart).toBe(DAY_START + 120 * MINUTE);
+    // The technician leaves the depot just in time rather than waiting on site
+    expect(visit.waitMinutes).toBe(0);
+    expect(plan.departureTime).toBe(DAY_START + 110 * MINUTE);
+  });
+  
+  test('reports the windows it cannot keep', () => {
+    // Both stops must start at 09:00, 30 minutes apart
+    const plan = solve([
+      stop('first', 1, DAY_START, DAY_START),
+      stop('second', 4, DAY_START, DAY_START)
+    ]);
+    
+    expect(plan.feasible).toBe(false);
+    expect(plan.violations).toHaveLength(1);
+    expect(plan.violations[0].lateByMinutes).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,279 @@
+const moment = require('moment');
+const calendarService = require('./calendarService');
+const routeService = require('./routeService');
+const technicianService = require('./technicianService');
+const businessCalendarService = require('./businessCalendarService');
+const holdService = require('./holdService');
+const customerService = require('./customerService');
+const timeService = require('./timeService');
+
+// Bookable start times are offered on this grid (e.g. 09:00, 09:30, ...)
+const SLOT_STEP_MINUTES = parseInt(process.env.SLOT_STEP_MINUTES, 10) || 30;
+
+// Find the technician and time slot for a new (or moved) appointment.
+//
+// Every technician with the right skill is checked against their own day on
+// each preferred date: a slot that honours the customer's preferences beats
+// a fallback slot (the earliest free one, on the first preferred date that
+// has any), then the customer's preferred technician (if any) beats the
+// others, and between equally good slots the technician whose route grows
+// the least wins. Start times that have already passed are never offered.
+exports.findBestAssignment = async ({ address, service, timePreferences, technicianId, preferredTechnicianId, excludeAppointmentId }) => {
+  const candidates = technicianId
+    ? [technicianService.getTechnician(technicianId)].filter(Boolean)
+    : technicianService.getTechniciansForService(service);
+  
+  if (candidates.length === 0) {
+    const error = new Error(`No technician offers ${service}`);
+    error.code = 'NO_TECHNICIAN';
+    throw error;
+  }
+  
+  const now = timeService.now();
+  const notBefore = roundUpToGrid(now);
+  const dates = [...new Set(timePreferences.map(preference => preference.date))]
+    .filter(date => !timeService.endOfDay(date).isBefore(now));
+  const suggestedAlternatives = [];
+  let best = null;
+  
+  for (const technician of candidates) {
+    for (const date of dates) {
+      const existingAppointments = await getBusyAppointments(date, technician, { excludeAppointmentId });
+      
+      const routeAnalysis = await routeService.analyzeRoute(address, existingAppointments, {
+        date,
+        service,
+        startLocation: technician.homeBase,
+        workingHours: technician.workingHours
+      });
+      
+      suggestedAlternatives.push(...routeAnalysis.suggestedAlternatives);
+      
+      const timeSlot = await calendarService.findBestTimeSlot(
+        timePreferences.filter(preference => preference.date === date),
+        routeAnalysis,
+        { notBefore }
+      );
+      if (!timeSlot) {
+        continue;
+      }
+      
+      const rank = [
+        getPreferenceRank(timeSlot, timePreferences),
+        dates.indexOf(date),
+        technician.id === preferredTechnicianId ? 0 : 1,
+        timeSlot.addedTravelTime || 0
+      ];
+      if (!best || compareRanks(rank, best.rank) < 0) {
+        best = { technician, timeSlot, rank };
+      }
+    }
+  }
+  
+  return {
+    technician: best ? best.technician : null,
+    timeSlot: best ? best.timeSlot : null,
+    suggestedAlternatives: dedupeAlternatives(suggestedAlternatives.filter(alternative =>
+      !timeService.toBusinessTime(alternative.date, alternative.time).isBefore(now)
+    ))
+  };
+};
+
+// Find the technician for one occurrence of a recurring series (or one
+// imported job, or a rescheduled appointment), at the exact time when given
+// or else anywhere in the preferred part of the day (timeOfDay). Unlike a
+// one-off booking, the day's first free slot is no fallback: an occurrence
+// that can't be placed as asked comes back without a timeSlot, with the
+// day's suggested alternatives.
+exports.findOccurrenceAssignment = async ({ address, service, date, time, timeOfDay, technicianId, preferredTechnicianId, excludeAppointmentId }) => {
+  const now = timeService.now();
+  const timePreferences = (time ? [time] : getTimesOfDay(timeOfDay))
+    .map(start => ({ date, time: start }))
+    .filter(preference => timeService.toBusinessTime(preference.date, preference.time).isAfter(now));
+  
+  if (timePreferences.length === 0) {
+    return { technician: null, timeSlot: null, suggestedAlternatives: [] };
+  }
+  
+  const assignment = await exports.findBestAssignment({
+    address,
+    service,
+    timePreferences,
+    technicianId,
+    preferredTechnicianId,
+    excludeAppointmentId
+  });
+  
+  if (assignment.timeSlot && getPreferenceRank(assignment.timeSlot, timePreferences) < timePreferences.length) {
+    return assignment;
+  }
+  return { technician: null, timeSlot: null, suggestedAlternatives: assignment.suggestedAlternatives };
+};
+
+// List every bookable start time for a service at an address between two
+// dates (inclusive). Each start time is checked per qualified technician
+// against their booked day and the drive in from / out to the adjacent
+// stops; the technician adding the least drive time gets the slot. Slots
+// are ranked by added drive time, earliest first between equal ones. With
+// customer preferences ({ technicianId, timeOfDay }), slots matching them
+// rank first.
+exports.findAvailability = async ({ address, service, from, to, technicianId, preferences = {} }) => {
+  const candidates = technicianId
+    ? [technicianService.getTechnician(technicianId)].filter(Boolean)
+    : technicianService.getTechniciansForService(service);
+  
+  if (candidates.length === 0) {
+    const error = new Error(`No technician offers ${service}`);
+    error.code = 'NO_TECHNICIAN';
+    throw error;
+  }
+  
+  const durationMinutes = calendarService.getServiceDuration(service);
+  const now = timeService.now();
+  const slotsByStart = new Map();
+  
+  for (let day = moment(from, 'YYYY-MM-DD'); day.format('YYYY-MM-DD') <= to; day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    
+    if (!businessCalendarService.getDayStatus(date).open) {
+      continue;
+    }
+    
+    for (const technician of candidates) {
+      const existingAppointments = await getBusyAppointments(date, technician);
+      const routeAnalysis = await routeService.analyzeRoute(address, existingAppointments, {
+        date,
+        service,
+        startLocation: technician.homeBase,
+        workingHours: technician.workingHours
+      });
+      
+      for (const slot of routeAnalysis.availableTimeSlots) {
+        for (const start of getStartTimes(slot, durationMinutes)) {
+          if (start.isBefore(now)) {
+            continue;
+          }
+          
+          const key = start.valueOf();
+          const existing = slotsByStart.get(key);
+          const candidate = {
+            date: timeService.formatDate(start),
+            time: timeService.formatTime(start),
+            start: start.format(),
+            technicianId: technician.id,
+            addedTravelTime: slot.addedTravelTime
+          };
+          
+          // The preferred technician keeps a start time others could also take
+          const rank = [technician.id === preferences.technicianId ? 0 : 1, slot.addedTravelTime];
+          if (!existing || compareRanks(rank, existing.rank) < 0) {
+            slotsByStart.set(key, { ...candidate, rank });
+          }
+        }
+      }
+    }
+  }
+  
+  const slots = [...slotsByStart.values()]
+    .map(({ rank, ...slot }) => ({ ...slot, matchesPreferences: matchesPreferences(slot, preferences) }))
+    .sort((a, b) =>
+      (b.matchesPreferences - a.matchesPreferences) ||
+      a.addedTravelTime - b.addedTravelTime ||
+      a.start.localeCompare(b.start)
+    )
+    .map((slot, index) => ({ rank: index + 1, ...slot }));
+  
+  return { service, durationMinutes, from, to, slots };
+};
+
+// Helper function to check a slot against a customer's preferences
+function matchesPreferences(slot, { technicianId, timeOfDay }) {
+  return (!technicianId || slot.technicianId === technicianId) &&
+    (!timeOfDay || customerService.matchesTimeOfDay(timeOfDay, timeService.fromInstant(slot.start)));
+}
+
+// Helper function to list what occupies a technician's day: booked
+// appointments plus live slot holds, which route like appointments
+async function getBusyAppointments(date, technician, { excludeAppointmentId } = {}) {
+  const appointments = await calendarService.getAppointmentsForDay(date, { technicianId: technician.id });
+  const holds = holdService.getOverlappingHolds(
+    technician.calendarId,
+    timeService.startOfDay(date),
+    timeService.endOfDay(date)
+  );
+  
+  return [
+    ...appointments.filter(appointment => appointment.id !== excludeAppointmentId),
+    ...holds.map(hold => ({ id: hold.id, location: hold.address, start: hold.start, end: hold.end }))
+  ].sort((a, b) => moment(a.start).valueOf() - moment(b.start).valueOf());
+}
+
+// Helper function to list the start times on the SLOT_STEP_MINUTES grid
+// at which the whole service fits inside a free slot
+function getStartTimes(slot, durationMinutes) {
+  const startTimes = [];
+  const lastStart = moment(timeService.fromInstant(slot.end)).subtract(durationMinutes, 'minutes');
+  
+  for (let start = roundUpToGrid(slot.start); start.isSameOrBefore(lastStart); start.add(SLOT_STEP_MINUTES, 'minutes')) {
+    startTimes.push(moment(start));
+  }
+  
+  return startTimes;
+}
+
+// Helper function to round an instant up to the next grid line, counted
+// from local midnight
+function roundUpToGrid(instant) {
+  const time = timeService.fromInstant(instant);
+  const minutesIntoDay = time.diff(moment(time).startOf('day'), 'minutes', true);
+  const offset = Math.ceil(minutesIntoDay / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES - minutesIntoDay;
+  
+  return moment(time).add(offset, 'minutes');
+}
+
+// Helper function to list the grid start times within a part of the day
+function getTimesOfDay(timeOfDay) {
+  const [fromHour, toHour] = customerService.TIMES_OF_DAY[timeOfDay];
+  const times = [];
+  
+  for (let minutes = fromHour * 60; minutes < toHour * 60; minutes += SLOT_STEP_MINUTES) {
+    times.push(`${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`);
+  }
+  
+  return times;
+}
+
+// Helper function to rank a slot by which preference it satisfies
+function getPreferenceRank(timeSlot, timePreferences) {
+  const index = timePreferences.findIndex(preference =>
+    preference.date === timeSlot.date && preference.time === timeSlot.time
+  );
+  return index === -1 ? timePreferences.length : index;
+}
+
+// Helper function to compare two ranks, most important element first
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+// Helper function to merge alternatives from several technicians
+function dedupeAlternatives(alternatives) {
+  const seen = new Set();
+  
+  return alternatives
+    .filter(alternative => {
+      const key = `${alternative.date}T${alternative.time}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`))
+    .slice(0, 5);
+}
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-scheduling-'));
+process.env.CALENDAR_STORAGE = 'local';
+process.env.LOCAL_STORE_PATH = path.join(dataDir, 'calendar.json');
+process.env.NOTIFICATION_OUTBOX_PATH = path.join(dataDir, 'outbox.jsonl');
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+
+const moment = require('moment-timezone');
+const timeService = require('./timeService');
+const calendarService = require('./calendarService');
+const schedulingService = require('./schedulingService');
+
+const ADDRESS = '45 Oak Ave, Anytown, USA';
+
+// The tests run at TZ=UTC (jest.setup.js) with the business in New York
+beforeEach(() => {
+  jest.spyOn(timeService, 'now').mockImplementation(() => moment.tz('2026-10-19 12:00', timeService.BUSINESS_TIMEZONE));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('findBestAssignment on daylight saving days', () => {
+  function assignCleaning(date, time) {
+    return schedulingService.findBestAssignment({ address: ADDRESS, service: 'cleaning', timePreferences: [{ date, time }] });
+  }
+  
+  test.each(['2026-11-01', '2027-03-14'])('books the requested local time on %s', async (date) => {
+    const { technician, timeSlot } = await assignCleaning(date, '09:00');
+    
+    expect(technician.id).toBe('default');
+    expect(timeSlot).toMatchObject({ date, time: '09:00' });
+  });
+  
+  test.each(['2026-11-01', '2027-03-14'])('falls back to the local opening time on %s', async (date) => {
+    const { timeSlot } = await assignCleaning(date, '07:00');
+    
+    expect(timeSlot).toMatchObject({ date, time: '09:00' });
+  });
+});
+
+describe('findBestAssignment late in the day', () => {
+  beforeEach(() => {
+    timeService.now.mockImplementation(() => moment.tz('2026-10-20 15:00', timeService.BUSINESS_TIMEZONE));
+  });
+  
+  function assign(service, timePreferences) {
+    return schedulingService.findBestAssignment({ address: ADDRESS, service, timePreferences });
+  }
+  
+  test('never falls back to a start that has passed', async () => {
+    const plumbing = await assign('plumbing', [{ date: '2026-10-20', time: '09:00' }]);
+    expect(plumbing.timeSlot).toMatchObject({ date: '2026-10-20', time: '15:00' });
+    
+    // The rest of the day is too short for a cleaning
+    const cleaning = await assign('cleaning', [{ date: '2026-10-20', time: '09:00' }]);
+    expect(cleaning.timeSlot).toBeNull();
+    expect(cleaning.suggestedAlternatives).toEqual([]);
+  });
+  
+  test('looks for the alternative on its own date', async () => {
+    const { timeSlot } = await assign('cleaning', [
+      { date: '2026-10-20', time: '16:30' },
+      { date: '2026-10-21', time: '10:00' }
+    ]);
+    
+    expect(timeSlot).toMatchObject({ date: '2026-10-21', time: '10:00' });
+  });
+  
+  test('falls back to the next preferred date when the first has no room', async () => {
+    const { timeSlot } = await assign('cleaning', [
+      { date: '2026-10-20', time: '16:30' },
+      { date: '2026-10-21', time: '18:00' }
+    ]);
+    
+    expect(timeSlot).toMatchObject({ date: '2026-10-21', time: '09:00' });
+  });
+});
+
+// Cleaning takes 135 minutes with its buffer, so the last start on the
+// 30 minute grid that ends by 17:00 is 14:30
+const DAY_STARTS = ['09:00', '09:30', '10:00', '10:30', '11:00', '11:30', '12:00', '12:30', '13:00', '13:30', '14:00', '14:30'];
+
+function findCleaningSlots(date) {
+  return schedulingService.findAvailability({ address: ADDRESS, service: 'cleaning', from: date, to: date });
+}
+
+describe('findAvailability on daylight saving days', () => {
+  test.each([
+    ['2026-11-01', '-05:00'],
+    ['2027-03-14', '-04:00']
+  ])('offers the local business day on %s', async (date, offset) => {
+    const { slots } = await findCleaningSlots(date);
+    const starts = [...slots].sort((a, b) => a.start.localeCompare(b.start));
+    
+    expect(starts.map(slot => slot.time)).toEqual(DAY_STARTS);
+    for (const slot of starts) {
+      expect(slot.date).toBe(date);
+      expect(slot.start).toBe(`${date}T${slot.time}:00${offset}`);
+    }
+  });
+  
+  test('keeps the day before a change on its own offset', async () => {
+    const { slots } = await findCleaningSlots('2026-10-31');
+    
+    expect(slots).toHaveLength(DAY_STARTS.length);
+    expect(slots.every(slot => slot.start.endsWith('-04:00'))).toBe(true);
+  });
+  
+  test.each(['2026-11-01', '2027-03-14'])('routes around a booking on %s', async (date) => {
+    await calendarService.createAppointment({
+      name: 'DST Test',
+      address: ADDRESS,
+      service: 'cleaning',
+      date,
+      time: '12:00',
+      technicianId: 'default'
+    });
+    
+    const { slots } = await findCleaningSlots(date);
+    const times = slots.map(slot => slot.time);
+    
+    // The visit runs 12:00-14:15; nothing else may overlap it
+    expect(times).toContain('09:00');
+    expect(times.some(time => time > '09:30' && time < '14:15')).toBe(false);
+    expect(slots.every(slot => slot.date === date)).toBe(true);
+  });
+});
@@ -0,0 +1,443 @@
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const calendarService = require('./calendarService');
+const schedulingService = require('./schedulingService');
+const businessCalendarService = require('./businessCalendarService');
+const customerService = require('./customerService');
+const notificationService = require('./notificationService');
+const timeService = require('./timeService');
+const logger = require('./logger');
+const jsonFileStore = require('./jsonFileStore');
+
+// Recurring appointments ("every 2 weeks on Tuesday mornings until June").
+//
+// A series is a recurrence rule plus one entry per occurrence date. Each
+// occurrence is booked as an ordinary appointment (tagged with the
+// seriesId), checked against the technicians' routes and bookings like any
+// other booking; occurrences that can't be placed are kept as conflicts
+// with the day's suggested alternatives. Occurrences are addressed by the
+// date the rule gave them, even after being moved to another day.
+
+// Location of the JSON file holding all series
+const SERIES_STORE_PATH = process.env.SERIES_STORE_PATH ||
+  path.join(__dirname, '..', 'data', 'series.json');
+
+// Most occurrences one series may have, and how far ahead it may run
+const SERIES_MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES, 10) || 52;
+const SERIES_MAX_MONTHS = 12;
+
+const FREQUENCIES = ['weekly', 'monthly'];
+
+// Indexed like moment's day() (0 = Sunday)
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const store = jsonFileStore.create(SERIES_STORE_PATH, { series: [] });
+
+exports.FREQUENCIES = FREQUENCIES;
+exports.WEEKDAYS = WEEKDAYS;
+exports.SERIES_MAX_OCCURRENCES = SERIES_MAX_OCCURRENCES;
+exports.SERIES_MAX_MONTHS = SERIES_MAX_MONTHS;
+
+// Expand a recurrence rule into occurrence dates. Weekly series start on
+// the first matching weekday on or after startDate; monthly series repeat
+// startDate's day of the month (the 31st falls on the last day of shorter
+// months). The series ends at until, after count occurrences, or at the
+// SERIES_MAX_OCCURRENCES / SERIES_MAX_MONTHS limits, whichever comes first.
+exports.getOccurrenceDates = ({ frequency, interval = 1, weekday, startDate, until, count }) => {
+  const first = moment(startDate, 'YYYY-MM-DD');
+  if (frequency === 'weekly' && weekday) {
+    first.add((WEEKDAYS.indexOf(weekday) - first.day() + 7) % 7, 'days');
+  }
+  
+  const limit = moment(startDate, 'YYYY-MM-DD').add(SERIES_MAX_MONTHS, 'months');
+  const last = until && moment(until, 'YYYY-MM-DD').isBefore(limit) ? moment(until, 'YYYY-MM-DD') : limit;
+  const maxCount = Math.min(count || SERIES_MAX_OCCURRENCES, SERIES_MAX_OCCURRENCES);
+  const dates = [];
+  
+  for (let index = 0; dates.length < maxCount; index++) {
+    // Always step from the first date so month-end clamping doesn't drift
+    const date = moment(first).add(index * interval, frequency === 'monthly' ? 'months' : 'weeks');
+    if (date.isAfter(last)) {
+      break;
+    }
+    dates.push(date.format('YYYY-MM-DD'));
+  }
+  
+  return dates;
+};
+
+// Create a series and book its occurrences. Only the first booked
+// occurrence sends a confirmation; reminders still go out before each
+// visit. Returns { series, conflicts }, with series null (and nothing
+// saved) when not a single occurrence could be booked.
+exports.createSeries = async (details) => {
+  const { name, address, service, email, phone, notes, preferredTechnicianId, recurrence } = details;
+  
+  // Resolve the customer once rather than once per occurrence
+  const customer = await customerService.resolveForBooking({
+    customerId: details.customerId,
+    name,
+    email,
+    phone,
+    address
+  });
+  
+  const now = new Date().toISOString();
+  const series = {
+    id: crypto.randomBytes(16).toString('hex'),
+    status: 'active',
+    service,
+    name,
+    address,
+    customerId: customer ? customer.id : null,
+    email: email || null,
+    phone: phone || null,
+    notes: notes || '',
+    preferredTechnicianId: preferredTechnicianId || null,
+    recurrence: {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval || 1,
+      weekday: recurrence.weekday || null,
+      startDate: recurrence.startDate,
+      until: recurrence.until || null,
+      count: recurrence.count || null,
+      time: recurrence.time || null,
+      timeOfDay: recurrence.time ? null : recurrence.timeOfDay
+    },
+    occurrences: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  // Book every occurrence and save the series, deleting the bookings made
+  // so far if any step fails, so no appointment is left without its series
+  const conflicts = [];
+  try {
+    for (const date of exports.getOccurrenceDates(series.recurrence)) {
+      const outcome = await placeOccurrence(series, { date }, { date, ...getTimes(series.recurrence) }, { notify: false });
+      series.occurrences.push(toOccurrence(date, outcome));
+      collectConflict(conflicts, date, outcome);
+    }
+    
+    if (!series.occurrences.some(occurrence => occurrence.status === 'booked')) {
+      return { series: null, conflicts };
+    }
+    
+    await store.update(data => {
+      data.series.push(series);
+    });
+  } catch (error) {
+    logger.error('Series creation failed part-way, undoing its bookings', { seriesId: series.id, error });
+    await deleteOccurrenceAppointments(series);
+    throw error;
+  }
+  
+  // Confirm the first visit only once the series is saved
+  const first = series.occurrences.find(occurrence => occurrence.status === 'booked');
+  notificationService.notifyAppointment('confirmation', await calendarService.getAppointment(first.appointmentId));
+  
+  logger.info('Series created', {
+    seriesId: series.id,
+    service,
+    booked: series.occurrences.length - conflicts.length,
+    conflicts: conflicts.length
+  });
+  return { series: await withAppointments(series), conflicts };
+};
+
+// Get a series with the current state of each occurrence's appointment
+exports.getSeries = async (seriesId) => {
+  const series = await findSeries(seriesId);
+  return series ? withAppointments(series) : null;
+};
+
+// Change the time of every upcoming occurrence ({ time } or { timeOfDay }).
+// Booked occurrences stay with their technician; occurrences that were
+// conflicts are tried again. Occurrences that can't move keep their
+// current time and are reported as conflicts.
+exports.updateSeries = async (seriesId, { time, timeOfDay }) => {
+  const series = await getActiveSeries(seriesId);
+  const recurrence = { ...series.recurrence, time: time || null, timeOfDay: time ? null : timeOfDay };
+  
+  const changes = new Map();
+  const conflicts = [];
+  let notify = true;
+  
+  for (const occurrence of series.occurrences) {
+    const appointment = await getUpcomingAppointment(occurrence);
+    if (!isUpcoming(occurrence, appointment)) {
+      continue;
+    }
+    
+    // An occurrence moved on its own keeps its new day
+    const date = appointment ? timeService.formatDate(appointment.start) : occurrence.date;
+    const outcome = await placeOccurrence(series, occurrence, { date, ...getTimes(recurrence) }, { notify, appointment });
+    if (outcome.status === 'booked') {
+      notify = false;
+      changes.set(occurrence.date, toOccurrence(occurrence.date, outcome));
+    }
+    collectConflict(conflicts, occurrence.date, outcome);
+  }
+  
+  const updated = await updateSeriesRecord(seriesId, record => {
+    record.recurrence = recurrence;
+    applyChanges(record, changes);
+  });
+  
+  return { series: await withAppointments(updated), conflicts };
+};
+
+// Cancel every upcoming occurrence and end the series. Past visits are
+// left as they were. Only the first cancellation notifies the customer.
+exports.cancelSeries = async (seriesId, reason = '') => {
+  const series = await getActiveSeries(seriesId);
+  const changes = new Map();
+  let notify = true;
+  
+  for (const occurrence of series.occurrences) {
+    const appointment = await getUpcomingAppointment(occurrence);
+    if (!isUpcoming(occurrence, appointment)) {
+      continue;
+    }
+    
+    if (appointment) {
+      await calendarService.cancelAppointment(appointment.id, reason, { notify });
+      notify = false;
+    }
+    changes.set(occurrence.date, { ...occurrence, status: 'cancelled', reason: reason || null });
+  }
+  
+  const updated = await updateSeriesRecord(seriesId, record => {
+    record.status = 'cancelled';
+    applyChanges(record, changes);
+  });
+  
+  logger.info('Series cancelled', { seriesId, cancelled: changes.size });
+  return withAppointments(updated);
+};
+
+// Move one occurrence to another date and time (or book it there, if it
+// was a conflict). The rest of the series is unchanged.
+exports.rescheduleOccurrence = async (seriesId, occurrenceDate, { date, time }) => {
+  const series = await getActiveSeries(seriesId);
+  const occurrence = getOccurrence(series, occurrenceDate);
+  
+  if (occurrence.status === 'cancelled') {
+    throw notFound('Occurrence not found');
+  }
+  
+  const appointment = await getUpcomingAppointment(occurrence);
+  const outcome = await placeOccurrence(series, occurrence, { date, time }, { appointment });
+  
+  const conflicts = [];
+  collectConflict(conflicts, occurrence.date, outcome);
+  if (outcome.status !== 'booked') {
+    return { series: await withAppointments(series), conflicts };
+  }
+  
+  const updated = await updateSeriesRecord(seriesId, record => {
+    applyChanges(record, new Map([[occurrence.date, toOccurrence(occurrence.date, outcome)]]));
+  });
+  
+  return { series: await withAppointments(updated), conflicts };
+};
+
+// Cancel one occurrence; the rest of the series is unchanged
+exports.cancelOccurrence = async (seriesId, occurrenceDate, reason = '') => {
+  const series = await getActiveSeries(seriesId);
+  const occurrence = getOccurrence(series, occurrenceDate);
+  
+  const appointment = await getUpcomingAppointment(occurrence);
+  if (appointment) {
+    await calendarService.cancelAppointment(appointment.id, reason);
+  }
+  
+  const updated = await updateSeriesRecord(seriesId, record => {
+    applyChanges(record, new Map([[occurrence.date, { ...occurrence, status: 'cancelled', reason: reason || null }]]));
+  });
+  
+  return withAppointments(updated);
+};
+
+// Helper function to book an occurrence, or move its appointment when it
+// already has one (on the same technician), at { date, time | timeOfDay }.
+// Returns { status: 'booked', appointmentId } or { status: 'conflict',
+// reason, suggestedAlternatives }.
+async function placeOccurrence(series, occurrence, { date, time, timeOfDay }, { notify = true, appointment = null } = {}) {
+  const dayStatus = businessCalendarService.getDayStatus(date);
+  if (!dayStatus.open) {
+    return { status: 'conflict', reason: dayStatus.reason, suggestedAlternatives: [] };
+  }
+  
+  const { technician, timeSlot, suggestedAlternatives } = await schedulingService.findOccurrenceAssignment({
+    address: appointment ? appointment.location : series.address,
+    service: series.service,
+    date,
+    time,
+    timeOfDay,
+    technicianId: appointment ? appointment.technicianId : undefined,
+    preferredTechnicianId: series.preferredTechnicianId,
+    excludeAppointmentId: appointment ? appointment.id : undefined
+  });
+  
+  if (!timeSlot) {
+    return { status: 'conflict', reason: 'No suitable time slot available', suggestedAlternatives };
+  }
+  
+  try {
+    if (appointment) {
+      // Nothing to do when the occurrence is already at the chosen time
+      if (moment(appointment.start).isSame(timeService.toBusinessTime(timeSlot.date, timeSlot.time))) {
+        return { status: 'booked', appointmentId: appointment.id };
+      }
+      
+      await calendarService.rescheduleAppointment(appointment.id, timeSlot, { notify });
+      return { status: 'booked', appointmentId: appointment.id };
+    }
+    
+    const created = await calendarService.createAppointment({
+      name: series.name,
+      address: series.address,
+      service: series.service,
+      date: timeSlot.date,
+      time: timeSlot.time,
+      technicianId: technician.id,
+      notes: series.notes,
+      email: series.email,
+      phone: series.phone,
+      customerId: series.customerId,
+      seriesId: series.id
+    }, { notify });
+    return { status: 'booked', appointmentId: created.id };
+  } catch (error) {
+    // Someone else took the slot between the check and the write
+    if (error.code === 'SLOT_TAKEN') {
+      return { status: 'conflict', reason: 'No suitable time slot available', suggestedAlternatives };
+    }
+    throw error;
+  }
+}
+
+// Helper function to delete the appointments booked for a series that
+// couldn't be saved
+async function deleteOccurrenceAppointments(series) {
+  for (const occurrence of series.occurrences) {
+    if (occurrence.appointmentId) {
+      await calendarService.deleteAppointment(occurrence.appointmentId).catch(rollbackError =>
+        logger.error('Error undoing series appointment', { appointmentId: occurrence.appointmentId, error: rollbackError })
+      );
+    }
+  }
+}
+
+// Helper function to get the exact time or part of the day a rule asks for
+function getTimes(recurrence) {
+  return recurrence.time ? { time: recurrence.time } : { timeOfDay: recurrence.timeOfDay };
+}
+
+// Helper function to turn a placement outcome into a stored occurrence
+function toOccurrence(date, outcome) {
+  return outcome.status === 'booked'
+    ? { date, status: 'booked', appointmentId: outcome.appointmentId, reason: null }
+    : { date, status: 'conflict', appointmentId: null, reason: outcome.reason };
+}
+
+// Helper function to report an occurrence that couldn't be placed
+function collectConflict(conflicts, date, outcome) {
+  if (outcome.status !== 'booked') {
+    conflicts.push({ date, reason: outcome.reason, suggestedAlternatives: outcome.suggestedAlternatives });
+  }
+}
+
+// Helper function to get an occurrence's appointment unless it was cancelled
+async function getUpcomingAppointment(occurrence) {
+  if (occurrence.status !== 'booked' || !occurrence.appointmentId) {
+    return null;
+  }
+  
+  const appointment = await calendarService.getAppointment(occurrence.appointmentId);
+  return appointment && appointment.status !== 'cancelled' ? appointment : null;
+}
+
+// Helper function to check whether an occurrence is still ahead: its
+// appointment hasn't started yet, or (unbooked) its date isn't past
+function isUpcoming(occurrence, appointment) {
+  if (occurrence.status === 'cancelled') {
+    return false;
+  }
+  if (appointment) {
+    return moment(appointment.start).isAfter(timeService.now());
+  }
+  return occurrence.status === 'conflict' && occurrence.date >= timeService.now().format('YYYY-MM-DD');
+}
+
+// Helper function to replace occurrences by date on a stored series
+function applyChanges(series, changes) {
+  series.occurrences = series.occurrences.map(occurrence => changes.get(occurrence.date) || occurrence);
+}
+
+// Helper function to attach each occurrence's appointment; occurrences
+// cancelled one by one through the appointments API show as cancelled
+async function withAppointments(series) {
+  const occurrences = await Promise.all(series.occurrences.map(async occurrence => {
+    const appointment = occurrence.appointmentId
+      ? await calendarService.getAppointment(occurrence.appointmentId)
+      : null;
+    const status = appointment && appointment.status === 'cancelled' ? 'cancelled' : occurrence.status;
+    
+    return { ...occurrence, status, appointment };
+  }));
+  
+  return { ...series, occurrences };
+}
+
+function getOccurrence(series, date) {
+  const occurrence = series.occurrences.find(entry => entry.date === date);
+  
+  if (!occurrence) {
+    throw notFound('Occurrence not found');
+  }
+  return occurrence;
+}
+
+async function findSeries(seriesId) {
+  const data = await store.read();
+  return data.series.find(series => series.id === seriesId) || null;
+}
+
+// Helper function to get a series that can still be changed
+async function getActiveSeries(seriesId) {
+  const series = await findSeries(seriesId);
+  
+  if (!series) {
+    throw notFound('Series not found');
+  }
+  if (series.status === 'cancelled') {
+    const error = new Error('Series is cancelled');
+    error.code = 'SERIES_CANCELLED';
+    throw error;
+  }
+  return series;
+}
+
+// Helper function to change one series and save it
+function updateSeriesRecord(seriesId, mutate) {
+  return store.update(data => {
+    const series = data.series.find(entry => entry.id === seriesId);
+    
+    if (!series) {
+      throw notFound('Series not found');
+    }
+    
+    mutate(series);
+    series.updatedAt = new Date().toISOString();
+    return series;
+  });
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
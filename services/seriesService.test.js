@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routerover-series-'));
+process.env.CALENDAR_STORAGE = 'local';
+process.env.LOCAL_STORE_PATH = path.join(dataDir, 'calendar.json');
+process.env.CUSTOMER_STORE_PATH = path.join(dataDir, 'customers.json');
+process.env.SERIES_STORE_PATH = path.join(dataDir, 'series.json');
+process.env.WAITLIST_STORE_PATH = path.join(dataDir, 'waitlist.json');
+process.env.NOTIFICATION_OUTBOX_PATH = path.join(dataDir, 'outbox.jsonl');
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+
+const moment = require('moment-timezone');
+const timeService = require('./timeService');
+const calendarService = require('./calendarService');
+const notificationService = require('./notificationService');
+const seriesService = require('./seriesService');
+
+const OAK = '45 Oak Ave, Anytown, USA';
+
+describe('seriesService.getOccurrenceDates', () => {
+  test('starts weekly series on the first matching weekday and steps by the interval', () => {
+    expect(seriesService.getOccurrenceDates({
+      frequency: 'weekly',
+      interval: 2,
+      weekday: 'tuesday',
+      startDate: '2026-10-19',
+      count: 3
+    })).toEqual(['2026-10-20', '2026-11-03', '2026-11-17']);
+  });
+  
+  test('starts on the start date itself when no weekday is given', () => {
+    expect(seriesService.getOccurrenceDates({ frequency: 'weekly', startDate: '2026-10-21', count: 2 }))
+      .toEqual(['2026-10-21', '2026-10-28']);
+  });
+  
+  test('includes the until date', () => {
+    expect(seriesService.getOccurrenceDates({
+      frequency: 'weekly',
+      weekday: 'tuesday',
+      startDate: '2026-10-19',
+      until: '2026-11-03'
+    })).toEqual(['2026-10-20', '2026-10-27', '2026-11-03']);
+  });
+  
+  test('stops at whichever of until and count comes first', () => {
+    const rule = { frequency: 'weekly', startDate: '2026-10-19', until: '2026-11-30' };
+    
+    expect(seriesService.getOccurrenceDates({ ...rule, count: 2 })).toEqual(['2026-10-19', '2026-10-26']);
+    expect(seriesService.getOccurrenceDates({ ...rule, count: 20 })).toHaveLength(7);
+  });
+  
+  test('keeps monthly series on the day of the month, clamped to shorter months', () => {
+    expect(seriesService.getOccurrenceDates({ frequency: 'monthly', startDate: '2027-01-31', count: 4 }))
+      .toEqual(['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30']);
+    expect(seriesService.getOccurrenceDates({ frequency: 'monthly', interval: 3, startDate: '2027-01-15', count: 3 }))
+      .toEqual(['2027-01-15', '2027-04-15', '2027-07-15']);
+  });
+  
+  test('never runs past the occurrence and month limits', () => {
+    const weekly = seriesService.getOccurrenceDates({ frequency: 'weekly', startDate: '2026-10-19', count: 100 });
+    const monthly = seriesService.getOccurrenceDates({ frequency: 'monthly', startDate: '2027-01-15', until: '2030-01-01' });
+    
+    expect(weekly).toHaveLength(seriesService.SERIES_MAX_OCCURRENCES);
+    expect(monthly[monthly.length - 1]).toBe('2028-01-15');
+  });
+});
+
+describe('seriesService.createSeries', () => {
+  const details = {
+    name: 'Ann',
+    address: OAK,
+    service: 'plumbing',
+    email: 'ann@example.com',
+    recurrence: { frequency: 'weekly', weekday: 'tuesday', startDate: '2027-06-21', count: 3, time: '10:00' }
+  };
+  
+  beforeEach(() => {
+    jest.spyOn(timeService, 'now').mockImplementation(() => moment.tz('2026-10-19 12:00', timeService.BUSINESS_TIMEZONE));
+    jest.spyOn(notificationService, 'notifyAppointment').mockResolvedValue([]);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  test('books every occurrence and confirms only the first', async () => {
+    const { series, conflicts } = await seriesService.createSeries(details);
+    
+    expect(conflicts).toEqual([]);
+    expect(series.occurrences.map(occurrence => [occurrence.date, occurrence.status]))
+      .toEqual([['2027-06-22', 'booked'], ['2027-06-29', 'booked'], ['2027-07-06', 'booked']]);
+    expect(notificationService.notifyAppointment).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifyAppointment)
+      .toHaveBeenCalledWith('confirmation', expect.objectContaining({ id: series.occurrences[0].appointmentId }));
+    await expect(seriesService.getSeries(series.id)).resolves.toMatchObject({ id: series.id });
+  });
+  
+  test('deletes the occurrences already booked when one fails part-way', async () => {
+    const createAppointment = calendarService.createAppointment;
+    jest.spyOn(calendarService, 'createAppointment')
+      .mockImplementationOnce(createAppointment)
+      .mockImplementationOnce(() => Promise.reject(new Error('Calendar went away')));
+    
+    await expect(seriesService.createSeries({ ...details, recurrence: { ...details.recurrence, startDate: '2027-08-02' } }))
+      .rejects.toThrow('Calendar went away');
+    
+    expect(await calendarService.getAppointmentsForDay('2027-08-03')).toEqual([]);
+    expect(notificationService.notifyAppointment).not.toHaveBeenCalled();
+  });
+});
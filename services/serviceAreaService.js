@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const geo = require('./geo');
+const catalogService = require('./catalogService');
+const logger = require('./logger');
+const { ValidationError } = require('../errors');
+
+// Service areas: where we work, what we offer there and what it costs to
+// get there.
+//
+// Zones come from a GeoJSON FeatureCollection. Each feature is a Polygon or
+// MultiPolygon, or a circle: a Point (or no geometry at all, meaning the
+// office) with a radiusKm property. Properties:
+//
+//   id, name          identify the zone
+//   radiusKm          radius of a circular zone
+//   services          service names offered there (all of them if left out)
+//   travelSurcharge   { amount, currency } added to every visit there
+//
+// Zones are matched in file order, so list smaller zones inside bigger ones
+// first. Without a config file there are no service areas and every
+// address is accepted.
+
+// Path to the service area config (GeoJSON FeatureCollection)
+const SERVICE_AREAS_CONFIG = process.env.SERVICE_AREAS_CONFIG ||
+  path.join(__dirname, '..', 'config', 'serviceAreas.json');
+
+// Centre of circular zones without a geometry of their own
+const OFFICE_LOCATION = process.env.OFFICE_LOCATION || '123 Main St, Anytown, USA';
+
+const EARTH_RADIUS_KM = 6371;
+
+let zones;
+
+// Get every zone, in matching order; empty when service areas are off
+exports.getZones = () => {
+  if (!zones) {
+    zones = loadZones();
+  }
+  return zones;
+};
+
+// Describe the zones for clients (e.g. to draw them on a map)
+exports.describeZones = () => exports.getZones().map(describeZone);
+
+// Check whether an address is in the service area and, when a service is
+// given, whether that service is offered there. Resolves to
+// { address, location, inServiceArea, serviceAvailable, zone, message };
+// zone (with its travelSurcharge) is null outside the area or when service
+// areas are off. Addresses that can't be found are a ValidationError.
+exports.checkAddress = async (address, service = null) => {
+  const location = await geo.geocode(address);
+  const result = { address, location: { lat: location.lat, lng: location.lng } };
+  
+  if (exports.getZones().length === 0) {
+    return { ...result, inServiceArea: true, serviceAvailable: true, zone: null, message: null };
+  }
+  
+  const containing = [];
+  for (const zone of exports.getZones()) {
+    if (await containsLocation(zone, location)) {
+      containing.push(zone);
+    }
+  }
+  
+  if (containing.length === 0) {
+    return {
+      ...result,
+      inServiceArea: false,
+      serviceAvailable: false,
+      zone: null,
+      message: 'Sorry, this address is outside our service area'
+    };
+  }
+  
+  // A zone that offers the service wins over one that doesn't
+  const zone = (service && containing.find(candidate => offersService(candidate, service))) || containing[0];
+  const serviceAvailable = !service || offersService(zone, service);
+  
+  return {
+    ...result,
+    inServiceArea: true,
+    serviceAvailable,
+    zone: describeZone(zone),
+    message: serviceAvailable ? null : `Sorry, we don't offer ${describeService(service)} in ${zone.name}`
+  };
+};
+
+// Check an address a booking is for, throwing a ValidationError when it is
+// outside the service area or the service isn't offered there. Resolves to
+// the address check (see checkAddress).
+exports.requireServiceArea = async (address, service) => {
+  const result = await exports.checkAddress(address, service);
+  
+  if (!result.inServiceArea) {
+    throw new ValidationError([{ field: 'address', code: 'out_of_service_area', message: result.message }]);
+  }
+  if (!result.serviceAvailable) {
+    throw new ValidationError([{ field: 'service', code: 'not_offered_in_area', message: result.message }]);
+  }
+  
+  return result;
+};
+
+// Helper function to describe a zone without its internals
+function describeZone(zone) {
+  return {
+    id: zone.id,
+    name: zone.name,
+    services: zone.services,
+    travelSurcharge: zone.travelSurcharge,
+    ...(zone.radiusKm ? { radiusKm: zone.radiusKm } : {}),
+    geometry: zone.geometry
+  };
+}
+
+// Helper function to name a service the way customers see it
+function describeService(service) {
+  const catalogEntry = catalogService.getService(service);
+  return catalogEntry ? catalogEntry.label.toLowerCase() : service;
+}
+
+function offersService(zone, service) {
+  return !zone.services || zone.services.includes(service);
+}
+
+// Helper function to test a geocoded location against a zone
+async function containsLocation(zone, { lat, lng }) {
+  if (zone.radiusKm) {
+    const center = zone.geometry
+      ? { lat: zone.geometry.coordinates[1], lng: zone.geometry.coordinates[0] }
+      : await geo.geocode(OFFICE_LOCATION);
+    return distanceKm(center, { lat, lng }) <= zone.radiusKm;
+  }
+  
+  const polygons = zone.geometry.type === 'Polygon' ? [zone.geometry.coordinates] : zone.geometry.coordinates;
+  
+  // The first ring is the outline, any further rings are holes
+  return polygons.some(([outline, ...holes]) =>
+    ringContains(outline, lng, lat) && !holes.some(hole => ringContains(hole, lng, lat))
+  );
+}
+
+// Helper function to test a point against a ring of [lng, lat] positions
+// (ray casting: count how many edges a ray to the east crosses)
+function ringContains(ring, x, y) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Helper function to calculate the great-circle distance between two locations
+function distanceKm(from, to) {
+  const toRadians = degrees => degrees * (Math.PI / 180);
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Helper function to load and check the config file; no file means no
+// service areas
+function loadZones() {
+  if (!fs.existsSync(SERVICE_AREAS_CONFIG)) {
+    return [];
+  }
+  
+  try {
+    const collection = JSON.parse(fs.readFileSync(SERVICE_AREAS_CONFIG, 'utf8'));
+    if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new Error('Service areas must be a GeoJSON FeatureCollection');
+    }
+    return collection.features.map(normalizeZone);
+  } catch (error) {
+    logger.error('Error loading service areas', { error });
+    throw new Error('Failed to load service areas');
+  }
+}
+
+// Helper function to check a feature and fill in defaults
+function normalizeZone(feature, index) {
+  const properties = feature.properties || {};
+  const geometry = feature.geometry || null;
+  const id = properties.id || feature.id || `zone-${index + 1}`;
+  
+  if (properties.radiusKm !== undefined) {
+    if (!(properties.radiusKm > 0) || (geometry && geometry.type !== 'Point')) {
+      throw new Error(`Service area ${id}: circular zones need a positive radiusKm and a Point (or no geometry)`);
+    }
+  } else if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    throw new Error(`Service area ${id}: geometry must be a Polygon or MultiPolygon, or give a radiusKm`);
+  }
+  
+  const unknownServices = (properties.services || []).filter(service => !catalogService.getService(service));
+  if (unknownServices.length > 0) {
+    throw new Error(`Service area ${id}: unknown services ${unknownServices.join(', ')}`);
+  }
+  
+  const surcharge = properties.travelSurcharge;
+  
+  return {
+    id,
+    name: properties.name || id,
+    radiusKm: properties.radiusKm || null,
+    geometry,
+    services: properties.services || null,
+    travelSurcharge: surcharge && surcharge.amount > 0
+      ? { amount: surcharge.amount, currency: surcharge.currency || 'USD' }
+      : null
+  };
+}
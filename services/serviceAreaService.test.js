@@ -0,0 +1,74 @@
+const path = require('path');
+
+process.env.GEO_PROVIDER = 'fixture';
+process.env.GEO_FIXTURES = path.join(__dirname, '..', 'config', 'geoFixtures.example.json');
+process.env.SERVICE_AREAS_CONFIG = path.join(__dirname, '..', 'config', 'serviceAreas.example.json');
+process.env.OFFICE_LOCATION = '123 Main St, Anytown, USA';
+
+const fixtureProvider = require('./geo/fixtureProvider');
+const serviceAreaService = require('./serviceAreaService');
+
+// The example zones: Midtown (5 km around the office), Western Queens
+// (a polygon, repair and plumbing only, $25 surcharge) and Brooklyn
+// Heights (2 km around a point, $15 surcharge)
+const MIDTOWN = '45 Oak Ave, Anytown, USA';
+const QUEENS = '1 Queens Blvd, Anytown, USA';
+const BROOKLYN = '2 Montague St, Anytown, USA';
+const OUTSIDE = '3 Far Away Rd, Anytown, USA';
+
+describe('serviceAreaService', () => {
+  beforeAll(() => {
+    fixtureProvider.setFixtures({
+      locations: {
+        '123 Main St, Anytown, USA': { lat: 40.7484, lng: -73.9857 },
+        [MIDTOWN]: { lat: 40.7306, lng: -73.9866 },
+        [QUEENS]: { lat: 40.76, lng: -73.92 },
+        [BROOKLYN]: { lat: 40.6959, lng: -73.9936 },
+        [OUTSIDE]: { lat: 40.85, lng: -73.8 }
+      }
+    });
+  });
+  
+  test.each([
+    [MIDTOWN, 'core', null],
+    [QUEENS, 'queens-west', { amount: 25, currency: 'USD' }],
+    [BROOKLYN, 'brooklyn-heights', { amount: 15, currency: 'USD' }]
+  ])('places %s in its zone', async (address, zoneId, travelSurcharge) => {
+    const result = await serviceAreaService.checkAddress(address);
+    
+    expect(result).toMatchObject({ inServiceArea: true, serviceAvailable: true, message: null });
+    expect(result.zone).toMatchObject({ id: zoneId, travelSurcharge });
+  });
+  
+  test('flags addresses outside every zone', async () => {
+    await expect(serviceAreaService.checkAddress(OUTSIDE, 'plumbing')).resolves.toMatchObject({
+      inServiceArea: false,
+      serviceAvailable: false,
+      zone: null,
+      message: 'Sorry, this address is outside our service area'
+    });
+  });
+  
+  test('checks whether the service is offered in the zone', async () => {
+    await expect(serviceAreaService.checkAddress(QUEENS, 'plumbing'))
+      .resolves.toMatchObject({ serviceAvailable: true });
+    await expect(serviceAreaService.checkAddress(QUEENS, 'landscaping')).resolves.toMatchObject({
+      inServiceArea: true,
+      serviceAvailable: false,
+      message: 'Sorry, we don\'t offer landscaping in Western Queens'
+    });
+  });
+  
+  test('rejects bookings outside the area or for services not offered there', async () => {
+    await expect(serviceAreaService.requireServiceArea(MIDTOWN, 'cleaning'))
+      .resolves.toMatchObject({ zone: expect.objectContaining({ id: 'core' }) });
+    await expect(serviceAreaService.requireServiceArea(OUTSIDE, 'cleaning')).rejects.toMatchObject({
+      code: 'VALIDATION_FAILED',
+      details: [expect.objectContaining({ field: 'address', code: 'out_of_service_area' })]
+    });
+    await expect(serviceAreaService.requireServiceArea(QUEENS, 'cleaning')).rejects.toMatchObject({
+      code: 'VALIDATION_FAILED',
+      details: [expect.objectContaining({ field: 'service', code: 'not_offered_in_area' })]
+    });
+  });
+});
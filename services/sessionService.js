@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const extractionService = require('./extractionService');
+
+// Idle time after which a chat session is forgotten
+const SESSION_TTL_MINUTES = parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30;
+
+// Most recent messages kept per session (older ones are dropped)
+const MAX_HISTORY_MESSAGES = 20;
+
+// Fields a chat booking needs, in the order they are asked for
+const BOOKING_FIELDS = ['name', 'address', 'service', 'date', 'time'];
+
+const sessions = new Map();
+
+// Periodically drop idle sessions; unref so this never keeps the process alive
+setInterval(removeExpiredSessions, 60 * 1000).unref();
+
+exports.BOOKING_FIELDS = BOOKING_FIELDS;
+
+exports.createSession = () => {
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    createdAt: new Date().toISOString(),
+    lastActiveAt: Date.now(),
+    customerId: null,
+    history: [],
+    fields: {},
+    bookingInProgress: false,
+    awaitingField: null,
+    awaitingConfirmation: false
+  };
+  
+  sessions.set(session.id, session);
+  return session;
+};
+
+// Get a live session, or null if it never existed or has expired
+exports.getSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  
+  if (!session) {
+    return null;
+  }
+  
+  if (isExpired(session)) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  
+  session.lastActiveAt = Date.now();
+  return session;
+};
+
+exports.deleteSession = (sessionId) => {
+  sessions.delete(sessionId);
+};
+
+exports.addMessage = (session, role, content) => {
+  session.history.push({ role, content });
+  if (session.history.length > MAX_HISTORY_MESSAGES) {
+    session.history.splice(0, session.history.length - MAX_HISTORY_MESSAGES);
+  }
+};
+
+// Merge extracted values into the session without overwriting with blanks
+exports.mergeFields = (session, values) => {
+  for (const field of BOOKING_FIELDS) {
+    if (values[field]) {
+      session.fields[field] = values[field];
+    }
+  }
+};
+
+exports.getMissingFields = (session) =>
+  BOOKING_FIELDS.filter(field => !session.fields[field]);
+
+// Interpret a reply to a follow-up question for a single field.
+// Returns true when the reply contained a usable value.
+exports.applyAnswer = (session, field, message) => {
+  const value = parseFieldValue(field, message.trim());
+  
+  if (value) {
+    session.fields[field] = value;
+    return true;
+  }
+  
+  return false;
+};
+
+// Helper function to turn a short free-text answer into a field value
+function parseFieldValue(field, text) {
+  const entities = extractionService.extractEntities(text);
+  const preference = (entities.timePreferences || [])[0] || {};
+  
+  switch (field) {
+    case 'service':
+      return entities.service || null;
+    case 'date':
+      return preference.date || null;
+    case 'time':
+      return preference.time || parseBareTime(text);
+    default:
+      // Names and addresses are usually answered as-is
+      return entities[field] || text || null;
+  }
+}
+
+// Helper function to read a reply like "10" or "2:30" to "What time?"
+function parseBareTime(text) {
+  const entities = extractionService.extractEntities(`at ${text}`);
+  const preference = (entities.timePreferences || [])[0] || {};
+  return preference.time || null;
+}
+
+// Helper function to check whether a session has been idle too long
+function isExpired(session) {
+  return Date.now() - session.lastActiveAt > SESSION_TTL_MINUTES * 60 * 1000;
+}
+
+// Helper function to drop every expired session
+function removeExpiredSessions() {
+  for (const [sessionId, session] of sessions) {
+    if (isExpired(session)) {
+      sessions.delete(sessionId);
+    }
+  }
+}
@@ -0,0 +1,70 @@
+const { google } = require('googleapis');
+
+// Configure Google Calendar API
+const auth = new google.auth.GoogleAuth({
+  keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+  scopes: ['https://www.googleapis.com/auth/calendar']
+});
+
+async function getCalendar() {
+  return google.calendar({ version: 'v3', auth: await auth.getClient() });
+}
+
+exports.listEvents = async (calendarId, { timeMin, timeMax, showDeleted = false }) => {
+  const calendar = await getCalendar();
+  
+  const response = await calendar.events.list({
+    calendarId,
+    timeMin,
+    timeMax,
+    showDeleted,
+    singleEvents: true,
+    orderBy: 'startTime'
+  });
+  
+  return response.data.items || [];
+};
+
+exports.getEvent = async (calendarId, eventId) => {
+  const calendar = await getCalendar();
+  
+  try {
+    const response = await calendar.events.get({ calendarId, eventId });
+    return response.data;
+  } catch (error) {
+    // A missing event is not an error for callers, just an empty result
+    if (error.code === 404 || error.code === 410) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+exports.createEvent = async (calendarId, event) => {
+  const calendar = await getCalendar();
+  
+  const response = await calendar.events.insert({
+    calendarId,
+    resource: event
+  });
+  
+  return response.data;
+};
+
+exports.updateEvent = async (calendarId, eventId, changes) => {
+  const calendar = await getCalendar();
+  
+  const response = await calendar.events.patch({
+    calendarId,
+    eventId,
+    resource: changes
+  });
+  
+  return response.data;
+};
+
+exports.deleteEvent = async (calendarId, eventId) => {
+  const calendar = await getCalendar();
+  
+  await calendar.events.delete({ calendarId, eventId });
+};
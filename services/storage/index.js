@@ -0,0 +1,85 @@
+// Calendar storage backend selection
+//
+// Every adapter exposes the same event-level interface so calendarService
+// never has to know where appointments actually live:
+//
+//   listEvents(calendarId, { timeMin, timeMax, showDeleted }) -> [event]
+//   getEvent(calendarId, eventId)                -> event | null
+//   createEvent(calendarId, event)               -> event
+//   updateEvent(calendarId, eventId, changes)    -> event
+//   deleteEvent(calendarId, eventId)             -> void
+//
+// Events use the Google Calendar resource shape (summary, location,
+// description, start/end { dateTime, timeZone }, status and
+// extendedProperties.private) regardless of the backend.
+
+const logger = require('../logger');
+const metrics = require('../metrics');
+const resilience = require('../resilience');
+const { DEMO_MODE } = require('../appMode');
+const { CalendarUnavailableError, CalendarRequestError } = require('../../errors');
+
+const STORAGE_BACKENDS = {
+  google: () => require('./googleCalendarStore'),
+  local: () => require('./localFileStore')
+};
+
+// Demo mode keeps appointments in a local file. Outside it Google Calendar
+// is used when credentials are configured; otherwise CALENDAR_STORAGE has to
+// name a backend, so bookings never quietly land in a local file.
+const DEFAULT_BACKEND = DEMO_MODE ? 'local' : (process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'google' : null);
+
+// Store methods guarded by the circuit breaker and counted in the metrics
+const STORE_METHODS = ['listEvents', 'getEvent', 'createEvent', 'updateEvent', 'deleteEvent'];
+
+// Store methods safe to retry; a retried insert could create the event twice
+const RETRIED_METHODS = ['listEvents', 'getEvent', 'updateEvent', 'deleteEvent'];
+
+let store;
+
+function getStore() {
+  if (!store) {
+    const backend = (process.env.CALENDAR_STORAGE || DEFAULT_BACKEND || '').toLowerCase();
+    const loadStore = STORAGE_BACKENDS[backend];
+    
+    if (!backend) {
+      throw new Error('No calendar storage configured: set GOOGLE_APPLICATION_CREDENTIALS or CALENDAR_STORAGE (e.g. local), or run with DEMO_MODE=true');
+    }
+    if (!loadStore) {
+      throw new Error(`Unknown calendar storage backend: ${backend}`);
+    }
+    
+    // Every failure surfaces as a typed error, never as an empty day
+    store = resilience.protect(metrics.trackFailures(loadStore(), 'calendar', backend, STORE_METHODS), {
+      name: 'calendar',
+      methods: STORE_METHODS,
+      retry: RETRIED_METHODS,
+      toError
+    });
+    logger.info('Using calendar storage', { backend });
+  }
+  
+  return store;
+}
+
+// Replace the active store (used by tests and scripts)
+function setStore(customStore) {
+  store = customStore;
+}
+
+// Helper function to type a store failure. Only outages become
+// CalendarUnavailableError (and count against the circuit); a request the
+// calendar turned down, such as one for a deleted event, keeps its 4xx status.
+function toError(error) {
+  const status = resilience.getErrorStatus(error);
+  
+  if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+    return new CalendarRequestError(status, { cause: error });
+  }
+  return new CalendarUnavailableError({ retryAfter: error.retryAfter, cause: error });
+}
+
+module.exports = {
+  getStore,
+  setStore
+};
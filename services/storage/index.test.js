@@ -0,0 +1,55 @@
+process.env.CALENDAR_STORAGE = 'local';
+process.env.EXTERNAL_RETRY_ATTEMPTS = '0';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+
+jest.mock('./localFileStore', () => ({
+  listEvents: jest.fn(),
+  getEvent: jest.fn(),
+  createEvent: jest.fn(),
+  updateEvent: jest.fn(),
+  deleteEvent: jest.fn()
+}));
+
+const localFileStore = require('./localFileStore');
+const resilience = require('../resilience');
+const { getStore } = require('./index');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status ${status}`);
+  error.code = status;
+  return error;
+}
+
+function calendarCircuit() {
+  return resilience.getCircuitStates().find(circuit => circuit.name === 'calendar');
+}
+
+describe('calendar storage errors', () => {
+  test('a missing event is NOT_FOUND and does not open the circuit', async () => {
+    localFileStore.updateEvent.mockRejectedValue(httpError(410));
+    
+    for (let i = 0; i < 3; i++) {
+      await expect(getStore().updateEvent('primary', 'gone', {}))
+        .rejects.toMatchObject({ status: 404, code: 'NOT_FOUND' });
+    }
+    expect(calendarCircuit().state).toBe('closed');
+  });
+  
+  test('a rejected request keeps its status', async () => {
+    localFileStore.createEvent.mockRejectedValue(httpError(403));
+    
+    await expect(getStore().createEvent('primary', {}))
+      .rejects.toMatchObject({ status: 403, code: 'CALENDAR_REJECTED' });
+    expect(calendarCircuit().state).toBe('closed');
+  });
+  
+  test('outages are CALENDAR_UNAVAILABLE and open the circuit', async () => {
+    localFileStore.listEvents.mockRejectedValue(httpError(503));
+    
+    for (let i = 0; i < 2; i++) {
+      await expect(getStore().listEvents('primary', {}))
+        .rejects.toMatchObject({ status: 503, code: 'CALENDAR_UNAVAILABLE' });
+    }
+    expect(calendarCircuit().state).toBe('open');
+  });
+});
@@ -0,0 +1,106 @@
+const path = require('path');
+const crypto = require('crypto');
+const jsonFileStore = require('../jsonFileStore');
+
+// Location of the JSON file holding all calendars
+const LOCAL_STORE_PATH = process.env.LOCAL_STORE_PATH ||
+  path.join(__dirname, '..', '..', 'data', 'calendar.json');
+
+const store = jsonFileStore.create(LOCAL_STORE_PATH, { calendars: {} });
+
+exports.listEvents = async (calendarId, { timeMin, timeMax, showDeleted = false }) => {
+  const data = await store.read();
+  const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+  const max = timeMax ? new Date(timeMax).getTime() : Infinity;
+  
+  // Match Google Calendar: cancelled events are hidden (unless showDeleted)
+  // and any overlap counts
+  return getCalendarEvents(data, calendarId)
+    .filter(event => showDeleted || event.status !== 'cancelled')
+    .filter(event =>
+      new Date(event.start.dateTime).getTime() < max &&
+      new Date(event.end.dateTime).getTime() > min
+    )
+    .sort((a, b) => new Date(a.start.dateTime) - new Date(b.start.dateTime));
+};
+
+exports.getEvent = async (calendarId, eventId) => {
+  const data = await store.read();
+  return getCalendarEvents(data, calendarId).find(event => event.id === eventId) || null;
+};
+
+exports.createEvent = (calendarId, event) => store.update(data => {
+  const now = new Date().toISOString();
+  const created = {
+    ...event,
+    id: crypto.randomBytes(16).toString('hex'),
+    status: event.status || 'confirmed',
+    created: now,
+    updated: now
+  };
+  
+  getCalendarEvents(data, calendarId, true).push(created);
+  return created;
+});
+
+exports.updateEvent = (calendarId, eventId, changes) => store.update(data => {
+  const events = getCalendarEvents(data, calendarId);
+  const index = events.findIndex(event => event.id === eventId);
+  
+  if (index === -1) {
+    throw missingEventError(eventId);
+  }
+  
+  // Patch semantics: nested objects are merged, everything else replaced
+  events[index] = {
+    ...mergeDeep(events[index], changes),
+    id: eventId,
+    updated: new Date().toISOString()
+  };
+  return events[index];
+});
+
+exports.deleteEvent = (calendarId, eventId) => store.update(data => {
+  const events = getCalendarEvents(data, calendarId);
+  const index = events.findIndex(event => event.id === eventId);
+  
+  if (index === -1) {
+    throw missingEventError(eventId);
+  }
+  
+  events.splice(index, 1);
+});
+
+// Helper function to report a missing event the way Google Calendar does
+function missingEventError(eventId) {
+  const error = new Error(`Event ${eventId} not found`);
+  error.status = 404;
+  return error;
+}
+
+// Helper function to get the event list of one calendar
+function getCalendarEvents(data, calendarId, create = false) {
+  if (!data.calendars[calendarId]) {
+    if (!create) {
+      return [];
+    }
+    data.calendars[calendarId] = [];
+  }
+  return data.calendars[calendarId];
+}
+
+// Helper function to merge plain objects recursively
+function mergeDeep(target, source) {
+  const merged = { ...target };
+  
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object') {
+      merged[key] = mergeDeep(target[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  
+  return merged;
+}
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const catalogService = require('./catalogService');
+const logger = require('./logger');
+
+// Path to the technician registry (JSON array of technicians)
+const TECHNICIANS_CONFIG = process.env.TECHNICIANS_CONFIG ||
+  path.join(__dirname, '..', 'config', 'technicians.json');
+
+let technicians;
+
+// Get every registered technician
+exports.getTechnicians = () => {
+  if (!technicians) {
+    technicians = loadTechnicians();
+  }
+  return technicians;
+};
+
+// Get a single technician by id
+exports.getTechnician = (technicianId) =>
+  exports.getTechnicians().find(technician => technician.id === technicianId) || null;
+
+// Get the technicians that have the skill a service requires
+exports.getTechniciansForService = (service) => {
+  const catalogEntry = catalogService.getService(service);
+  const skill = catalogEntry ? catalogEntry.requiredSkill : service;
+  return exports.getTechnicians().filter(technician => technician.skills.includes(skill));
+};
+
+// Helper function to load the registry, falling back to a single technician
+// built from the legacy single-calendar environment variables
+function loadTechnicians() {
+  if (!fs.existsSync(TECHNICIANS_CONFIG)) {
+    return [normalizeTechnician({
+      id: 'default',
+      name: 'Default technician',
+      homeBase: process.env.OFFICE_LOCATION || '123 Main St, Anytown, USA',
+      calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary'
+    })];
+  }
+  
+  try {
+    const registry = JSON.parse(fs.readFileSync(TECHNICIANS_CONFIG, 'utf8'));
+    return registry.map(normalizeTechnician);
+  } catch (error) {
+    logger.error('Error loading technician registry', { error });
+    throw new Error('Failed to load technician registry');
+  }
+}
+
+// Helper function to fill in defaults for a registry entry
+function normalizeTechnician(technician) {
+  if (!technician.id || !technician.homeBase) {
+    throw new Error('Technicians need an id and a homeBase');
+  }
+  
+  return {
+    id: technician.id,
+    name: technician.name || technician.id,
+    homeBase: technician.homeBase,
+    calendarId: technician.calendarId || technician.id,
+    // Without working hours of their own a technician works whenever the
+    // business is open (see businessCalendarService)
+    workingHours: technician.workingHours || null,
+    // Without a skill list a technician can do every service in the catalog
+    skills: technician.skills || catalogService.getServices().map(service => service.requiredSkill)
+  };
+}
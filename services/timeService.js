@@ -0,0 +1,36 @@
+const moment = require('moment-timezone');
+
+// Timezone the business operates in. Customer-supplied dates and times,
+// day boundaries and business hours are all interpreted in this zone,
+// whatever zone the server itself runs in.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/New_York';
+
+if (!moment.tz.zone(BUSINESS_TIMEZONE)) {
+  throw new Error(`Unknown BUSINESS_TIMEZONE: ${BUSINESS_TIMEZONE}`);
+}
+
+exports.BUSINESS_TIMEZONE = BUSINESS_TIMEZONE;
+
+// Current time in the business timezone
+exports.now = () => moment.tz(BUSINESS_TIMEZONE);
+
+// A customer's local date (YYYY-MM-DD) and time (HH:mm) as a moment.
+// Times skipped by a DST jump (e.g. 02:30 on spring-forward day) are moved
+// forward by the length of the gap.
+exports.toBusinessTime = (date, time) =>
+  moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', BUSINESS_TIMEZONE);
+
+// An instant (ISO string, Date or moment) viewed in the business timezone
+exports.fromInstant = (instant) => moment.tz(instant, BUSINESS_TIMEZONE);
+
+// First and last moment of a local business day (23 or 25 hours long on DST days)
+exports.startOfDay = (date) => moment.tz(date, 'YYYY-MM-DD', BUSINESS_TIMEZONE).startOf('day');
+exports.endOfDay = (date) => moment.tz(date, 'YYYY-MM-DD', BUSINESS_TIMEZONE).endOf('day');
+
+// A whole local hour on a business day, e.g. atHour('2025-03-09', 9) is 9 AM local
+exports.atHour = (date, hour) =>
+  exports.toBusinessTime(date, `${String(hour).padStart(2, '0')}:00`);
+
+// Local date (YYYY-MM-DD) and time (HH:mm) of an instant
+exports.formatDate = (instant) => exports.fromInstant(instant).format('YYYY-MM-DD');
+exports.formatTime = (instant) => exports.fromInstant(instant).format('HH:mm');
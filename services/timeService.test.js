@@ -0,0 +1,58 @@
+// jest.setup.js runs the tests at TZ=UTC
+process.env.BUSINESS_TIMEZONE = 'America/New_York';
+
+const timeService = require('./timeService');
+
+describe('timeService across daylight saving changes', () => {
+  describe('toBusinessTime', () => {
+    test('moves a time in the spring-forward gap past the gap', () => {
+      const time = timeService.toBusinessTime('2026-03-08', '02:30');
+      
+      expect(time.format('HH:mm')).toBe('03:30');
+      expect(time.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+    
+    test('reads a time in the repeated fall-back hour as the first one', () => {
+      const time = timeService.toBusinessTime('2026-11-01', '01:30');
+      
+      expect(time.format()).toBe('2026-11-01T01:30:00-04:00');
+    });
+    
+    test('uses the offset in force on each side of a change', () => {
+      expect(timeService.toBusinessTime('2026-10-31', '09:00').toISOString()).toBe('2026-10-31T13:00:00.000Z');
+      expect(timeService.toBusinessTime('2026-11-01', '09:00').toISOString()).toBe('2026-11-01T14:00:00.000Z');
+      expect(timeService.toBusinessTime('2027-03-13', '09:00').toISOString()).toBe('2027-03-13T14:00:00.000Z');
+      expect(timeService.toBusinessTime('2027-03-14', '09:00').toISOString()).toBe('2027-03-14T13:00:00.000Z');
+    });
+  });
+  
+  describe('startOfDay and endOfDay', () => {
+    function dayLengthMinutes(date) {
+      return timeService.endOfDay(date).diff(timeService.startOfDay(date), 'minutes') + 1;
+    }
+    
+    test('the fall-back day is 25 hours long', () => {
+      expect(timeService.startOfDay('2026-11-01').toISOString()).toBe('2026-11-01T04:00:00.000Z');
+      expect(timeService.endOfDay('2026-11-01').toISOString()).toBe('2026-11-02T04:59:59.999Z');
+      expect(dayLengthMinutes('2026-11-01')).toBe(25 * 60);
+    });
+    
+    test('the spring-forward day is 23 hours long', () => {
+      expect(timeService.startOfDay('2026-03-08').toISOString()).toBe('2026-03-08T05:00:00.000Z');
+      expect(timeService.endOfDay('2026-03-08').toISOString()).toBe('2026-03-09T03:59:59.999Z');
+      expect(dayLengthMinutes('2026-03-08')).toBe(23 * 60);
+    });
+    
+    test('an ordinary day is 24 hours long', () => {
+      expect(dayLengthMinutes('2026-10-19')).toBe(24 * 60);
+    });
+  });
+  
+  test('formats instants as local dates and times', () => {
+    // 03:30 UTC on 1 November is still 31 October in New York
+    expect(timeService.formatDate('2026-11-01T03:30:00Z')).toBe('2026-10-31');
+    expect(timeService.formatTime('2026-11-01T03:30:00Z')).toBe('23:30');
+    expect(timeService.formatTime('2026-11-01T06:30:00Z')).toBe('01:30');
+    expect(timeService.atHour('2027-03-14', 9).format()).toBe('2027-03-14T09:00:00-04:00');
+  });
+});
@@ -0,0 +1,391 @@
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const calendarService = require('./calendarService');
+const schedulingService = require('./schedulingService');
+const technicianService = require('./technicianService');
+const holdService = require('./holdService');
+const notificationService = require('./notificationService');
+const timeService = require('./timeService');
+const logger = require('./logger');
+const jsonFileStore = require('./jsonFileStore');
+
+// Waitlist for fully booked days, with automatic backfill.
+//
+// Customers register interest in a service at an address over a date range.
+// When an appointment is cancelled, moved or shortened, the freed stretch
+// of the technician's day is matched against the waiting entries: each is
+// checked on the technician's actual route (service duration and travel),
+// and the one adding the least travel (then the longest waiting) is
+// offered the slot, which is held for them until the offer expires. A
+// declined or expired offer moves on to the next entry.
+
+// Location of the JSON file holding the waitlist
+const WAITLIST_STORE_PATH = process.env.WAITLIST_STORE_PATH ||
+  path.join(__dirname, '..', 'data', 'waitlist.json');
+
+// How long an offered slot is held for the customer to accept it
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+// Longest date range one entry may cover
+const WAITLIST_MAX_DAYS = parseInt(process.env.WAITLIST_MAX_DAYS, 10) || 60;
+
+// How often offers are checked for expiry
+const WAITLIST_SCAN_INTERVAL_SECONDS = parseInt(process.env.WAITLIST_SCAN_INTERVAL_SECONDS, 10) || 60;
+
+const STATUSES = ['waiting', 'offered', 'booked', 'expired', 'cancelled'];
+
+const store = jsonFileStore.create(WAITLIST_STORE_PATH, { entries: [] });
+
+let timer = null;
+let scanning = false;
+
+exports.STATUSES = STATUSES;
+exports.WAITLIST_MAX_DAYS = WAITLIST_MAX_DAYS;
+
+// Add an entry ({ service, name, address, customerId, email, phone, notes,
+// from, to, timeOfDay }) to the waitlist
+exports.addEntry = (details) => store.update(data => {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'waiting',
+    service: details.service,
+    name: details.name,
+    address: details.address,
+    customerId: details.customerId || null,
+    email: details.email || null,
+    phone: details.phone || null,
+    notes: details.notes || '',
+    from: details.from,
+    to: details.to,
+    timeOfDay: details.timeOfDay || null,
+    offer: null,
+    // Slots this entry was offered and let go ({ technicianId, start, end })
+    passedSlots: [],
+    appointmentId: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  data.entries.push(entry);
+  logger.info('Waitlist entry added', { entryId: entry.id, service: entry.service });
+  return entry;
+});
+
+exports.getEntry = async (entryId) => {
+  const data = await store.read();
+  return data.entries.find(entry => entry.id === entryId) || null;
+};
+
+// List entries, oldest first, optionally only those with a status
+exports.listEntries = async ({ status } = {}) => {
+  const data = await store.read();
+  return data.entries.filter(entry => !status || entry.status === status);
+};
+
+// Take an entry off the waitlist, passing any open offer on
+exports.cancelEntry = async (entryId) => {
+  const entry = await exports.getEntry(entryId);
+  if (!entry) {
+    throw notFound('Waitlist entry not found');
+  }
+  if (entry.status === 'booked') {
+    throw conflict('WAITLIST_BOOKED', 'The entry was already booked; cancel the appointment instead');
+  }
+  
+  return withdrawOffer(entryId, 'cancelled');
+};
+
+// Book the slot an entry was offered
+exports.acceptOffer = async (entryId) => {
+  const entry = await getOpenOffer(entryId);
+  
+  if (moment(entry.offer.expiresAt).isSameOrBefore(moment())) {
+    await withdrawOffer(entryId, 'waiting');
+    throw conflict('OFFER_EXPIRED', 'The offer has expired');
+  }
+  
+  const { offer } = entry;
+  let appointment;
+  try {
+    // The hold kept the slot free meanwhile (if it was lost in a restart,
+    // the booking still checks nobody else took the slot)
+    appointment = await calendarService.createAppointment({
+      name: entry.name,
+      address: entry.address,
+      service: entry.service,
+      date: offer.date,
+      time: offer.time,
+      technicianId: offer.technicianId,
+      notes: entry.notes,
+      email: entry.email,
+      phone: entry.phone,
+      customerId: entry.customerId,
+      holdId: offer.holdId
+    });
+  } catch (error) {
+    if (error.code === 'SLOT_TAKEN') {
+      await withdrawOffer(entryId, 'waiting');
+      throw conflict('OFFER_EXPIRED', 'The offered slot is no longer available');
+    }
+    throw error;
+  }
+  
+  const booked = await updateEntry(entryId, record => {
+    record.status = 'booked';
+    record.appointmentId = appointment.id;
+  });
+  logger.info('Waitlist offer accepted', { entryId, appointmentId: appointment.id });
+  return { entry: booked, appointment };
+};
+
+// Turn an offer down; the entry keeps waiting for another slot and the
+// offered one moves on to the next entry
+exports.declineOffer = async (entryId) => {
+  await getOpenOffer(entryId);
+  return withdrawOffer(entryId, 'waiting');
+};
+
+// Offer a freed stretch ({ technicianId, start, end }) of a technician's
+// day to the best matching waiting entry. Returns the entry that got the
+// offer, or null when nobody on the waitlist fits.
+exports.offerFreedSlot = async ({ technicianId, start, end }) => {
+  const technician = technicianService.getTechnician(technicianId);
+  if (!technician || moment(end).isSameOrBefore(timeService.now())) {
+    return null;
+  }
+  
+  const date = timeService.formatDate(start);
+  const data = await store.read();
+  const candidates = data.entries.filter(entry =>
+    entry.status === 'waiting' &&
+    entry.from <= date && entry.to >= date &&
+    technicianService.getTechniciansForService(entry.service).some(candidate => candidate.id === technicianId)
+  );
+  
+  const matches = [];
+  for (const entry of candidates) {
+    const slot = await findSlotInGap(entry, technician, start, end);
+    if (slot) {
+      matches.push({ entry, slot });
+    }
+  }
+  
+  // Least added travel first, then whoever has waited longest
+  matches.sort((a, b) =>
+    a.slot.addedTravelTime - b.slot.addedTravelTime ||
+    a.entry.createdAt.localeCompare(b.entry.createdAt)
+  );
+  
+  for (const { entry, slot } of matches) {
+    const offered = await makeOffer(entry, slot);
+    if (offered) {
+      return offered;
+    }
+  }
+  
+  return null;
+};
+
+// Start expiring offers periodically; unref so this never keeps the process alive
+exports.start = () => {
+  if (!timer) {
+    timer = setInterval(exports.scan, WAITLIST_SCAN_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    exports.scan();
+  }
+};
+
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Expire offers that weren't accepted in time, passing their slots on,
+// and entries whose date range is over. Overlapping scans are skipped.
+exports.scan = async () => {
+  if (scanning) {
+    return [];
+  }
+  scanning = true;
+  
+  const expired = [];
+  try {
+    const now = timeService.now();
+    const today = now.format('YYYY-MM-DD');
+    const data = await store.read();
+    
+    for (const entry of data.entries) {
+      try {
+        if (entry.status === 'offered' && moment(entry.offer.expiresAt).isSameOrBefore(now)) {
+          logger.info('Waitlist offer expired', { entryId: entry.id });
+          await withdrawOffer(entry.id, entry.to < today ? 'expired' : 'waiting');
+          expired.push(entry.id);
+        } else if (entry.status === 'waiting' && entry.to < today) {
+          await updateEntry(entry.id, record => {
+            record.status = 'expired';
+          });
+          expired.push(entry.id);
+        }
+      } catch (error) {
+        logger.error('Error expiring waitlist entry', { entryId: entry.id, error });
+      }
+    }
+  } catch (error) {
+    logger.error('Error scanning the waitlist', { error });
+  } finally {
+    scanning = false;
+  }
+  
+  return expired;
+};
+
+// Helper function to find the start time that fits an entry best within a
+// freed stretch of a technician's day, checked on the technician's route
+async function findSlotInGap(entry, technician, start, end) {
+  try {
+    const { slots, durationMinutes } = await schedulingService.findAvailability({
+      address: entry.address,
+      service: entry.service,
+      from: timeService.formatDate(start),
+      to: timeService.formatDate(start),
+      technicianId: technician.id,
+      preferences: { timeOfDay: entry.timeOfDay }
+    });
+    
+    // Slots come sorted by preference match, then added travel. Time the
+    // entry already let go of goes to the others.
+    return slots.find(slot =>
+      slot.matchesPreferences &&
+      moment(slot.start).isSameOrAfter(start) &&
+      moment(slot.start).isBefore(end) &&
+      !entry.passedSlots.some(passed =>
+        passed.technicianId === technician.id &&
+        moment(slot.start).isBefore(passed.end) &&
+        moment(slot.start).add(durationMinutes, 'minutes').isAfter(passed.start)
+      )
+    ) || null;
+  } catch (error) {
+    // E.g. the address can no longer be found; try the other entries
+    logger.warn('Could not match waitlist entry against a freed slot', { entryId: entry.id, code: error.code });
+    return null;
+  }
+}
+
+// Helper function to hold a slot for an entry and tell the customer about
+// it. Returns null when the slot was taken or the entry has moved on.
+async function makeOffer(entry, slot) {
+  let hold;
+  try {
+    hold = await calendarService.holdSlot({
+      service: entry.service,
+      address: entry.address,
+      date: slot.date,
+      time: slot.time,
+      technicianId: slot.technicianId,
+      heldBy: `waitlist:${entry.id}`,
+      ttlMinutes: WAITLIST_OFFER_MINUTES
+    });
+  } catch (error) {
+    if (error.code === 'SLOT_TAKEN') {
+      return null;
+    }
+    throw error;
+  }
+  
+  const offered = await updateEntry(entry.id, record => {
+    if (record.status !== 'waiting') {
+      return null;
+    }
+    record.status = 'offered';
+    record.offer = {
+      technicianId: hold.technicianId,
+      date: hold.date,
+      time: hold.time,
+      start: hold.start,
+      end: hold.end,
+      holdId: hold.id,
+      expiresAt: hold.expiresAt
+    };
+    return record;
+  });
+  
+  if (!offered) {
+    holdService.releaseHold(hold.id);
+    return null;
+  }
+  
+  logger.info('Waitlist offer made', { entryId: entry.id, technicianId: hold.technicianId });
+  await notificationService.notifyAppointment('waitlist_offer', {
+    id: offered.id,
+    name: offered.name,
+    service: offered.service,
+    location: offered.address,
+    start: offered.offer.start,
+    email: offered.email,
+    phone: offered.phone
+  }, { expiresAt: offered.offer.expiresAt });
+  return offered;
+}
+
+// Helper function to end an entry's open offer (if any) and set its new
+// status. The offered slot is released and offered to the next entry.
+async function withdrawOffer(entryId, status) {
+  let offer = null;
+  const entry = await updateEntry(entryId, record => {
+    offer = record.status === 'offered' ? record.offer : null;
+    if (offer) {
+      record.passedSlots.push({ technicianId: offer.technicianId, start: offer.start, end: offer.end });
+      record.offer = null;
+    }
+    record.status = status;
+  });
+  
+  if (offer) {
+    holdService.releaseHold(offer.holdId);
+    exports.offerFreedSlot({ technicianId: offer.technicianId, start: offer.start, end: offer.end })
+      .catch(error => logger.error('Error passing a waitlist offer on', { entryId, error }));
+  }
+  
+  return entry;
+}
+
+// Helper function to load an entry with an open offer
+async function getOpenOffer(entryId) {
+  const entry = await exports.getEntry(entryId);
+  if (!entry) {
+    throw notFound('Waitlist entry not found');
+  }
+  if (entry.status !== 'offered') {
+    throw conflict('NO_OFFER', 'The entry has no open offer');
+  }
+  return entry;
+}
+
+// Helper function to update one entry; mutate may return a value to
+// resolve with instead of the entry
+function updateEntry(entryId, mutate) {
+  return store.update(data => {
+    const entry = data.entries.find(candidate => candidate.id === entryId);
+    if (!entry) {
+      throw notFound('Waitlist entry not found');
+    }
+    
+    const result = mutate(entry);
+    entry.updatedAt = new Date().toISOString();
+    return result === undefined ? entry : result;
+  });
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function conflict(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,213 @@
+const moment = require('moment');
+const calendarService = require('../services/calendarService');
+const technicianService = require('../services/technicianService');
+const catalogService = require('../services/catalogService');
+const businessCalendarService = require('../services/businessCalendarService');
+const timeService = require('../services/timeService');
+
+// Accepted input formats; values are normalized to YYYY-MM-DD and HH:mm
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'YYYY/MM/DD'];
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'HH:mm:ss', 'h:mm A', 'h:mmA', 'h A', 'hA'];
+
+// Each rule checks one raw value and returns { value } with the normalized
+// value, or { error: { code, message } }. Missing values are handled by
+// the validate middleware using the rule's `required` flag.
+
+function rule(check, { required = false } = {}) {
+  return { required, check };
+}
+
+function fail(code, message) {
+  return { error: { code, message } };
+}
+
+exports.string = ({ required, max = 200, pattern } = {}) => rule(value => {
+  if (typeof value !== 'string') {
+    return fail('invalid_type', 'Must be a string');
+  }
+  
+  const trimmed = value.trim();
+  if (required && trimmed.length === 0) {
+    return fail('required', 'Must not be empty');
+  }
+  if (trimmed.length > max) {
+    return fail('too_long', `Must be at most ${max} characters`);
+  }
+  if (pattern && !pattern.test(trimmed)) {
+    return fail('invalid_format', 'Has an invalid format');
+  }
+  
+  return { value: trimmed };
+}, { required });
+
+exports.date = ({ required } = {}) => rule(value => {
+  const parsed = moment(String(value).trim(), DATE_FORMATS, true);
+  
+  if (!parsed.isValid()) {
+    return fail('invalid_date', 'Must be a valid date in YYYY-MM-DD format');
+  }
+  
+  return { value: parsed.format('YYYY-MM-DD') };
+}, { required });
+
+exports.time = ({ required } = {}) => rule(value => {
+  const parsed = moment(String(value).trim().toUpperCase(), TIME_FORMATS, true);
+  
+  if (!parsed.isValid()) {
+    return fail('invalid_time', 'Must be a valid time in HH:mm format');
+  }
+  
+  return { value: parsed.format('HH:mm') };
+}, { required });
+
+// Service names are matched case-insensitively, and common trade words
+// ("plumber", "lawn care") are mapped onto the service they belong to
+exports.service = ({ required } = {}) => rule(value => {
+  const name = String(value).trim().toLowerCase();
+  const service = catalogService.getService(name) ? name : catalogService.matchService(name);
+  
+  if (!service) {
+    return fail('unknown_service', `Must be one of: ${catalogService.getServiceNames().join(', ')}`);
+  }
+  
+  return { value: service };
+}, { required });
+
+exports.technician = ({ required } = {}) => rule(value => {
+  const technicianId = String(value).trim();
+  
+  if (!technicianService.getTechnician(technicianId)) {
+    return fail('unknown_technician', 'Unknown technician');
+  }
+  
+  return { value: technicianId };
+}, { required });
+
+exports.oneOf = (values, { required } = {}) => rule(value => {
+  const choice = String(value).trim().toLowerCase();
+  
+  if (!values.includes(choice)) {
+    return fail('invalid_choice', `Must be one of: ${values.join(', ')}`);
+  }
+  
+  return { value: choice };
+}, { required });
+
+exports.email = ({ required } = {}) => rule(value => {
+  const email = String(value).trim().toLowerCase();
+  
+  if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return fail('invalid_email', 'Must be a valid email address');
+  }
+  
+  return { value: email };
+}, { required });
+
+// Phone numbers are normalized to E.164 (+15551234567); ten-digit numbers
+// without a country code are taken as US numbers
+exports.phone = ({ required } = {}) => rule(value => {
+  const digits = String(value).trim().replace(/[\s().-]/g, '');
+  const phone = /^\d{10}$/.test(digits) ? `+1${digits}` : digits;
+  
+  if (!/^\+\d{8,15}$/.test(phone)) {
+    return fail('invalid_phone', 'Must be a valid phone number with country code');
+  }
+  
+  return { value: phone };
+}, { required });
+
+exports.boolean = ({ required } = {}) => rule(value => {
+  if (value === true || value === 'true') {
+    return { value: true };
+  }
+  if (value === false || value === 'false') {
+    return { value: false };
+  }
+  return fail('invalid_type', 'Must be true or false');
+}, { required });
+
+exports.integer = ({ required, min, max } = {}) => rule(value => {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  
+  if (!Number.isInteger(number)) {
+    return fail('invalid_type', 'Must be a whole number');
+  }
+  if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+    return fail('out_of_range', `Must be between ${min} and ${max}`);
+  }
+  
+  return { value: number };
+}, { required });
+
+exports.id = ({ required = true } = {}) => exports.string({ required, max: 128, pattern: /^[\w-]+$/ });
+
+// Cross-field check: a booking time must be in the future, on a day the
+// business is open, and the whole service must fit inside one stretch of
+// business hours (not across a break), all judged in the business
+// timezone. Returns a list of field errors.
+exports.checkBookingTime = (date, time, service, { dateField = 'date', timeField = 'time' } = {}) => {
+  const errors = [];
+  const start = timeService.toBusinessTime(date, time);
+  
+  if (start.isBefore(timeService.now())) {
+    errors.push({ field: dateField, code: 'in_past', message: 'Must not be in the past' });
+  }
+  
+  const dayStatus = businessCalendarService.getDayStatus(date);
+  if (!dayStatus.open) {
+    errors.push({ field: dateField, code: 'closed_day', message: dayStatus.reason });
+    return errors;
+  }
+  
+  const end = moment(start).add(service ? calendarService.getServiceDuration(service) : 0, 'minutes');
+  const intervals = businessCalendarService.getWorkingIntervals(date);
+  const fits = intervals.some(interval => start.isSameOrAfter(interval.start) && end.isSameOrBefore(interval.end));
+  
+  if (!fits) {
+    const hours = intervals
+      .map(interval => `${interval.start.format('HH:mm')}-${interval.end.format('HH:mm')}`)
+      .join(', ');
+    errors.push({
+      field: timeField,
+      code: 'outside_business_hours',
+      message: `Must be within business hours (${hours})` +
+        (service ? ` and leave time for the ${service} service` : '')
+    });
+  }
+  
+  return errors;
+};
+
+// Cross-field check for an optional from/to date range (from defaults to
+// today): to must not come before from, and the range may span at most
+// maxDays days
+exports.checkDateRange = (from, to, { maxDays } = {}) => {
+  if (!to) {
+    return [];
+  }
+  
+  const start = from || timeService.now().format('YYYY-MM-DD');
+  const days = moment(to, 'YYYY-MM-DD').diff(moment(start, 'YYYY-MM-DD'), 'days') + 1;
+  
+  if (days < 1) {
+    return [{ field: 'to', code: 'invalid_range', message: 'Must not be before from' }];
+  }
+  if (maxDays && days > maxDays) {
+    return [{ field: 'to', code: 'range_too_long', message: `Range must span at most ${maxDays} days` }];
+  }
+  
+  return [];
+};
+
+// Cross-field check: fields a customer record can fill in are only
+// required when no customer is known, either from customerId or from a
+// signed-in customer (auth)
+exports.requireUnlessCustomer = (values, fields, auth = null) => {
+  if (values.customerId || (auth && auth.role === 'customer')) {
+    return [];
+  }
+  
+  return fields
+    .filter(field => !values[field])
+    .map(field => ({ field, code: 'required', message: 'This field is required' }));
+};
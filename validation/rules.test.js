@@ -0,0 +1,58 @@
+const moment = require('moment-timezone');
+const rules = require('./rules');
+const timeService = require('../services/timeService');
+
+// Business hours are 09:00-17:00 every day (config/businessCalendar.json)
+// and cleaning takes 120 minutes plus a 15 minute buffer; the tests run at
+// TZ=UTC (jest.setup.js)
+function setNow(localTime) {
+  jest.spyOn(timeService, 'now').mockImplementation(() => moment.tz(localTime, timeService.BUSINESS_TIMEZONE));
+}
+
+function codes(errors) {
+  return errors.map(error => error.code);
+}
+
+describe('checkBookingTime on daylight saving days', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe.each([
+    ['2026-11-01', 'fall-back'],
+    ['2027-03-14', 'spring-forward']
+  ])('%s (%s)', (date) => {
+    beforeEach(() => setNow('2026-10-19 12:00'));
+    
+    test('opens at 09:00 local time', () => {
+      expect(rules.checkBookingTime(date, '09:00', 'cleaning')).toEqual([]);
+      expect(codes(rules.checkBookingTime(date, '08:30', 'cleaning'))).toEqual(['outside_business_hours']);
+    });
+    
+    test('needs the whole visit to end by 17:00 local time', () => {
+      expect(rules.checkBookingTime(date, '14:45', 'cleaning')).toEqual([]);
+      expect(codes(rules.checkBookingTime(date, '15:00', 'cleaning'))).toEqual(['outside_business_hours']);
+    });
+    
+    test('quotes the local business hours', () => {
+      const [error] = rules.checkBookingTime(date, '16:00', 'cleaning');
+      expect(error.message).toContain('09:00-17:00');
+    });
+  });
+  
+  test('compares with the local time of day on the fall-back day', () => {
+    // 10:00 EST is 15:00 UTC, an hour later than 10:00 the day before
+    setNow('2026-11-01 10:00');
+    
+    expect(codes(rules.checkBookingTime('2026-11-01', '09:30', 'cleaning'))).toEqual(['in_past']);
+    expect(rules.checkBookingTime('2026-11-01', '10:30', 'cleaning')).toEqual([]);
+  });
+  
+  test('compares with the local time of day on the spring-forward day', () => {
+    // 10:00 EDT is 14:00 UTC
+    setNow('2027-03-14 10:00');
+    
+    expect(codes(rules.checkBookingTime('2027-03-14', '09:30', 'cleaning'))).toEqual(['in_past']);
+    expect(rules.checkBookingTime('2027-03-14', '10:30', 'cleaning')).toEqual([]);
+  });
+});
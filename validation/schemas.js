@@ -0,0 +1,413 @@
+const moment = require('moment');
+const rules = require('./rules');
+const seriesService = require('../services/seriesService');
+const waitlistService = require('../services/waitlistService');
+const timeService = require('../services/timeService');
+
+exports.bookAppointment = {
+  body: {
+    customerId: rules.id({ required: false }),
+    addressId: rules.id({ required: false }),
+    // Name and address may come from the customer record instead
+    name: rules.string({ max: 100 }),
+    address: rules.string({ max: 200 }),
+    service: rules.service({ required: true }),
+    date: rules.date({ required: true }),
+    time: rules.time({ required: true }),
+    notes: rules.string({ max: 1000 }),
+    email: rules.email(),
+    phone: rules.phone(),
+    'alt-date': rules.date(),
+    'alt-time': rules.time()
+  },
+  check: ({ body, auth }) => {
+    const errors = rules.requireUnlessCustomer(body, ['name', 'address'], auth);
+    errors.push(...rules.checkBookingTime(body.date, body.time, body.service));
+    const altDate = body['alt-date'];
+    const altTime = body['alt-time'];
+    
+    // The alternative is only usable as a complete date and time
+    if (Boolean(altDate) !== Boolean(altTime)) {
+      errors.push({
+        field: altDate ? 'alt-time' : 'alt-date',
+        code: 'incomplete_alternative',
+        message: 'alt-date and alt-time must be given together'
+      });
+    } else if (altDate) {
+      errors.push(...rules.checkBookingTime(altDate, altTime, body.service, {
+        dateField: 'alt-date',
+        timeField: 'alt-time'
+      }));
+    }
+    
+    return errors;
+  }
+};
+
+exports.getAppointments = {
+  query: {
+    date: rules.date({ required: true }),
+    technician: rules.technician()
+  }
+};
+
+exports.getAppointment = {
+  params: {
+    id: rules.id()
+  }
+};
+
+exports.rescheduleAppointment = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    date: rules.date({ required: true }),
+    time: rules.time({ required: true })
+  },
+  // Without the service only the start is checked here; the controller
+  // checks the whole visit once the appointment is loaded
+  check: ({ body }) => rules.checkBookingTime(body.date, body.time)
+};
+
+exports.cancelAppointment = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    reason: rules.string({ max: 500 })
+  }
+};
+
+exports.shortenAppointment = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    durationMinutes: rules.integer({ required: true, min: 15, max: 1440 })
+  }
+};
+
+exports.chat = {
+  body: {
+    message: rules.string({ required: true, max: 2000 }),
+    sessionId: rules.id({ required: false }),
+    customerId: rules.id({ required: false })
+  }
+};
+
+exports.getFeedLink = {
+  params: {
+    id: rules.id()
+  }
+};
+
+exports.getCalendarFeed = {
+  params: {
+    id: rules.id()
+  },
+  query: {
+    token: rules.string({ required: true, max: 128, pattern: /^[\w-]+$/ })
+  }
+};
+
+exports.getDayRoute = {
+  params: {
+    date: rules.date({ required: true })
+  },
+  query: {
+    technician: rules.technician(),
+    address: rules.string({ max: 200 }),
+    service: rules.service(),
+    time: rules.time()
+  },
+  check: ({ query }) => (query.address && !query.service
+    ? [{ field: 'service', code: 'required', message: 'Service is required with an address' }]
+    : [])
+};
+
+exports.getBusinessHours = {
+  query: {
+    from: rules.date(),
+    to: rules.date()
+  },
+  check: ({ query }) => rules.checkDateRange(query.from, query.to, { maxDays: 366 })
+};
+
+exports.checkServiceArea = {
+  query: {
+    address: rules.string({ required: true, max: 200 }),
+    service: rules.service()
+  }
+};
+
+exports.getAvailability = {
+  query: {
+    service: rules.service({ required: true }),
+    // Without an address the customer's default address is used
+    address: rules.string({ max: 200 }),
+    customer: rules.id({ required: false }),
+    from: rules.date(),
+    to: rules.date(),
+    technician: rules.technician()
+  },
+  check: ({ query, auth }) => [
+    ...rules.requireUnlessCustomer({ ...query, customerId: query.customer }, ['address'], auth),
+    ...rules.checkDateRange(query.from, query.to, { maxDays: 31 })
+  ]
+};
+
+exports.createHold = {
+  body: {
+    address: rules.string({ required: true, max: 200 }),
+    service: rules.service({ required: true }),
+    date: rules.date({ required: true }),
+    time: rules.time({ required: true }),
+    technician: rules.technician()
+  },
+  check: ({ body }) => rules.checkBookingTime(body.date, body.time, body.service)
+};
+
+exports.getHold = {
+  params: {
+    id: rules.id()
+  }
+};
+
+exports.confirmHold = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    customerId: rules.id({ required: false }),
+    name: rules.string({ max: 100 }),
+    notes: rules.string({ max: 1000 }),
+    email: rules.email(),
+    phone: rules.phone()
+  },
+  check: ({ body, auth }) => rules.requireUnlessCustomer(body, ['name'], auth)
+};
+
+exports.createSeries = {
+  body: {
+    customerId: rules.id({ required: false }),
+    addressId: rules.id({ required: false }),
+    // Name and address may come from the customer record instead
+    name: rules.string({ max: 100 }),
+    address: rules.string({ max: 200 }),
+    service: rules.service({ required: true }),
+    notes: rules.string({ max: 1000 }),
+    email: rules.email(),
+    phone: rules.phone(),
+    frequency: rules.oneOf(seriesService.FREQUENCIES, { required: true }),
+    // Every `interval` weeks or months
+    interval: rules.integer({ min: 1, max: 12 }),
+    weekday: rules.oneOf(seriesService.WEEKDAYS),
+    startDate: rules.date({ required: true }),
+    until: rules.date(),
+    count: rules.integer({ min: 1, max: seriesService.SERIES_MAX_OCCURRENCES }),
+    time: rules.time(),
+    timeOfDay: rules.oneOf(['morning', 'afternoon', 'evening'])
+  },
+  check: ({ body, auth }) => {
+    const errors = rules.requireUnlessCustomer(body, ['name', 'address'], auth);
+    errors.push(...checkSeriesTime(body));
+    
+    if (body.startDate < timeService.now().format('YYYY-MM-DD')) {
+      errors.push({ field: 'startDate', code: 'in_past', message: 'Must not be in the past' });
+    }
+    if (body.weekday && body.frequency !== 'weekly') {
+      errors.push({ field: 'weekday', code: 'weekly_only', message: 'Only weekly series take a weekday' });
+    }
+    if (!body.until && !body.count) {
+      errors.push({ field: 'until', code: 'required', message: 'Give an end date (until) or a number of visits (count)' });
+    } else if (body.until) {
+      const lastDate = moment(body.startDate, 'YYYY-MM-DD').add(seriesService.SERIES_MAX_MONTHS, 'months').format('YYYY-MM-DD');
+      if (body.until < body.startDate) {
+        errors.push({ field: 'until', code: 'invalid_range', message: 'Must not be before startDate' });
+      } else if (body.until > lastDate) {
+        errors.push({ field: 'until', code: 'range_too_long', message: `Series may run at most ${seriesService.SERIES_MAX_MONTHS} months` });
+      }
+    }
+    
+    return errors;
+  }
+};
+
+exports.getSeries = {
+  params: {
+    id: rules.id()
+  }
+};
+
+exports.updateSeries = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    time: rules.time(),
+    timeOfDay: rules.oneOf(['morning', 'afternoon', 'evening'])
+  },
+  check: ({ body }) => checkSeriesTime(body)
+};
+
+exports.cancelSeries = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    reason: rules.string({ max: 500 })
+  }
+};
+
+exports.rescheduleOccurrence = {
+  params: {
+    id: rules.id(),
+    date: rules.date({ required: true })
+  },
+  body: {
+    date: rules.date({ required: true }),
+    time: rules.time({ required: true })
+  },
+  // The controller checks the whole visit against the series' service
+  check: ({ body }) => rules.checkBookingTime(body.date, body.time)
+};
+
+exports.cancelOccurrence = {
+  params: {
+    id: rules.id(),
+    date: rules.date({ required: true })
+  },
+  body: {
+    reason: rules.string({ max: 500 })
+  }
+};
+
+exports.importAppointments = {
+  query: {
+    // Taken from the Content-Type when not given
+    format: rules.oneOf(['csv', 'ics']),
+    commit: rules.boolean()
+  }
+};
+
+exports.joinWaitlist = {
+  body: {
+    customerId: rules.id({ required: false }),
+    addressId: rules.id({ required: false }),
+    // Name, address and contact details may come from the customer record instead
+    name: rules.string({ max: 100 }),
+    address: rules.string({ max: 200 }),
+    service: rules.service({ required: true }),
+    notes: rules.string({ max: 1000 }),
+    email: rules.email(),
+    phone: rules.phone(),
+    from: rules.date(),
+    to: rules.date({ required: true }),
+    timeOfDay: rules.oneOf(['morning', 'afternoon', 'evening'])
+  },
+  check: ({ body, auth }) => {
+    const errors = rules.requireUnlessCustomer(body, ['name', 'address'], auth);
+    errors.push(...rules.checkDateRange(body.from, body.to, { maxDays: waitlistService.WAITLIST_MAX_DAYS }));
+    
+    if (body.from && body.from < timeService.now().format('YYYY-MM-DD')) {
+      errors.push({ field: 'from', code: 'in_past', message: 'Must not be in the past' });
+    }
+    
+    return errors;
+  }
+};
+
+exports.listWaitlist = {
+  query: {
+    status: rules.oneOf(waitlistService.STATUSES)
+  }
+};
+
+exports.waitlistEntry = {
+  params: {
+    id: rules.id()
+  }
+};
+
+// Contact details and preferences shared by creating and updating a customer
+const customerFields = {
+  email: rules.email(),
+  phone: rules.phone(),
+  notes: rules.string({ max: 1000 }),
+  preferredTechnician: rules.technician(),
+  preferredTimeOfDay: rules.oneOf(['morning', 'afternoon', 'evening'])
+};
+
+exports.createCustomer = {
+  body: {
+    name: rules.string({ required: true, max: 100 }),
+    address: rules.string({ max: 200 }),
+    ...customerFields
+  }
+};
+
+exports.findCustomers = {
+  query: {
+    email: rules.email(),
+    phone: rules.phone()
+  },
+  check: ({ query }) => (!query.email && !query.phone
+    ? [{ field: 'email', code: 'required', message: 'Give an email or a phone number' }]
+    : [])
+};
+
+exports.getCustomer = {
+  params: {
+    id: rules.id()
+  }
+};
+
+exports.updateCustomer = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    name: rules.string({ max: 100 }),
+    ...customerFields
+  }
+};
+
+exports.addCustomerAddress = {
+  params: {
+    id: rules.id()
+  },
+  body: {
+    address: rules.string({ required: true, max: 200 }),
+    label: rules.string({ max: 50 }),
+    isDefault: rules.boolean()
+  }
+};
+
+exports.removeCustomerAddress = {
+  params: {
+    id: rules.id(),
+    addressId: rules.id()
+  }
+};
+
+exports.issueToken = {
+  body: {
+    role: rules.oneOf(['customer', 'technician', 'dispatcher', 'admin'], { required: true }),
+    subject: rules.string({ max: 128 }),
+    name: rules.string({ max: 100 }),
+    // Lifetime such as "30m", "12h" or "7d"
+    expiresIn: rules.string({ max: 10, pattern: /^\d+[smhd]$/ })
+  },
+  check: ({ body }) => (['customer', 'technician'].includes(body.role) && !body.subject
+    ? [{ field: 'subject', code: 'required', message: 'Customer and technician tokens need a subject' }]
+    : [])
+};
+
+// Helper function to require exactly one of an exact time and a part of the day
+function checkSeriesTime({ time, timeOfDay }) {
+  if (Boolean(time) === Boolean(timeOfDay)) {
+    return [{ field: 'time', code: 'time_or_time_of_day', message: 'Give either a time or a timeOfDay' }];
+  }
+  return [];
+}
@@ -0,0 +1,44 @@
+// Check a request-shaped object ({ params, query, body, auth }) against a
+// schema, normalizing valid values in place, and return the field errors.
+// Used by the validate middleware and wherever input arrives outside a
+// request (e.g. the rows of a bulk import, checked with the booking schema).
+module.exports = (schema, req) => {
+  const errors = [];
+  
+  for (const location of ['params', 'query', 'body']) {
+    const rules = schema[location];
+    if (!rules) {
+      continue;
+    }
+    
+    const source = req[location] || {};
+    const normalized = { ...source };
+    
+    for (const [field, { required, check }] of Object.entries(rules)) {
+      const value = source[field];
+      
+      if (value === undefined || value === null || value === '') {
+        if (required) {
+          errors.push({ field, code: 'required', message: 'This field is required' });
+        }
+        delete normalized[field];
+        continue;
+      }
+      
+      const result = check(value);
+      if (result.error) {
+        errors.push({ field, ...result.error });
+      } else {
+        normalized[field] = result.value;
+      }
+    }
+    
+    req[location] = normalized;
+  }
+  
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(req));
+  }
+  
+  return errors;
+};